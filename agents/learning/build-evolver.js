@@ -17,6 +17,7 @@ const {
   VALID_DEFENDER_POWERUPS,
   POWER_UP_COSTS
 } = require(path.join(__dirname, '../../server/simulation/constants'));
+const { isScheduledWave, getWaveUnits } = require(path.join(__dirname, '../../server/simulation/enemies'));
 
 /**
  * Calculate cost of an attack build
@@ -27,7 +28,7 @@ function calculateAttackCost(build) {
   let cost = 0;
 
   (build.waves || []).forEach(wave => {
-    Object.entries(wave).forEach(([type, count]) => {
+    getWaveUnits(wave).forEach(([type, count]) => {
       const unitCost = ENEMY_STATS[type]?.cost || 50;
       cost += unitCost * count;
     });
@@ -72,6 +73,13 @@ function calculateDefenseCost(build) {
  */
 function swapUnit(waves, oldType, newType) {
   return waves.map(wave => {
+    if (isScheduledWave(wave)) {
+      return {
+        ...wave,
+        groups: wave.groups.map(group => (group.type === oldType ? { ...group, type: newType } : group))
+      };
+    }
+
     const newWave = { ...wave };
     if (newWave[oldType]) {
       const count = newWave[oldType];
@@ -175,7 +183,7 @@ function mutateBuild(build, side, mutationRate = 0.3) {
       () => {
         const waves = mutated.waves || [];
         const usedTypes = new Set();
-        waves.forEach(w => Object.keys(w).forEach(t => usedTypes.add(t)));
+        waves.forEach(w => getWaveUnits(w).forEach(([t]) => usedTypes.add(t)));
 
         if (usedTypes.size > 0) {
           const oldType = Array.from(usedTypes)[Math.floor(Math.random() * usedTypes.size)];
@@ -210,7 +218,12 @@ function mutateBuild(build, side, mutationRate = 0.3) {
         if (!mutated.waves || mutated.waves.length === 0) return;
         const waveIdx = Math.floor(Math.random() * mutated.waves.length);
         const wave = mutated.waves[waveIdx];
-        const types = Object.keys(wave);
+        if (isScheduledWave(wave)) {
+          const group = wave.groups[Math.floor(Math.random() * wave.groups.length)];
+          group.count = Math.max(1, group.count + (Math.random() > 0.5 ? 1 : -1));
+          return;
+        }
+        const types = getWaveUnits(wave).map(([t]) => t);
         if (types.length > 0) {
           const type = types[Math.floor(Math.random() * types.length)];
           const delta = Math.random() > 0.5 ? 1 : -1;
@@ -386,7 +399,7 @@ function validateMutatedBuild(build, side, budget = BUDGET) {
       let maxWaveCost = 0;
 
       validated.waves.forEach((wave, idx) => {
-        const waveCost = Object.entries(wave).reduce((sum, [type, count]) => {
+        const waveCost = getWaveUnits(wave).reduce((sum, [type, count]) => {
           return sum + (ENEMY_STATS[type]?.cost || 50) * count;
         }, 0);
         if (waveCost > maxWaveCost) {
@@ -397,19 +410,26 @@ function validateMutatedBuild(build, side, budget = BUDGET) {
 
       // Reduce count of most expensive unit in that wave
       const wave = validated.waves[maxWaveIdx];
-      const types = Object.keys(wave);
+      const types = getWaveUnits(wave).map(([t]) => t);
       if (types.length > 0) {
         const mostExpensive = types.reduce((a, b) =>
           (ENEMY_STATS[a]?.cost || 0) > (ENEMY_STATS[b]?.cost || 0) ? a : b
         );
-        wave[mostExpensive]--;
-        if (wave[mostExpensive] <= 0) {
-          delete wave[mostExpensive];
+        if (isScheduledWave(wave)) {
+          // Take it from the last group of that type
+          const group = wave.groups.filter(g => g.type === mostExpensive).pop();
+          group.count--;
+          wave.groups = wave.groups.filter(g => g.count > 0);
+        } else {
+          wave[mostExpensive]--;
+          if (wave[mostExpensive] <= 0) {
+            delete wave[mostExpensive];
+          }
         }
       }
 
       // Remove empty waves
-      validated.waves = validated.waves.filter(w => Object.keys(w).length > 0);
+      validated.waves = validated.waves.filter(w => getWaveUnits(w).length > 0);
 
       cost = calculateAttackCost(validated);
     }
@@ -7,6 +7,7 @@ const path = require('path');
 const { loadMatchHistory } = require(path.join(__dirname, '../../server/persistence'));
 const { getOpponentBuilds } = require('./match-analyzer');
 const { ENEMY_STATS, TOWER_STATS, BUDGET } = require(path.join(__dirname, '../../server/simulation/constants'));
+const { getWaveUnits } = require(path.join(__dirname, '../../server/simulation/enemies'));
 
 /**
  * Counter-Play Matrix
@@ -21,17 +22,21 @@ const COUNTER_MATRIX = {
     healer: ['burst', 'sniper'],     // Kill fast before they heal
     shieldBearer: ['chain', 'sniper'], // Chain bypasses, sniper pierces
     regenerator: ['burst', 'sniper'], // High damage to outpace regen
-    boss: ['sniper', 'support']      // Armor pierce + damage boost
+    boss: ['sniper', 'support'],     // Armor pierce + damage boost
+    flyer: ['basic', 'chain'],       // Only hitsAir towers reach it
+    splitter: ['chain', 'basic'],    // Children come in a clump
+    burrower: ['sniper', 'burst'],   // Hit hard before and after the tunnel
+    disruptor: ['sniper']            // Outranges its pulse
   },
 
   // What enemies counter which towers (for attackers)
   enemyCounters: {
-    slow: ['tank', 'regenerator'],   // Slow doesn't matter with high HP/regen
-    burst: ['swarm'],                // Overwhelm single-target
+    slow: ['tank', 'regenerator', 'flyer'], // Slow doesn't matter with high HP/regen; can't hit air
+    burst: ['swarm', 'flyer', 'splitter'], // Overwhelm single-target; can't hit air
     sniper: ['swarm', 'runner'],     // Too slow for fast/many targets
     chain: ['tank', 'boss'],         // High HP absorbs chain decay
     basic: ['tank', 'boss'],         // Out-HP'd
-    support: ['runner']              // Rush past before buff matters
+    support: ['runner', 'disruptor'] // Rush past before buff matters; jammed buffs
   }
 };
 
@@ -57,7 +62,7 @@ function analyzeOpponentStrategy(opponentId, history = null) {
   attackBuilds.forEach(build => {
     const waves = build.build?.waves || [];
     waves.forEach(wave => {
-      Object.entries(wave).forEach(([type, count]) => {
+      getWaveUnits(wave).forEach(([type, count]) => {
         enemyUsage[type] = (enemyUsage[type] || 0) + count;
       });
     });
@@ -270,7 +275,7 @@ function scoreCounterEffectiveness(myBuild, opponentBuild, side) {
 
     const myEnemies = new Set();
     (myBuild?.waves || []).forEach(wave => {
-      Object.keys(wave).forEach(type => myEnemies.add(type));
+      getWaveUnits(wave).forEach(([type]) => myEnemies.add(type));
     });
 
     // Check counter relationships
@@ -287,7 +292,7 @@ function scoreCounterEffectiveness(myBuild, opponentBuild, side) {
     const opponentWaves = opponentBuild?.waves || [];
     const opponentEnemies = new Set();
     opponentWaves.forEach(wave => {
-      Object.keys(wave).forEach(type => opponentEnemies.add(type));
+      getWaveUnits(wave).forEach(([type]) => opponentEnemies.add(type));
     });
 
     const myTowers = myBuild?.towers || [];
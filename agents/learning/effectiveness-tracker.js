@@ -5,6 +5,7 @@
 
 const path = require('path');
 const { loadMatchHistory } = require(path.join(__dirname, '../../server/persistence'));
+const { getWaveUnits } = require(path.join(__dirname, '../../server/simulation/enemies'));
 
 /**
  * Calculate enemy effectiveness from match history
@@ -24,7 +25,7 @@ function calculateEnemyEffectiveness(history = null) {
 
     // Track total enemies spawned by type
     waves.forEach((wave, waveIndex) => {
-      Object.entries(wave).forEach(([type, count]) => {
+      getWaveUnits(wave).forEach(([type, count]) => {
         if (!stats[type]) {
           stats[type] = {
             used: 0,
@@ -204,7 +205,7 @@ function getWinRateByComposition(history = null, side) {
       const waves = match.attacker?.build?.waves || [];
       const typeCounts = {};
       waves.forEach(wave => {
-        Object.entries(wave).forEach(([type, count]) => {
+        getWaveUnits(wave).forEach(([type, count]) => {
           typeCounts[type] = (typeCounts[type] || 0) + count;
         });
       });
@@ -5,6 +5,7 @@
 
 const path = require('path');
 const { loadMatchHistory } = require(path.join(__dirname, '../../server/persistence'));
+const { getWaveUnits } = require(path.join(__dirname, '../../server/simulation/enemies'));
 
 /**
  * Get all matches for a specific agent (as attacker or defender)
@@ -192,7 +193,7 @@ function analyzeEnemyUsage(matches) {
   matches.forEach(match => {
     const waves = match.attacker?.build?.waves || [];
     waves.forEach(wave => {
-      Object.entries(wave).forEach(([type, count]) => {
+      getWaveUnits(wave).forEach(([type, count]) => {
         if (!usage[type]) {
           usage[type] = { used: 0, totalCount: 0 };
         }
@@ -8,9 +8,13 @@
  * - Spectre (attacker) - Stealth/regen strategy
  * - Sentinel (defender) - Balanced defense
  *
+ * The names are reserved on the server, so submissions carry the in-house
+ * key from the INHOUSE_API_KEY environment variable (the same value the
+ * server is started with).
+ *
  * Usage:
- *   node named-agents.js --agent BlitzRunner
- *   node named-agents.js --agent Sentinel
+ *   INHOUSE_API_KEY=... node named-agents.js --agent BlitzRunner
+ *   INHOUSE_API_KEY=... node named-agents.js --agent Sentinel
  */
 
 const AGENTS = {
@@ -202,6 +206,9 @@ Options:
   --list, -l           List available agents
   --help, -h           Show this help
 
+Environment:
+  INHOUSE_API_KEY      In-house key the server accepts for these reserved names
+
 Attackers: BlitzRunner, IronWall, Spectre
 Defenders: Sentinel, Fortress, Striker, Guardian
       `);
@@ -225,6 +232,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (!process.env.INHOUSE_API_KEY) {
+    console.error('Error: INHOUSE_API_KEY is required (in-house agent names are reserved on the server).');
+    process.exit(1);
+  }
+
   log(`\n=== ${options.agent.toUpperCase()} ===`);
   log(`Side: ${config.side.toUpperCase()}`);
   log(`Strategy: ${config.description}`);
@@ -234,7 +246,10 @@ async function main() {
   try {
     const response = await fetch(`${options.server}/submit`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.INHOUSE_API_KEY}`
+      },
       body: JSON.stringify({
         agent_id: options.agent,  // Use agent name as ID for persistent ELO
         side: config.side === 'attack' ? 'attack' : 'defend',
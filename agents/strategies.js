@@ -16,7 +16,11 @@ const ENEMY_COSTS = {
   healer: 80,
   shieldBearer: 90,
   regenerator: 85,
-  boss: 200
+  boss: 200,
+  flyer: 70,
+  splitter: 95,
+  burrower: 85,
+  disruptor: 110
 };
 
 // Original tower costs (still supported)
@@ -45,7 +49,10 @@ const POWER_UP_COSTS = {
 };
 
 const TOWER_SLOTS = ['A', 'B', 'C', 'D', 'E'];
-const ENEMY_TYPES = ['runner', 'tank', 'swarm', 'healer', 'shieldBearer', 'regenerator', 'boss'];
+const ENEMY_TYPES = [
+  'runner', 'tank', 'swarm', 'healer', 'shieldBearer', 'regenerator', 'boss',
+  'flyer', 'splitter', 'burrower', 'disruptor'
+];
 const TOWER_TYPES = ['basic', 'slow', 'burst', 'chain', 'sniper', 'support'];
 
 // ============================================
@@ -22,13 +22,24 @@ let PATH_Y = 140;  // Center of taller canvas
 let TOP_LANE_Y = 60;
 let BOTTOM_LANE_Y = 220;
 const PATH_HEIGHT = 30;
+const ENEMY_LANE_OFFSET = 8;  // Laned enemies walk their half of the road
+
+// Current map (switched per match via setMap)
+let currentMapId = 'default';
+let FORBIDDEN_ZONES = [];
+
+// Waypoint roads (polyline maps only, null on straight maps)
+// Polyline coordinates are map points in canvas units
+let PATH_ROUTES = null;     // laneId -> route, '' = shared road
+let WORLD_WIDTH = PATH_LENGTH;
 
 // Set configuration from server (called by socket.js)
 function setConfig(serverConfig) {
   if (!serverConfig) return;
 
-  // Update config
-  if (serverConfig.map) {
+  // Update config (map layout only while still on the config's map,
+  // a match on another map has already switched via setMap)
+  if (serverConfig.map && serverConfig.map.id === currentMapId) {
     config.pathLength = serverConfig.map.pathLength || 1000;
     config.canvasWidth = serverConfig.map.canvasWidth || 800;
     config.canvasHeight = serverConfig.map.canvasHeight || 200;
@@ -40,16 +51,18 @@ function setConfig(serverConfig) {
         config.towerPositions[zone.id] = zone.x;
       });
     }
+
+    PATH_LENGTH = config.pathLength;
+    WORLD_WIDTH = PATH_LENGTH;
+    TOWER_POSITIONS = config.towerPositions;
   }
 
   // Update derived constants
-  PATH_LENGTH = config.pathLength;
-  TOWER_POSITIONS = config.towerPositions;
   CANVAS_WIDTH = config.canvasWidth;
   CANVAS_HEIGHT = config.canvasHeight;
 
   // Update lane positions from server config
-  if (serverConfig.map?.lanePositions) {
+  if (serverConfig.map?.lanePositions && serverConfig.map.id === currentMapId) {
     TOP_LANE_Y = serverConfig.map.lanePositions.top || 60;
     BOTTOM_LANE_Y = serverConfig.map.lanePositions.bottom || 220;
     // PATH_Y is the midpoint between lanes
@@ -65,6 +78,41 @@ function setConfig(serverConfig) {
   console.log('Renderer config updated:', config);
 }
 
+// Switch to a map's layout (called by socket.js with /api/rules/map data)
+function setMap(map) {
+  if (!map) return;
+
+  currentMapId = map.id;
+  PATH_LENGTH = map.pathLength || 1000;
+  FORBIDDEN_ZONES = map.forbiddenZones || [];
+
+  // Polyline roads: enemy positions are distances along the waypoints
+  const polylines = (map.pathSegments || []).filter(segment => segment.waypoints);
+  if (polylines.length > 0) {
+    PATH_ROUTES = { '': buildRoute(polylines[0].waypoints) };
+    polylines.forEach(segment => {
+      PATH_ROUTES[segment.laneId] = buildRoute(segment.waypoints);
+    });
+    WORLD_WIDTH = map.canvasWidth || CANVAS_WIDTH;
+  } else {
+    PATH_ROUTES = null;
+    WORLD_WIDTH = PATH_LENGTH;
+  }
+
+  TOWER_POSITIONS = {};
+  (map.towerZones || []).forEach(zone => {
+    TOWER_POSITIONS[zone.id] = zone.x;
+  });
+
+  for (const lane of map.lanes || []) {
+    if (lane.id === 'top') TOP_LANE_Y = lane.y;
+    if (lane.id === 'bottom') BOTTOM_LANE_Y = lane.y;
+  }
+  PATH_Y = Math.round((TOP_LANE_Y + BOTTOM_LANE_Y) / 2);
+
+  console.log('Renderer map set:', currentMapId);
+}
+
 // Colors - Zelda HUD Theme (4 rune accents only)
 const COLORS = {
   background: '#070A0F',
@@ -88,6 +136,11 @@ const COLORS = {
   enemy_shieldBearer: '#3AE6FF', // Cyan rune
   enemy_regenerator: '#2EE59D',  // Green rune
   enemy_boss: '#FF4D5E',      // Red rune
+  enemy_flyer: '#3AE6FF',     // Cyan rune
+  enemy_splitter: '#FFCC4D',  // Gold rune
+  enemy_splitter_child: '#FFCC4D', // Gold rune
+  enemy_burrower: '#8B7355',  // Sand
+  enemy_disruptor: '#FF4D5E', // Red rune
 
   healthBar: '#FF4D5E',       // Red rune
   healthBarBg: '#0B1018',
@@ -100,9 +153,39 @@ const COLORS = {
   endMarker: '#FF4D5E'        // Red rune
 };
 
-// Convert game position (0-1000) to canvas X coordinate
+// Convert game x coordinate to canvas X coordinate
 function gameToCanvasX(position) {
-  return (position / PATH_LENGTH) * CANVAS_WIDTH;
+  return (position / WORLD_WIDTH) * CANVAS_WIDTH;
+}
+
+// Precompute cumulative lengths along a waypoint polyline
+function buildRoute(waypoints) {
+  const distances = [0];
+  for (let i = 1; i < waypoints.length; i++) {
+    const dx = waypoints[i].x - waypoints[i - 1].x;
+    const dy = waypoints[i].y - waypoints[i - 1].y;
+    distances.push(distances[i - 1] + Math.sqrt(dx * dx + dy * dy));
+  }
+  return { waypoints, distances };
+}
+
+// Point at a distance along a route (extends past either end)
+function pointAlongRoute(route, distance) {
+  const { waypoints, distances } = route;
+  const last = waypoints.length - 1;
+
+  let i = 1;
+  while (i < last && distances[i] < distance) i++;
+
+  const from = waypoints[i - 1];
+  const to = waypoints[i];
+  const segmentLength = distances[i] - distances[i - 1];
+  const t = segmentLength > 0 ? (distance - distances[i - 1]) / segmentLength : 0;
+
+  return {
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t
+  };
 }
 
 // Projectile system
@@ -394,6 +477,13 @@ function clear() {
 
 // Draw pixel art terrain decoration
 function drawTerrain() {
+  // Winding roads are drawn over a single grass field
+  if (PATH_ROUTES) {
+    drawGrassArea(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    drawDecorations();
+    return;
+  }
+
   // Grass texture for tower placement areas (top and bottom)
   // PATH_Y = 140, path height = 30, so path spans 125-155
   drawGrassArea(0, 0, CANVAS_WIDTH, PATH_Y - 20);      // Top area (0-120)
@@ -403,6 +493,44 @@ function drawTerrain() {
   drawDecorations();
 }
 
+// Shade the stretches where the map forbids towers
+function drawForbiddenZones() {
+  for (const zone of FORBIDDEN_ZONES) {
+    const x = gameToCanvasX(zone.minX);
+    const width = gameToCanvasX(zone.maxX) - x;
+    const lanes = zone.lanes || ['top', 'bottom'];
+
+    for (const lane of lanes) {
+      const y = lane === 'top' ? 0 : PATH_Y + 20;
+      const height = lane === 'top' ? PATH_Y - 20 : CANVAS_HEIGHT - PATH_Y - 20;
+
+      ctx.fillStyle = 'rgba(255, 77, 94, 0.08)';
+      ctx.fillRect(x, y, width, height);
+
+      // Diagonal hatching
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      ctx.clip();
+      ctx.strokeStyle = 'rgba(255, 77, 94, 0.25)';
+      ctx.lineWidth = 1;
+      for (let hx = x - height; hx < x + width; hx += 12) {
+        ctx.beginPath();
+        ctx.moveTo(hx, y + height);
+        ctx.lineTo(hx + height, y);
+        ctx.stroke();
+      }
+      ctx.restore();
+
+      if (zone.name) {
+        ctx.fillStyle = COLORS.textDim;
+        ctx.font = '10px monospace';
+        ctx.fillText(zone.name, x + 4, y + 12);
+      }
+    }
+  }
+}
+
 // Draw grass-textured area
 function drawGrassArea(x, y, width, height) {
   if (height <= 0) return;
@@ -552,6 +680,11 @@ function drawTorch(x, y) {
 
 // Draw the main path (cobblestone road)
 function drawPath() {
+  if (PATH_ROUTES) {
+    drawPolylinePath(PATH_ROUTES[''].waypoints);
+    return;
+  }
+
   const pathTop = PATH_Y - 15;
   const pathHeight = 30;
 
@@ -593,6 +726,65 @@ function drawPath() {
   drawPathArrows();
 }
 
+// Draw a winding road following the map's waypoints
+function drawPolylinePath(waypoints) {
+  const points = waypoints.map(p => ({ x: gameToCanvasX(p.x), y: p.y }));
+
+  const tracePath = () => {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+  };
+
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'butt';
+
+  // Worn edges, then the dirt road on top
+  ctx.strokeStyle = '#0D0A08';
+  ctx.lineWidth = PATH_HEIGHT + 6;
+  tracePath();
+  ctx.stroke();
+
+  ctx.strokeStyle = '#1A1510';
+  ctx.lineWidth = PATH_HEIGHT;
+  tracePath();
+  ctx.stroke();
+
+  // Centre glow line
+  ctx.strokeStyle = '#3AE6FF10';
+  ctx.lineWidth = 1;
+  tracePath();
+  ctx.stroke();
+
+  // Spawn portal at the start, fortress at the exit
+  const start = points[0];
+  const end = points[points.length - 1];
+  drawSpawnPortal(Math.max(5, start.x), start.y);
+  drawFortressGoal(Math.min(CANVAS_WIDTH - 30, end.x - 30), end.y);
+
+  // Direction arrows at each stretch's midpoint
+  ctx.strokeStyle = '#3AE6FF20';
+  ctx.lineWidth = 2;
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    ctx.save();
+    ctx.translate((from.x + to.x) / 2, (from.y + to.y) / 2);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(-7, 0);
+    ctx.lineTo(8, 0);
+    ctx.lineTo(3, -4);
+    ctx.moveTo(8, 0);
+    ctx.lineTo(3, 4);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
 // Draw individual cobblestone
 function drawCobblestone(x, y) {
   const width = 16 + ((x * 3) % 4);
@@ -614,10 +806,7 @@ function drawCobblestone(x, y) {
 }
 
 // Draw spawn portal on left side
-function drawSpawnPortal() {
-  const x = 5;
-  const y = PATH_Y;
-
+function drawSpawnPortal(x = 5, y = PATH_Y) {
   // Portal frame (stone arch)
   ctx.fillStyle = '#2A3A4A';
   ctx.fillRect(x, y - 25, 8, 50);
@@ -668,10 +857,7 @@ function drawSpawnPortal() {
 }
 
 // Draw fortress/goal on right side
-function drawFortressGoal() {
-  const x = CANVAS_WIDTH - 30;
-  const y = PATH_Y;
-
+function drawFortressGoal(x = CANVAS_WIDTH - 30, y = PATH_Y) {
   // Fortress wall
   ctx.fillStyle = '#3A2A2A';
   ctx.fillRect(x, y - 30, 30, 60);
@@ -759,11 +945,11 @@ function drawTowers(towers) {
     if (tower.position !== undefined) {
       // Live match format from getTowerState() - uses 'position' field
       x = gameToCanvasX(tower.position);
-      y = tower.lane === 'bottom' ? BOTTOM_LANE_Y : TOP_LANE_Y;
+      y = getTowerY(tower);
     } else if (tower.x !== undefined) {
       // Replay/build format - uses 'x' field
       x = gameToCanvasX(tower.x);
-      y = tower.lane === 'bottom' ? BOTTOM_LANE_Y : TOP_LANE_Y;
+      y = getTowerY(tower);
     } else if (tower.slot && TOWER_POSITIONS[tower.slot]) {
       // Legacy slot-based format
       x = gameToCanvasX(TOWER_POSITIONS[tower.slot]);
@@ -782,6 +968,23 @@ function drawTowers(towers) {
     ctx.arc(x, y, rangeRadius, 0, Math.PI * 2);
     ctx.fill();
 
+    // Reinforcement towers are temporary - dashed ring and a faded sprite
+    if (tower.temporary) {
+      ctx.strokeStyle = COLORS.tower_basic;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.arc(x, y, 20, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 0.7;
+    }
+
+    // Towers jammed by a disruptor are greyed out until it wears off
+    if (tower.disabled) {
+      ctx.globalAlpha = 0.35;
+    }
+
     // Draw pixel art tower sprite
     const isAttacking = tower.cooldown && tower.cooldown > 0.8; // Recently fired
     if (window.SpriteSystem) {
@@ -793,9 +996,10 @@ function drawTowers(towers) {
       ctx.arc(x, y, 15, 0, Math.PI * 2);
       ctx.fill();
     }
+    ctx.globalAlpha = 1;
 
-    // Tower type label below - readable with background
-    const label = tower.type || 'basic';
+    // Tower type label below - readable with background (upgraded towers show their level)
+    const label = (tower.type || 'basic') + (tower.level > 1 ? ` L${tower.level}` : '') + (tower.temporary ? ' (temp)' : '') + (tower.disabled ? ' (off)' : '');
     ctx.font = 'bold 9px monospace';
     ctx.textAlign = 'center';
 
@@ -821,13 +1025,37 @@ function drawTowers(towers) {
   }
 }
 
+// Canvas Y for a tower (free 2D placement on polyline maps, else its lane)
+function getTowerY(tower) {
+  if (PATH_ROUTES && typeof tower.y === 'number') return tower.y;
+  return tower.lane === 'bottom' ? BOTTOM_LANE_Y : TOP_LANE_Y;
+}
+
+// Canvas Y for an enemy (unlaned enemies walk the centre of the road)
+function getEnemyY(enemy) {
+  return getEnemyPoint(enemy).y;
+}
+
+// Canvas point for an enemy from its distance along the road
+function getEnemyPoint(enemy) {
+  if (PATH_ROUTES) {
+    const route = PATH_ROUTES[enemy.lane] || PATH_ROUTES[''];
+    const point = pointAlongRoute(route, enemy.position);
+    return { x: gameToCanvasX(point.x), y: point.y };
+  }
+
+  let y = PATH_Y;
+  if (enemy.lane === 'top') y = PATH_Y - ENEMY_LANE_OFFSET;
+  if (enemy.lane === 'bottom') y = PATH_Y + ENEMY_LANE_OFFSET;
+  return { x: gameToCanvasX(enemy.position), y };
+}
+
 // Draw enemies using pixel art sprites
 function drawEnemies(enemies) {
   if (!enemies || !Array.isArray(enemies)) return;
 
   for (const enemy of enemies) {
-    const x = gameToCanvasX(enemy.position);
-    const y = PATH_Y;
+    const { x, y } = getEnemyPoint(enemy);
 
     // Get sprite size from config or use defaults
     let spriteSize = 24;
@@ -840,25 +1068,31 @@ function drawEnemies(enemies) {
       if (enemy.type === 'boss') spriteSize = 48;
       if (enemy.type === 'shieldBearer') spriteSize = 28;
       if (enemy.type === 'regenerator') spriteSize = 28;
+      if (enemy.type === 'splitter_child') spriteSize = 14;
     }
 
+    // Burrowed enemies show faintly underground; flyers hover above the road
+    ctx.globalAlpha = enemy.burrowed ? 0.35 : 1;
+    const drawY = enemy.flying ? y - 10 : y;
+
     // Draw pixel art enemy sprite
     if (window.SpriteSystem) {
-      SpriteSystem.drawEnemy(ctx, enemy.type || 'runner', x, y, enemy.position);
+      SpriteSystem.drawEnemy(ctx, enemy.type || 'runner', x, drawY, enemy.position);
     } else {
       // Fallback to simple circle if sprite system not loaded
       const size = spriteSize / 2;
       ctx.fillStyle = COLORS[`enemy_${enemy.type}`] || COLORS.enemy_runner;
       ctx.beginPath();
-      ctx.arc(x, y, size, 0, Math.PI * 2);
+      ctx.arc(x, drawY, size, 0, Math.PI * 2);
       ctx.fill();
     }
+    ctx.globalAlpha = 1;
 
     // Health bar (rendered on top of sprite)
     const hpPercent = (enemy.hp || 1) / (enemy.maxHp || 1);
     const barWidth = spriteSize * 1.2;
     const barHeight = 4;
-    const barY = y - spriteSize / 2 - 8;
+    const barY = drawY - spriteSize / 2 - 8;
 
     // Background
     ctx.fillStyle = COLORS.healthBarBg;
@@ -906,6 +1140,7 @@ function render(state) {
 
   clear();
   drawTerrain();      // Grass areas and decorations
+  drawForbiddenZones(); // Map areas where towers can't be built
   drawPath();         // Cobblestone road with portals
   // drawTowerSlots() removed - free placement
 
@@ -960,6 +1195,16 @@ function addEvent(event) {
     text = `═══ WAVE ${event.wave} START ═══ (${event.totalEnemies} enemies)`;
   } else if (event.type === 'spawn') {
     text = `Spawned: ${event.enemyType} (HP: ${event.health}, Speed: ${event.speed})`;
+  } else if (event.type === 'tower_add') {
+    text = event.source === 'reinforcement'
+      ? `Reinforcement: ${event.tower.type} tower ${event.tower.id} arrives at x=${event.tower.position}`
+      : `Tower ${event.tower.id} (${event.tower.type}) built at x=${event.tower.position}`;
+  } else if (event.type === 'tower_expire') {
+    text = `Reinforcement tower ${event.tower} leaves`;
+  } else if (event.type === 'split') {
+    text = `Splitter ${event.enemy} bursts into ${event.children.length} children`;
+  } else if (event.type === 'disrupt') {
+    text = `Disruptor ${event.enemy} jams ${event.towers.join(', ')} until tick ${event.until}`;
   }
 
   eventEl.textContent = `[${event.tick || '?'}] ${text}`;
@@ -988,8 +1233,13 @@ window.renderer = {
   // Projectile system
   createProjectile,
   gameToCanvasX,
+  getEnemyY,
+  getEnemyPoint,
+  getTowerY,
   // Configuration
   setConfig,
+  setMap,
+  get currentMapId() { return currentMapId; },
   // Constants for external use
   get PATH_Y() { return PATH_Y; },
   get CANVAS_WIDTH() { return CANVAS_WIDTH; },
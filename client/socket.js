@@ -61,6 +61,9 @@ function handleMessage(message) {
       break;
 
     case 'state':
+      // Switch map layout if this match is on another map
+      ensureMap(message.mapId);
+
       // Update the game display
       window.renderer.render(message);
       window.renderer.updateUI(message);
@@ -92,8 +95,8 @@ function handleMessage(message) {
                   const leadOffset = 8; // pixels ahead
                   window.renderer.createProjectile(
                     tower.x, tower.y,
-                    window.renderer.gameToCanvasX(enemy.position) + leadOffset,
-                    window.renderer?.PATH_Y || 140,
+                    window.renderer.getEnemyPoint(enemy).x + leadOffset,
+                    window.renderer.getEnemyPoint(enemy).y,
                     tower.type
                   );
                   // Play tower-specific shoot sound
@@ -429,6 +432,7 @@ async function watchBattle(matchId) {
 
     // Only subscribe to live updates if match is actually in progress
     if (data.status === 'in_progress') {
+      await ensureMap(data.mapId);
       subscribeToMatch(matchId);
       window.renderer.render(data);
       window.renderer.updateUI(data);
@@ -452,6 +456,7 @@ async function watchBattle(matchId) {
 
     // Start replay if we have events
     if (replay.events && replay.events.length > 0) {
+      await ensureMap(replay.mapId);
       startReplay(replay);
     } else {
       showMatchResults(matchId);
@@ -532,12 +537,16 @@ function startReplay(replay) {
             replayEnemies[event.enemy] = {
               id: event.enemy,
               type: event.enemyType,
+              lane: event.lane,
               position: 0,
+              // Splitter children start where their parent died
+              startPosition: Math.max(event.position || 0, 0),
               hp: event.health,
               maxHp: event.health,
               speed: event.speed,
               active: true,
-              spawnTick: tick
+              // Scheduled groups set off after their delay
+              spawnTick: tick + (event.delay || 0)
             };
           }
 
@@ -563,6 +572,17 @@ function startReplay(replay) {
             if (window.gameAudio) window.gameAudio.playSound('leak');
           }
 
+          // Handle towers built mid-match (bank, turns, reinforcements)
+          if (event.type === 'tower_add') {
+            towers.push({ ...event.tower });
+          }
+
+          // Handle towers leaving (reinforcements expiring, sales)
+          if (event.type === 'tower_expire' || event.type === 'tower_sell') {
+            const index = towers.findIndex(t => (t.id || t.slot) === event.tower);
+            if (index !== -1) towers.splice(index, 1);
+          }
+
           // Update wave info on wave events
           if (event.type === 'wave') {
             document.getElementById('wave-info').textContent = `Wave ${event.wave}/5`;
@@ -585,8 +605,8 @@ function startReplay(replay) {
                 const leadOffset = 8; // pixels ahead
                 window.renderer.createProjectile(
                   tower.x, tower.y,
-                  window.renderer.gameToCanvasX(enemy.position) + leadOffset,
-                  window.renderer?.PATH_Y || 140,
+                  window.renderer.getEnemyPoint(enemy).x + leadOffset,
+                  window.renderer.getEnemyPoint(enemy).y,
                   tower.type
                 );
                 // Play tower-specific shoot sound
@@ -609,8 +629,8 @@ function startReplay(replay) {
       const enemy = replayEnemies[enemyId];
       if (enemy.active) {
         // Position = speed * (ticks since spawn) / ticks per second
-        const ticksSinceSpawn = currentTick - enemy.spawnTick;
-        enemy.position = enemy.speed * (ticksSinceSpawn / TICKS_PER_SECOND);
+        const ticksSinceSpawn = Math.max(currentTick - enemy.spawnTick, 0);
+        enemy.position = enemy.startPosition + enemy.speed * (ticksSinceSpawn / TICKS_PER_SECOND);
       }
     }
 
@@ -648,13 +668,16 @@ function startReplay(replay) {
 function convertTowersForRenderer(towers) {
   if (!towers) return [];
 
-  // Handle array format (new free-flow)
+  // Handle array format (new free-flow); bank-bought towers arrive later
+  // through tower_add events
   if (Array.isArray(towers)) {
-    return towers.map((t, i) => ({
+    return towers.filter(t => !t.spendFromBank).map((t, i) => ({
       slot: `T${i}`,
       type: t.type,
       x: t.x,
-      lane: t.lane || 'top'
+      y: t.y,
+      lane: t.lane || 'top',
+      level: t.level || 1
     }));
   }
 
@@ -669,10 +692,10 @@ function convertTowersForRenderer(towers) {
 function findTowerForProjectile(towerId, towers) {
   if (!towers || !towerId) return null;
 
-  // Get canvas dimensions from renderer (with fallbacks)
-  const CANVAS_WIDTH = window.renderer?.CANVAS_WIDTH || 1000;
-  const TOP_LANE_Y = 60;
-  const BOTTOM_LANE_Y = 220;
+  // Get lane positions from renderer (with fallbacks)
+  const TOP_LANE_Y = window.renderer?.TOP_LANE_Y || 60;
+  const BOTTOM_LANE_Y = window.renderer?.BOTTOM_LANE_Y || 220;
+  const toCanvasX = window.renderer.gameToCanvasX;
 
   for (const tower of towers) {
     if (tower.slot === towerId || tower.id === towerId) {
@@ -681,15 +704,15 @@ function findTowerForProjectile(towerId, towers) {
       // Check for position (from live match state) or x (from converted build)
       if (tower.position !== undefined) {
         // Live match format - uses 'position' field
-        canvasX = (tower.position / 1000) * CANVAS_WIDTH;
-        canvasY = tower.lane === 'bottom' ? BOTTOM_LANE_Y : TOP_LANE_Y;
+        canvasX = toCanvasX(tower.position);
+        canvasY = window.renderer.getTowerY(tower);
       } else if (tower.x !== undefined) {
         // Converted build format - uses 'x' field
-        canvasX = (tower.x / 1000) * CANVAS_WIDTH;
-        canvasY = tower.lane === 'bottom' ? BOTTOM_LANE_Y : TOP_LANE_Y;
+        canvasX = toCanvasX(tower.x);
+        canvasY = window.renderer.getTowerY(tower);
       } else if (tower.slot && TOWER_POSITIONS[tower.slot]) {
         // Slot-based format - lookup position from slot name
-        canvasX = (TOWER_POSITIONS[tower.slot] / 1000) * CANVAS_WIDTH;
+        canvasX = toCanvasX(TOWER_POSITIONS[tower.slot]);
         canvasY = tower.slot.charCodeAt(0) % 2 === 0 ? TOP_LANE_Y : BOTTOM_LANE_Y;
       } else {
         continue;
@@ -881,6 +904,26 @@ async function loadGameConfig() {
   return null;
 }
 
+// Map layouts already fetched (mapId -> map config)
+const mapCache = {};
+
+// Make sure the renderer is showing the given map
+async function ensureMap(mapId) {
+  if (!mapId || !window.renderer || window.renderer.currentMapId === mapId) return;
+
+  try {
+    if (!mapCache[mapId]) {
+      const response = await fetch(`/api/rules/map?id=${encodeURIComponent(mapId)}`);
+      const result = await response.json();
+      if (!result.success) return;
+      mapCache[mapId] = result.data;
+    }
+    window.renderer.setMap(mapCache[mapId]);
+  } catch (error) {
+    console.error('Failed to load map:', error);
+  }
+}
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   // Connect WebSocket
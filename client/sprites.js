@@ -22,7 +22,12 @@ const SpriteSystem = (function() {
       healer:       { frames: 4, size: 24, color: '#FF4D5E', name: 'Shrine Maiden' },
       shieldBearer: { frames: 4, size: 28, color: '#3AE6FF', name: 'Crystal Knight' },
       regenerator:  { frames: 6, size: 28, color: '#2EE59D', name: 'Slime Lord' },
-      boss:         { frames: 6, size: 48, color: '#FF4D5E', name: 'Molten King' }
+      boss:         { frames: 6, size: 48, color: '#FF4D5E', name: 'Molten King' },
+      flyer:        { frames: 4, size: 26, color: '#3AE6FF', name: 'Storm Wyvern' },
+      splitter:     { frames: 4, size: 28, color: '#FFCC4D', name: 'Amber Hive' },
+      splitter_child: { frames: 4, size: 14, color: '#FFCC4D', name: 'Hiveling' },
+      burrower:     { frames: 4, size: 28, color: '#8B7355', name: 'Dune Borer' },
+      disruptor:    { frames: 6, size: 28, color: '#FF4D5E', name: 'Hex Totem' }
     }
   };
 
@@ -150,6 +155,21 @@ const SpriteSystem = (function() {
       case 'boss':
         drawMoltenKing(ctx, drawX, drawY, size, frame);
         break;
+      case 'flyer':
+        drawStormWyvern(ctx, drawX, drawY, size, frame);
+        break;
+      case 'splitter':
+        drawAmberHive(ctx, drawX, drawY, size, frame);
+        break;
+      case 'splitter_child':
+        drawHiveling(ctx, drawX, drawY, size, frame);
+        break;
+      case 'burrower':
+        drawDuneBorer(ctx, drawX, drawY, size, frame);
+        break;
+      case 'disruptor':
+        drawHexTotem(ctx, drawX, drawY, size, frame);
+        break;
       default:
         drawGoblinScout(ctx, drawX, drawY, size, frame);
     }
@@ -1086,6 +1106,225 @@ const SpriteSystem = (function() {
     ctx.globalAlpha = 1;
   }
 
+  /**
+   * Storm Wyvern - Flyer
+   * Winged drake gliding above the road
+   */
+  function drawStormWyvern(ctx, x, y, size, frame) {
+    const s = size / 26;
+    const flap = Math.sin(frame * Math.PI / 2) * 4;
+
+    // Shadow on the ground far below
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.ellipse(x + 13*s, y + 30*s, 7*s, 2*s, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Wings (flapping)
+    ctx.fillStyle = 'rgba(58, 230, 255, 0.6)';
+    ctx.beginPath();
+    ctx.moveTo(x + 10*s, y + 12*s);
+    ctx.lineTo(x + 0*s, y + 6*s - flap*s);
+    ctx.lineTo(x + 6*s, y + 16*s);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(x + 16*s, y + 12*s);
+    ctx.lineTo(x + 26*s, y + 6*s - flap*s);
+    ctx.lineTo(x + 20*s, y + 16*s);
+    ctx.closePath();
+    ctx.fill();
+
+    // Body
+    ctx.fillStyle = '#1E4A5A';
+    ctx.beginPath();
+    ctx.ellipse(x + 13*s, y + 14*s, 5*s, 7*s, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Tail
+    ctx.fillRect(x + 12*s, y + 20*s, 2*s, 5*s);
+
+    // Head with glowing eyes
+    ctx.fillStyle = COLORS.cyan;
+    ctx.shadowColor = COLORS.cyan;
+    ctx.shadowBlur = 6;
+    ctx.beginPath();
+    ctx.arc(x + 13*s, y + 6*s, 3*s, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = COLORS.light;
+    ctx.fillRect(x + 11*s, y + 5*s, 1*s, 1*s);
+    ctx.fillRect(x + 14*s, y + 5*s, 1*s, 1*s);
+  }
+
+  /**
+   * Amber Hive - Splitter
+   * Swollen hive that bursts into hivelings
+   */
+  function drawAmberHive(ctx, x, y, size, frame) {
+    const s = size / 28;
+    const throb = Math.sin(frame * Math.PI / 2) * 0.08 + 1;
+
+    // Shuffling legs
+    ctx.fillStyle = '#5A4520';
+    const legOffset = frame % 2 === 0 ? 1 : -1;
+    ctx.fillRect(x + 8*s + legOffset*s, y + 22*s, 3*s, 6*s);
+    ctx.fillRect(x + 17*s - legOffset*s, y + 22*s, 3*s, 6*s);
+
+    // Hive body (throbbing)
+    ctx.save();
+    ctx.translate(x + 14*s, y + 14*s);
+    ctx.scale(throb, throb);
+    ctx.fillStyle = COLORS.gold;
+    ctx.shadowColor = COLORS.gold;
+    ctx.shadowBlur = 6;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 10*s, 10*s, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    // Comb bands
+    ctx.strokeStyle = '#8B6A20';
+    ctx.lineWidth = 1.5*s;
+    for (const band of [-5, 0, 5]) {
+      ctx.beginPath();
+      ctx.moveTo(-9*s, band*s);
+      ctx.lineTo(9*s, band*s);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    // Hivelings peeking out
+    ctx.fillStyle = COLORS.dark;
+    ctx.beginPath();
+    ctx.arc(x + 10*s, y + 12*s, 1.5*s, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(x + 18*s, y + 16*s, 1.5*s, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Hiveling - Splitter child
+   * Small, quick drone
+   */
+  function drawHiveling(ctx, x, y, size, frame) {
+    const s = size / 14;
+    const buzz = frame % 2 === 0 ? 1 : -1;
+
+    // Wings
+    ctx.fillStyle = 'rgba(234, 240, 255, 0.5)';
+    ctx.beginPath();
+    ctx.ellipse(x + 4*s, y + 4*s + buzz*0.5*s, 3*s, 2*s, -0.4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.ellipse(x + 10*s, y + 4*s - buzz*0.5*s, 3*s, 2*s, 0.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Striped body
+    ctx.fillStyle = COLORS.gold;
+    ctx.beginPath();
+    ctx.ellipse(x + 7*s, y + 8*s, 4*s, 3*s, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = COLORS.dark;
+    ctx.fillRect(x + 6*s, y + 5*s, 1*s, 6*s);
+    ctx.fillRect(x + 8*s, y + 5*s, 1*s, 6*s);
+  }
+
+  /**
+   * Dune Borer - Burrower
+   * Armored worm with a drill snout
+   */
+  function drawDuneBorer(ctx, x, y, size, frame) {
+    const s = size / 28;
+    const wriggle = Math.sin(frame * Math.PI / 2) * 2;
+
+    // Segmented body
+    ctx.fillStyle = '#8B7355';
+    for (let i = 0; i < 4; i++) {
+      const segmentY = y + 16*s + (i % 2 === 0 ? wriggle : -wriggle) * s * 0.5;
+      ctx.beginPath();
+      ctx.arc(x + (4 + i * 5)*s, segmentY, 4*s, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Armor ridges
+    ctx.strokeStyle = '#5A4A35';
+    ctx.lineWidth = 1*s;
+    for (let i = 0; i < 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo(x + (4 + i * 5)*s, y + 12*s);
+      ctx.lineTo(x + (4 + i * 5)*s, y + 20*s);
+      ctx.stroke();
+    }
+
+    // Drill snout (spinning)
+    ctx.fillStyle = COLORS.gold;
+    ctx.beginPath();
+    ctx.moveTo(x + 22*s, y + 12*s);
+    ctx.lineTo(x + 28*s, y + 16*s);
+    ctx.lineTo(x + 22*s, y + 20*s);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = COLORS.dark;
+    ctx.beginPath();
+    ctx.moveTo(x + 23*s, y + (13 + frame % 4)*s);
+    ctx.lineTo(x + 26*s, y + (15 + frame % 4)*s);
+    ctx.stroke();
+
+    // Dust kicked up
+    ctx.fillStyle = 'rgba(139, 115, 85, 0.4)';
+    ctx.fillRect(x + 0*s, y + 22*s, 3*s, 2*s);
+    ctx.fillRect(x + 6*s, y + 24*s + wriggle*0.5*s, 2*s, 2*s);
+  }
+
+  /**
+   * Hex Totem - Disruptor
+   * Walking totem that pulses a tower-jamming hex
+   */
+  function drawHexTotem(ctx, x, y, size, frame) {
+    const s = size / 28;
+    const pulse = (frame % 6) / 6;
+
+    // Hex pulse ring
+    ctx.strokeStyle = COLORS.red;
+    ctx.globalAlpha = 1 - pulse;
+    ctx.lineWidth = 1.5*s;
+    ctx.beginPath();
+    ctx.arc(x + 14*s, y + 12*s, (6 + pulse * 10)*s, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    // Totem pole
+    ctx.fillStyle = '#3A2A4A';
+    ctx.fillRect(x + 9*s, y + 6*s, 10*s, 18*s);
+
+    // Carved face
+    ctx.fillStyle = COLORS.red;
+    ctx.shadowColor = COLORS.red;
+    ctx.shadowBlur = 8;
+    ctx.fillRect(x + 11*s, y + 10*s, 2*s, 2*s);
+    ctx.fillRect(x + 15*s, y + 10*s, 2*s, 2*s);
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = COLORS.dark;
+    ctx.fillRect(x + 12*s, y + 15*s, 4*s, 2*s);
+
+    // Hex crystal on top
+    ctx.fillStyle = COLORS.red;
+    ctx.beginPath();
+    ctx.moveTo(x + 14*s, y + 0*s);
+    ctx.lineTo(x + 18*s, y + 6*s);
+    ctx.lineTo(x + 10*s, y + 6*s);
+    ctx.closePath();
+    ctx.fill();
+
+    // Stubby feet
+    ctx.fillStyle = '#2A1E35';
+    const step = frame % 2 === 0 ? 1 : 0;
+    ctx.fillRect(x + 9*s, y + 24*s + step*s, 4*s, 4*s);
+    ctx.fillRect(x + 15*s, y + 24*s + (1 - step)*s, 4*s, 4*s);
+  }
+
   // ============================================
   // PUBLIC API
   // ============================================
@@ -0,0 +1,229 @@
+/**
+ * Agents - Name ownership with API keys
+ *
+ * Registering an agent_id claims it and issues an API key. Once a name is
+ * claimed, playing as it (submitting builds, taking interactive turns)
+ * needs the key. Unclaimed names stay open so existing bots keep working.
+ * In-house agent names are reserved: the server plays them itself, and the
+ * house-agent runner (agents/named-agents.js) can play them with the key in
+ * the INHOUSE_API_KEY environment variable.
+ *
+ * Only a SHA-256 hash of each key is stored (keys are long and random, so a
+ * fast hash is enough). The plain key is shown once, when it is issued.
+ */
+
+const crypto = require('crypto');
+const { loadAgentKeys, saveAgentKeys } = require('./persistence');
+const { INHOUSE_ATTACKERS, INHOUSE_DEFENDERS } = require('./matchmaker');
+
+// Issued keys look like 'mdk_' + 48 hex characters
+const KEY_PREFIX = 'mdk_';
+const KEY_BYTES = 24;
+
+// Characters of the key kept in plain text so owners can tell keys apart
+const KEY_HINT_LENGTH = KEY_PREFIX.length + 6;
+
+// Names the server owns (compared case-insensitively)
+const RESERVED_NAMES = new Set([...INHOUSE_ATTACKERS, ...INHOUSE_DEFENDERS].map(name => name.toLowerCase()));
+
+/**
+ * Generate a new API key
+ */
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(KEY_BYTES).toString('hex');
+}
+
+/**
+ * Hash an API key for storage
+ */
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Compare a key against a stored hash in constant time
+ */
+function keyMatches(apiKey, keyHash) {
+  const hash = Buffer.from(hashKey(apiKey), 'hex');
+  const stored = Buffer.from(keyHash, 'hex');
+  return hash.length === stored.length && crypto.timingSafeEqual(hash, stored);
+}
+
+/**
+ * Check whether a name is reserved for an in-house agent
+ * @param {string} agentId - Agent identifier
+ * @returns {boolean}
+ */
+function isReservedName(agentId) {
+  return RESERVED_NAMES.has(agentId.toLowerCase());
+}
+
+/**
+ * Read the API key from a request
+ * Accepts 'Authorization: Bearer <key>' or 'X-API-Key: <key>'.
+ * @param {Object} req - Express request
+ * @returns {string|null} API key or null if none was sent
+ */
+function getRequestKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim() || null;
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Build a key record for storage
+ */
+function createKeyRecord(apiKey, claimedAt) {
+  return {
+    keyHash: hashKey(apiKey),
+    keyHint: apiKey.slice(0, KEY_HINT_LENGTH),
+    claimedAt,
+    rotatedAt: null
+  };
+}
+
+/**
+ * Claim an agent name and issue its API key
+ * @param {string} agentId - Agent identifier (already validated)
+ * @returns {Object} { success, apiKey } or { success: false, code, error }
+ */
+function claimAgent(agentId) {
+  if (isReservedName(agentId)) {
+    return { success: false, code: 403, error: `'${agentId}' is reserved for an in-house agent` };
+  }
+
+  const keys = loadAgentKeys();
+  if (keys[agentId]) {
+    return { success: false, code: 409, error: `'${agentId}' is already registered` };
+  }
+
+  const apiKey = generateKey();
+  keys[agentId] = createKeyRecord(apiKey, Date.now());
+  saveAgentKeys(keys);
+
+  console.log(`[Agents] ${agentId} registered (key ${keys[agentId].keyHint}...)`);
+  return { success: true, apiKey };
+}
+
+/**
+ * Check a key against the in-house key (never matches when none is set)
+ */
+function isInhouseKey(apiKey) {
+  const inhouseKey = process.env.INHOUSE_API_KEY;
+  return !!inhouseKey && !!apiKey && keyMatches(apiKey, hashKey(inhouseKey));
+}
+
+/**
+ * Check that a caller may act as an agent
+ * Unclaimed names are open; claimed names need their key; reserved names
+ * need the in-house key.
+ * @param {string} agentId - Agent identifier
+ * @param {string|null} apiKey - Key sent with the request
+ * @returns {Object} { success, claimed } or { success: false, code, error }
+ */
+function authenticateAgent(agentId, apiKey) {
+  if (isReservedName(agentId)) {
+    if (isInhouseKey(apiKey)) {
+      return { success: true, claimed: false };
+    }
+    return { success: false, code: 403, error: `'${agentId}' is reserved for an in-house agent` };
+  }
+
+  const record = loadAgentKeys()[agentId];
+  if (!record) {
+    return { success: true, claimed: false };
+  }
+
+  if (!apiKey) {
+    return { success: false, code: 401, error: `'${agentId}' is registered: send its API key (Authorization: Bearer <key>)` };
+  }
+  if (!keyMatches(apiKey, record.keyHash)) {
+    return { success: false, code: 401, error: `Invalid API key for '${agentId}'` };
+  }
+
+  return { success: true, claimed: true };
+}
+
+/**
+ * Replace a claimed agent's API key (the old key stops working)
+ * @param {string} agentId - Agent identifier
+ * @param {string|null} apiKey - Current key
+ * @returns {Object} { success, apiKey } or { success: false, code, error }
+ */
+function rotateKey(agentId, apiKey) {
+  const auth = requireClaimed(agentId, apiKey);
+  if (!auth.success) return auth;
+
+  const keys = loadAgentKeys();
+  const newKey = generateKey();
+  keys[agentId] = {
+    ...createKeyRecord(newKey, keys[agentId].claimedAt),
+    rotatedAt: Date.now()
+  };
+  saveAgentKeys(keys);
+
+  console.log(`[Agents] ${agentId} rotated its key (now ${keys[agentId].keyHint}...)`);
+  return { success: true, apiKey: newKey };
+}
+
+/**
+ * Revoke a claimed agent's API key and release the name
+ * The agent's ratings and history are kept; anyone may register the name
+ * again afterwards.
+ * @param {string} agentId - Agent identifier
+ * @param {string|null} apiKey - Current key
+ * @returns {Object} { success } or { success: false, code, error }
+ */
+function revokeKey(agentId, apiKey) {
+  const auth = requireClaimed(agentId, apiKey);
+  if (!auth.success) return auth;
+
+  const keys = loadAgentKeys();
+  delete keys[agentId];
+  saveAgentKeys(keys);
+
+  console.log(`[Agents] ${agentId} revoked its key`);
+  return { success: true };
+}
+
+/**
+ * Authenticate a caller for an action that needs a claimed name
+ */
+function requireClaimed(agentId, apiKey) {
+  const auth = authenticateAgent(agentId, apiKey);
+  if (auth.success && !auth.claimed) {
+    return { success: false, code: 404, error: `'${agentId}' is not registered` };
+  }
+  return auth;
+}
+
+/**
+ * Get public registration info for an agent name
+ * @param {string} agentId - Agent identifier
+ * @returns {Object} { agentId, reserved, registered, claimedAt?, rotatedAt?, keyHint? }
+ */
+function getAgentRegistration(agentId) {
+  const record = loadAgentKeys()[agentId];
+  return {
+    agentId,
+    reserved: isReservedName(agentId),
+    registered: !!record,
+    ...(record && {
+      claimedAt: record.claimedAt,
+      rotatedAt: record.rotatedAt,
+      keyHint: record.keyHint
+    })
+  };
+}
+
+module.exports = {
+  isReservedName,
+  getRequestKey,
+  claimAgent,
+  authenticateAgent,
+  rotateKey,
+  revokeKey,
+  getAgentRegistration
+};
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/**
+ * Balance Impact - What a proposed config patch does to recent matches
+ *
+ * Re-simulates the last N stored matches (same seeds, builds and turns)
+ * under the current config and under the patched config, then reports the
+ * outcomes that flip, win-rate deltas per enemy and tower type, and the
+ * builds that gain or lose the most. Both runs use the current rules, so
+ * the deltas come from the patch alone, whatever version a match was
+ * originally played under. It yields to the event loop between matches,
+ * and one report runs at a time.
+ *
+ * Usage:
+ *   node server/analysis/impact.js tower.sniper.damage=75 [tower.sniper.2.damage=100 ...]
+ *     [--limit 100] [--json]   (uses DATA_DIR or ./data)
+ *
+ * A change is written type.name[.level].stat=value, or type.stat=value for
+ * sections without names (e.g. rules.waveDelay=90); see config/patch.js.
+ */
+
+const { GameConfig } = require('../config/game-config');
+const { getMap } = require('../config/maps');
+const { loadEngine, createEngine } = require('../config/versions');
+const { validateConfigPatch, applyConfigPatch, describeChange } = require('../config/patch');
+const { resimulate, MAX_RESIMULATED_TICKS } = require('../simulation/replay');
+const { loadMatchHistory } = require('../persistence');
+const { nextTick } = require('../background');
+const { analyzeEnemyStats, analyzeTowerStats } = require('./stats');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_FLIPPED_LISTED = 20;
+const MAX_BUILDS_LISTED = 5;
+
+// Reports allowed to run at once (each one keeps a core busy)
+const MAX_RUNNING = 1;
+let running = 0;
+
+/**
+ * Win rate as a whole percentage
+ */
+function winRate(wins, games) {
+  return games > 0 ? Math.round((wins / games) * 100) : 0;
+}
+
+/**
+ * Win-rate change per unit type between two stats tables
+ * Only types used in the sample are reported.
+ */
+function diffWinRates(before, after) {
+  const deltas = {};
+  for (const [type, stats] of Object.entries(before)) {
+    if (stats.timesUsed === 0) continue;
+    deltas[type] = {
+      timesUsed: stats.timesUsed,
+      winRateBefore: stats.winRate,
+      winRateAfter: after[type].winRate,
+      delta: after[type].winRate - stats.winRate
+    };
+  }
+  return deltas;
+}
+
+/**
+ * Group games by build and rank the builds whose wins moved the most
+ * @param {Array} games - [{ record, before, after }]
+ * @param {string} side - 'attack' or 'defense'
+ */
+function rankAffectedBuilds(games, side) {
+  const winner = side === 'attack' ? 'attacker' : 'defender';
+  const builds = new Map();
+
+  for (const { record, before, after } of games) {
+    const build = record.builds[side];
+    const key = JSON.stringify(build);
+    if (!builds.has(key)) {
+      builds.set(key, { build, agents: new Set(), games: 0, winsBefore: 0, winsAfter: 0 });
+    }
+    const entry = builds.get(key);
+    entry.agents.add(record[winner].agentId);
+    entry.games++;
+    if (before === winner) entry.winsBefore++;
+    if (after === winner) entry.winsAfter++;
+  }
+
+  return Array.from(builds.values())
+    .filter(entry => entry.winsBefore !== entry.winsAfter)
+    .map(entry => ({
+      build: entry.build,
+      agents: Array.from(entry.agents),
+      games: entry.games,
+      winRateBefore: winRate(entry.winsBefore, entry.games),
+      winRateAfter: winRate(entry.winsAfter, entry.games),
+      delta: winRate(entry.winsAfter, entry.games) - winRate(entry.winsBefore, entry.games)
+    }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.games - a.games)
+    .slice(0, MAX_BUILDS_LISTED);
+}
+
+/**
+ * Re-simulate recent matches with and without a config patch
+ * @param {Array} changes - Patch changes (see config/patch.js)
+ * @param {Object} options - { limit } matches to re-simulate (default 50, max 200)
+ * @returns {Promise<Object>} { success, report } or { success: false, code, error }
+ */
+async function analyzeImpact(changes, { limit = DEFAULT_LIMIT } = {}) {
+  const validation = validateConfigPatch(changes, GameConfig);
+  if (!validation.valid) {
+    return { success: false, code: 400, error: validation.error };
+  }
+  if (running >= MAX_RUNNING) {
+    return { success: false, code: 429, error: 'Another impact report is running. Try again shortly.' };
+  }
+
+  running++;
+  try {
+    return await buildReport(changes, limit);
+  } finally {
+    running--;
+  }
+}
+
+/**
+ * Re-simulate the sample and put the report together
+ * @param {Array} changes - Validated patch changes
+ * @param {number|string} limit - Matches to re-simulate
+ * @returns {Promise<Object>} { success, report } or { success: false, code, error }
+ */
+async function buildReport(changes, limit) {
+  const patch = applyConfigPatch(GameConfig, changes);
+  const current = loadEngine(GameConfig.version);
+  const patched = createEngine(patch.config);
+
+  const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const records = loadMatchHistory(count);
+  const replayable = records.filter(r => Number.isInteger(r.seed) && r.builds);
+
+  const games = [];
+  const invalidBuilds = [];
+
+  for (const record of replayable) {
+    const map = getMap(record.mapId);
+    const checks = [
+      ['attack', 'attacker', patched.validate.validateAttackBuild(record.builds.attack, map)],
+      ['defense', 'defender', patched.validate.validateDefenseBuild(record.builds.defense, map)]
+    ];
+    for (const [side, role, check] of checks) {
+      if (!check.valid) {
+        invalidBuilds.push({ matchId: record.matchId, side, agentId: record[role].agentId, error: check.error });
+      }
+    }
+
+    const after = resimulate(record, patched);
+    if (after.status !== 'complete') {
+      return {
+        success: false,
+        code: 400,
+        error: `Under the patch match ${record.matchId} does not finish within ${MAX_RESIMULATED_TICKS} ticks`
+      };
+    }
+
+    games.push({
+      record,
+      before: resimulate(record, current).winner,
+      after: after.winner
+    });
+    await nextTick();
+  }
+
+  const withWinner = (key) => games.map(game => ({ ...game.record, winner: game[key] }));
+  const beforeRecords = withWinner('before');
+  const afterRecords = withWinner('after');
+
+  const flipped = games.filter(game => game.before !== game.after);
+  const attackerWinsBefore = games.filter(game => game.before === 'attacker').length;
+  const attackerWinsAfter = games.filter(game => game.after === 'attacker').length;
+
+  const report = {
+    baseVersion: GameConfig.version,
+    changes: patch.changes,
+    sample: {
+      requested: count,
+      simulated: games.length,
+      skipped: records.length - replayable.length
+    },
+    overall: {
+      attackerWinRateBefore: winRate(attackerWinsBefore, games.length),
+      attackerWinRateAfter: winRate(attackerWinsAfter, games.length),
+      flipped: flipped.length,
+      flippedToAttacker: flipped.filter(game => game.after === 'attacker').length,
+      flippedToDefender: flipped.filter(game => game.after === 'defender').length
+    },
+    flipped: flipped.slice(0, MAX_FLIPPED_LISTED).map(({ record, before, after }) => ({
+      matchId: record.matchId,
+      attacker: record.attacker.agentId,
+      defender: record.defender.agentId,
+      before,
+      after
+    })),
+    enemies: diffWinRates(analyzeEnemyStats(beforeRecords), analyzeEnemyStats(afterRecords)),
+    towers: diffWinRates(analyzeTowerStats(beforeRecords), analyzeTowerStats(afterRecords)),
+    mostAffectedBuilds: {
+      attack: rankAffectedBuilds(games, 'attack'),
+      defense: rankAffectedBuilds(games, 'defense')
+    },
+    invalidBuilds
+  };
+  return { success: true, report };
+}
+
+/**
+ * Parse a CLI change ("tower.sniper.2.damage=100")
+ * @returns {Object|null} Patch change or null if malformed
+ */
+function parseChangeArg(arg) {
+  const match = /^([^=]+)=(.+)$/.exec(arg);
+  if (!match) return null;
+
+  const parts = match[1].split('.');
+  if (parts.length < 2 || parts.length > 4) return null;
+
+  const [type, ...rest] = parts;
+  const stat = rest.pop();
+  const change = { type, stat, new: Number(match[2]) };
+  if (rest.length > 0) change.name = rest[0];
+  if (rest.length > 1) change.level = Number(rest[1]);
+  return change;
+}
+
+/**
+ * Print a report for the terminal
+ */
+function printReport(report) {
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+
+  console.log(`Patch against ${report.baseVersion}:`);
+  for (const change of report.changes) {
+    console.log(`  ${describeChange(change)}: ${change.old} -> ${change.new}`);
+  }
+
+  const { sample, overall } = report;
+  console.log(`\nRe-simulated ${sample.simulated} matches (${sample.skipped} without a seed skipped)`);
+  console.log(`Attacker win rate: ${overall.attackerWinRateBefore}% -> ${overall.attackerWinRateAfter}%`);
+  console.log(`Flipped: ${overall.flipped} (${overall.flippedToAttacker} to attacker, ${overall.flippedToDefender} to defender)`);
+  for (const game of report.flipped) {
+    console.log(`  ${game.matchId}  ${game.attacker} vs ${game.defender}: ${game.before} -> ${game.after}`);
+  }
+
+  for (const [label, deltas] of [['Enemy', report.enemies], ['Tower', report.towers]]) {
+    console.log(`\n${label} win rates:`);
+    for (const [type, d] of Object.entries(deltas)) {
+      console.log(`  ${type.padEnd(13)} ${d.winRateBefore}% -> ${d.winRateAfter}% (${signed(d.delta)})`);
+    }
+  }
+
+  for (const side of ['attack', 'defense']) {
+    const builds = report.mostAffectedBuilds[side];
+    console.log(`\nMost affected ${side} builds:${builds.length === 0 ? ' none' : ''}`);
+    for (const entry of builds) {
+      console.log(`  ${signed(entry.delta)}% over ${entry.games} games (${entry.agents.join(', ')}): ${JSON.stringify(entry.build)}`);
+    }
+  }
+
+  if (report.invalidBuilds.length > 0) {
+    console.log(`\n${report.invalidBuilds.length} stored builds would no longer validate:`);
+    for (const entry of report.invalidBuilds) {
+      console.log(`  ${entry.matchId} ${entry.side} (${entry.agentId}): ${entry.error}`);
+    }
+  }
+}
+
+// CLI entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex !== -1 ? args[limitIndex + 1] : DEFAULT_LIMIT;
+  const changeArgs = args.filter((arg, i) => !arg.startsWith('--') && (limitIndex === -1 || i !== limitIndex + 1));
+
+  const changes = changeArgs.map(parseChangeArg);
+  if (changes.length === 0 || changes.includes(null)) {
+    console.error('Usage: node server/analysis/impact.js tower.sniper.damage=75 [...] [--limit 100] [--json]');
+    process.exit(1);
+  }
+
+  analyzeImpact(changes, { limit }).then(result => {
+    if (!result.success) {
+      console.error(`[Impact] ${result.error}`);
+      process.exit(1);
+    }
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(result.report, null, 2));
+    } else {
+      printReport(result.report);
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  analyzeImpact
+};
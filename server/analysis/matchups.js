@@ -0,0 +1,229 @@
+/**
+ * Matchups - How one build fares against a pool of opposing builds
+ *
+ * The build is simulated once against every distinct opposing build in the
+ * pool, through the same createMatch / runMatchInstant path as /simulate.
+ * Pools:
+ * - history: builds opponents actually played in recent matches on the
+ *   same map (per agent, via the match analyzer's getOpponentBuilds)
+ * - presets: the named house agents' builds and the strategies.js
+ *   generators (except the random ones)
+ * - all: both
+ *
+ * Game margins use the optimizer's scale (-1 to 1, positive is a win).
+ * One evaluation runs at a time.
+ */
+
+const path = require('path');
+const { createMatch, runMatchInstant } = require('../simulation/match');
+const { generateSeed } = require('../simulation/rng');
+const { getWaveUnits } = require('../simulation/enemies');
+const { validateAttackBuild, validateDefenseBuild } = require('../api/validate');
+const { getMap, DEFAULT_MAP_ID } = require('../config/maps');
+const { loadMatchHistory } = require('../persistence');
+const { NAMED_AGENTS } = require('../named-agents');
+const { nextTick } = require('../background');
+const { scoreAttackMargin } = require('../optimizer');
+const {
+  ATTACK_STRATEGIES,
+  DEFEND_STRATEGIES,
+  generateAttackBuild,
+  generateDefenseBuild
+} = require(path.join(__dirname, '../../agents/strategies'));
+const { getOpponentBuilds } = require(path.join(__dirname, '../../agents/learning/match-analyzer'));
+
+const POOLS = ['history', 'presets', 'all'];
+
+// Recent matches scanned for the history pool
+const HISTORY_LIMIT = { default: 200, min: 1, max: 1000 };
+
+// Builds kept per opposing agent from history
+const BUILDS_PER_AGENT = 10;
+
+// Opposing builds simulated per request
+const MAX_POOL_SIZE = 100;
+
+const WORST_MATCHUPS_LISTED = 5;
+
+// Evaluations allowed to run at once (each one keeps a core busy)
+const MAX_RUNNING = 1;
+let running = 0;
+
+/**
+ * Collect opposing builds from recent history on a map
+ * @param {string} opposingSide - 'attack' or 'defend'
+ * @param {string} mapId - Map identifier
+ * @param {number} limit - Recent matches to scan
+ * @returns {Array} [{ source, agentId, matchId, build }]
+ */
+function collectHistoryBuilds(opposingSide, mapId, limit) {
+  const history = loadMatchHistory(limit).filter(m => (m.mapId || DEFAULT_MAP_ID) === mapId);
+  const role = opposingSide === 'attack' ? 'attacker' : 'defender';
+  const agentIds = new Set(history.map(m => m[role]?.agentId).filter(Boolean));
+
+  const entries = [];
+  for (const agentId of agentIds) {
+    for (const played of getOpponentBuilds(agentId, history, BUILDS_PER_AGENT)) {
+      if (played.side === opposingSide && played.build) {
+        entries.push({ source: 'history', agentId, matchId: played.matchId, build: played.build });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Collect the named agents' builds and strategy presets for a side
+ * @param {string} opposingSide - 'attack' or 'defend'
+ * @returns {Array} [{ source, name, build }]
+ */
+function collectPresetBuilds(opposingSide) {
+  const named = Object.entries(NAMED_AGENTS)
+    .filter(([, agent]) => agent.side === opposingSide)
+    .map(([name, agent]) => ({ source: 'named', name, build: agent.build }));
+
+  const strategyNames = opposingSide === 'attack' ? ATTACK_STRATEGIES : DEFEND_STRATEGIES;
+  const generate = opposingSide === 'attack' ? generateAttackBuild : generateDefenseBuild;
+  const generated = strategyNames
+    .filter(name => name !== 'random')
+    .map(name => ({ source: 'strategy', name, build: generate(name) }));
+
+  return [...named, ...generated];
+}
+
+/**
+ * Unit types a build uses (enemy types for attacks, tower types for defenses)
+ */
+function getBuildUnitTypes(build, side) {
+  if (side === 'attack') {
+    return new Set((build.waves || []).flatMap(wave => getWaveUnits(wave).map(([type]) => type)));
+  }
+  const towers = Array.isArray(build.towers) ? build.towers : Object.values(build.towers || {});
+  return new Set(towers.map(tower => (typeof tower === 'string' ? tower : tower.type)).filter(Boolean));
+}
+
+/**
+ * Loss rate per opposing unit type: the types most present when the build lost
+ */
+function summarizeCounters(matchups, opposingSide) {
+  const types = {};
+  for (const matchup of matchups) {
+    for (const type of getBuildUnitTypes(matchup.build, opposingSide)) {
+      types[type] = types[type] || { type, games: 0, losses: 0 };
+      types[type].games++;
+      if (!matchup.won) types[type].losses++;
+    }
+  }
+
+  return Object.values(types)
+    .map(entry => ({ ...entry, lossRate: Math.round((entry.losses / entry.games) * 100) }))
+    .filter(entry => entry.losses > 0)
+    .sort((a, b) => b.lossRate - a.lossRate || b.losses - a.losses);
+}
+
+/**
+ * Evaluate a build against a pool of opposing builds
+ * @param {Object} options - {
+ *   side: 'attack' | 'defend' (the build's side), build (already validated),
+ *   pool: 'history' | 'presets' | 'all', mapId, limit?, seed?
+ * }
+ * @returns {Promise<Object>} { success, result } or { success: false, code, error }
+ */
+async function evaluateAgainstPool(options) {
+  if (running >= MAX_RUNNING) {
+    return { success: false, code: 429, error: 'Another pool evaluation is running. Try again shortly.' };
+  }
+
+  running++;
+  try {
+    return await playPool(options);
+  } finally {
+    running--;
+  }
+}
+
+/**
+ * Simulate the build against every opposing build in the pool
+ * @param {Object} options - See evaluateAgainstPool
+ * @returns {Promise<Object>} { success, result } or { success: false, code, error }
+ */
+async function playPool(options) {
+  const { side, build, mapId } = options;
+  const opposingSide = side === 'attack' ? 'defend' : 'attack';
+  const map = getMap(mapId);
+  const seed = options.seed ?? generateSeed();
+  const validateOpponent = opposingSide === 'attack' ? validateAttackBuild : validateDefenseBuild;
+
+  const candidates = [
+    ...(options.pool !== 'presets' ? collectHistoryBuilds(opposingSide, mapId, options.limit || HISTORY_LIMIT.default) : []),
+    ...(options.pool !== 'history' ? collectPresetBuilds(opposingSide) : [])
+  ];
+
+  // One entry per distinct build that is valid on this map
+  const seen = new Set();
+  const pool = [];
+  let skipped = 0;
+  for (const entry of candidates) {
+    const key = JSON.stringify(entry.build);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!validateOpponent(entry.build, map).valid) {
+      skipped++;
+      continue;
+    }
+    pool.push(entry);
+  }
+
+  if (pool.length === 0) {
+    return { success: false, code: 404, error: `No opposing ${opposingSide} builds found for map '${mapId}' in the ${options.pool} pool` };
+  }
+  const truncated = pool.length > MAX_POOL_SIZE;
+  pool.length = Math.min(pool.length, MAX_POOL_SIZE);
+
+  const matchups = [];
+  for (const [i, entry] of pool.entries()) {
+    const [attack, defense] = side === 'attack' ? [build, entry.build] : [entry.build, build];
+    const match = createMatch(
+      `pool_${i + 1}`,
+      { agentId: 'pool_attacker', build: structuredClone(attack) },
+      { agentId: 'pool_defender', build: structuredClone(defense) },
+      { mapId, seed }
+    );
+    runMatchInstant(match);
+
+    const attackMargin = scoreAttackMargin(match);
+    const margin = Math.round((side === 'attack' ? attackMargin : -attackMargin) * 1000) / 1000;
+    matchups.push({ ...entry, won: margin > 0, margin });
+    await nextTick();
+  }
+
+  const wins = matchups.filter(m => m.won).length;
+  const marginSum = matchups.reduce((sum, m) => sum + m.margin, 0);
+
+  return {
+    success: true,
+    result: {
+      side,
+      mapId,
+      pool: options.pool,
+      seed,
+      games: matchups.length,
+      skipped,
+      truncated,
+      wins,
+      winRate: Math.round((wins / matchups.length) * 100),
+      margin: Math.round((marginSum / matchups.length) * 1000) / 1000,
+      worstMatchups: [...matchups]
+        .sort((a, b) => a.margin - b.margin)
+        .slice(0, WORST_MATCHUPS_LISTED),
+      beatenBy: summarizeCounters(matchups, opposingSide)
+    }
+  };
+}
+
+module.exports = {
+  POOLS,
+  HISTORY_LIMIT,
+  MAX_POOL_SIZE,
+  evaluateAgainstPool
+};
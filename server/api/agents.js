@@ -0,0 +1,106 @@
+/**
+ * Agents API - Register agent names and manage their API keys
+ *
+ * Registering claims an agent_id; from then on /submit and interactive
+ * turns for that name need its key, sent as 'Authorization: Bearer <key>'
+ * (or 'X-API-Key: <key>'). Keys are only shown when issued.
+ */
+
+const express = require('express');
+const { validateAgentId } = require('./validate');
+const {
+  getRequestKey,
+  claimAgent,
+  rotateKey,
+  revokeKey,
+  getAgentRegistration
+} = require('../agents');
+
+const router = express.Router();
+
+/**
+ * POST /agents/register
+ * Claim an agent name and get its API key
+ *
+ * Body:
+ *   agent_id: string
+ */
+router.post('/register', (req, res) => {
+  const agentId = req.body.agent_id;
+
+  const validation = validateAgentId(agentId);
+  if (!validation.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: validation.error
+    });
+  }
+
+  const result = claimAgent(agentId);
+  if (!result.success) {
+    return res.status(result.code).json({
+      status: 'error',
+      error: result.error
+    });
+  }
+
+  res.status(201).json({
+    status: 'registered',
+    agent_id: agentId,
+    api_key: result.apiKey,
+    message: 'Store this key now - it is not shown again. Send it as Authorization: Bearer <key>.'
+  });
+});
+
+/**
+ * GET /agents/:agentId
+ * Public registration info (never the key)
+ */
+router.get('/:agentId', (req, res) => {
+  res.json(getAgentRegistration(req.params.agentId));
+});
+
+/**
+ * POST /agents/:agentId/rotate-key
+ * Issue a new key (authenticated with the current one, which stops working)
+ */
+router.post('/:agentId/rotate-key', (req, res) => {
+  const agentId = req.params.agentId;
+  const result = rotateKey(agentId, getRequestKey(req));
+  if (!result.success) {
+    return res.status(result.code).json({
+      status: 'error',
+      error: result.error
+    });
+  }
+
+  res.json({
+    status: 'rotated',
+    agent_id: agentId,
+    api_key: result.apiKey,
+    message: 'The previous key no longer works. Store this key now - it is not shown again.'
+  });
+});
+
+/**
+ * POST /agents/:agentId/revoke
+ * Revoke the key and release the name (authenticated with the current key)
+ */
+router.post('/:agentId/revoke', (req, res) => {
+  const agentId = req.params.agentId;
+  const result = revokeKey(agentId, getRequestKey(req));
+  if (!result.success) {
+    return res.status(result.code).json({
+      status: 'error',
+      error: result.error
+    });
+  }
+
+  res.json({
+    status: 'revoked',
+    agent_id: agentId,
+    message: 'Key revoked. The name is unclaimed until it is registered again.'
+  });
+});
+
+module.exports = router;
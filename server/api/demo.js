@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const { addToQueue, removeFromQueue } = require('../matchmaker');
 const { loadMatchHistory, getLeaderboard } = require('../persistence');
+const { NAMED_AGENTS } = require('../named-agents');
 
 // Import strategies from agents folder
 const strategies = require(path.join(__dirname, '../../agents/strategies.js'));
@@ -12,143 +13,6 @@ const { getMetaAnalysis } = require(path.join(__dirname, '../../agents/learning/
 
 const router = express.Router();
 
-// Named agents with persistent identities for ELO tracking
-const NAMED_AGENTS = {
-  // Attackers
-  BlitzRunner: {
-    side: 'attack',
-    description: 'Fast rush - runners with speedBoost',
-    build: {
-      waves: [
-        { runner: 2 },
-        { runner: 2 },
-        { runner: 1, swarm: 1 },
-        { runner: 2 },
-        { runner: 1 }
-      ],
-      waveTimings: [
-        { rush: false },
-        { rush: true },
-        { rush: true },
-        { rush: true },
-        { rush: true }
-      ],
-      powerUps: [
-        { type: 'speedBoost', wave: 5 }
-      ]
-    }
-  },
-
-  IronWall: {
-    side: 'attack',
-    description: 'Tank sustain - tanks with healPulse',
-    build: {
-      waves: [
-        { tank: 1 },
-        { tank: 1 },
-        { healer: 1 },
-        { regenerator: 1 },
-        { tank: 1 }
-      ],
-      waveTimings: [
-        { rush: false },
-        { rush: false },
-        { rush: false },
-        { rush: false },
-        { rush: false }
-      ],
-      powerUps: [
-        { type: 'healPulse', wave: 5 }
-      ]
-    }
-  },
-
-  Spectre: {
-    side: 'attack',
-    description: 'Stealth regen - invisibility and shields',
-    build: {
-      waves: [
-        { shieldBearer: 1 },
-        { runner: 2 },
-        { healer: 1 },
-        { regenerator: 1 },
-        { runner: 1 }
-      ],
-      waveTimings: [
-        { rush: false },
-        { rush: true },
-        { rush: false },
-        { rush: false },
-        { rush: true }
-      ],
-      powerUps: [
-        { type: 'shield', wave: 4 },
-        { type: 'invisibility', wave: 5 }
-      ]
-    }
-  },
-
-  // Defenders
-  Sentinel: {
-    side: 'defend',
-    description: 'Balanced defense - sniper, chain, slow',
-    build: {
-      towers: [
-        { x: 150, type: 'sniper', lane: 'top' },
-        { x: 400, type: 'chain', lane: 'bottom' },
-        { x: 600, type: 'slow', lane: 'top' },
-        { x: 800, type: 'basic', lane: 'bottom' }
-      ],
-      powerUps: []
-    }
-  },
-
-  Fortress: {
-    side: 'defend',
-    description: 'Slow wall - maximize enemy time in range',
-    build: {
-      towers: [
-        { x: 100, type: 'slow', lane: 'top' },
-        { x: 300, type: 'slow', lane: 'bottom' },
-        { x: 500, type: 'support', lane: 'top' },
-        { x: 600, type: 'basic', lane: 'bottom' },
-        { x: 800, type: 'slow', lane: 'top' }
-      ],
-      powerUps: []
-    }
-  },
-
-  Striker: {
-    side: 'defend',
-    description: 'Burst damage - front-loaded burst towers',
-    build: {
-      towers: [
-        { x: 100, type: 'burst', lane: 'top' },
-        { x: 250, type: 'burst', lane: 'bottom' },
-        { x: 450, type: 'basic', lane: 'top' },
-        { x: 650, type: 'basic', lane: 'bottom' }
-      ],
-      powerUps: []
-    }
-  },
-
-  Guardian: {
-    side: 'defend',
-    description: 'Support focused - buffed damage output',
-    build: {
-      towers: [
-        { x: 200, type: 'support', lane: 'top' },
-        { x: 280, type: 'burst', lane: 'bottom' },
-        { x: 500, type: 'chain', lane: 'top' },
-        { x: 700, type: 'slow', lane: 'bottom' }
-      ],
-      powerUps: [
-        { type: 'damageBoost', wave: 4 }
-      ]
-    }
-  }
-};
-
 // Get all attackers and defenders
 const ATTACKERS = Object.entries(NAMED_AGENTS).filter(([, v]) => v.side === 'attack').map(([k]) => k);
 const DEFENDERS = Object.entries(NAMED_AGENTS).filter(([, v]) => v.side === 'defend').map(([k]) => k);
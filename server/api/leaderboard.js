@@ -1,5 +1,6 @@
 const express = require('express');
 const { getLeaderboard, getAgentRanking } = require('../persistence');
+const { RATING_SYSTEMS, DEFAULT_SYSTEM } = require('../ratings');
 
 const router = express.Router();
 
@@ -19,6 +20,14 @@ const NAMED_AGENTS = {
 // Pattern to detect auto-generated demo agent names (e.g., attacker_3_1770099697601, demo_back-heavy_1770093074723)
 const AUTO_GENERATED_PATTERN = /^(attacker|defender|demo|batch)_.*_\d{10,}$/;
 
+// ?side= values ('defend' matches the submission side name)
+const LEADERBOARD_SIDES = {
+  combined: 'combined',
+  attack: 'attack',
+  defense: 'defense',
+  defend: 'defense'
+};
+
 /**
  * Check if an agent ID is an auto-generated demo name
  */
@@ -28,19 +37,38 @@ function isAutoGeneratedDemo(agentId) {
 
 /**
  * GET /leaderboard
- * Get top agents sorted by ELO
+ * Get top agents sorted by ELO (or by the chosen system and side)
  * Excludes auto-generated demo agents by default (keeps in-house + external bots)
  *
  * Query params:
  *   limit: number (1-100, default 50)
  *   include_auto: boolean (if true, include auto-generated demo agents)
+ *   system: 'elo' | 'glicko2' (default 'elo')
+ *   side: 'combined' | 'attack' | 'defense' (default 'combined')
  */
 router.get('/', (req, res) => {
   const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
   const includeAuto = req.query.include_auto === 'true';
+  const system = req.query.system || DEFAULT_SYSTEM;
+  const sideParam = req.query.side || 'combined';
+  // Own keys only, so names like 'constructor' are rejected
+  const side = Object.hasOwn(LEADERBOARD_SIDES, sideParam) ? LEADERBOARD_SIDES[sideParam] : null;
+
+  if (!Object.hasOwn(RATING_SYSTEMS, system)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `system must be one of ${Object.keys(RATING_SYSTEMS).join(', ')}`
+    });
+  }
+  if (!side) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'side must be one of combined, attack, defense'
+    });
+  }
 
   // Get all rankings
-  let leaderboard = getLeaderboard(1000);
+  let leaderboard = getLeaderboard(1000, { system, side });
 
   // Exclude auto-generated demo agents by default (keep in-house named agents)
   if (!includeAuto) {
@@ -63,6 +91,8 @@ router.get('/', (req, res) => {
   }));
 
   res.json({
+    system,
+    side,
     totalAgents,
     totalRanked: leaderboard.length,
     leaderboard
@@ -1,5 +1,7 @@
 const express = require('express');
-const { loadMatchHistory, getAgentRanking, loadEloRankings } = require('../persistence');
+const { loadMatchHistory, getAgentMatchHistory, getAgentRanking, loadEloRankings } = require('../persistence');
+const { getWaveUnits } = require('../simulation/enemies');
+const { resolveConfigVersion } = require('../config/versions');
 
 const router = express.Router();
 
@@ -11,6 +13,7 @@ const router = express.Router();
  *   agentId: string (optional) - Filter by specific agent
  *   limit: number (1-100, default 50)
  *   side: 'attack' | 'defend' (optional) - Filter by side
+ *   config_version: string (optional) - Only matches played under this version ('current' for the running one)
  *
  * Returns matches with full build details for learning
  */
@@ -18,13 +21,20 @@ router.get('/history', (req, res) => {
   const { agentId, side } = req.query;
   const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
 
-  let history = loadMatchHistory();
+  const versionCheck = req.query.config_version ? resolveConfigVersion(req.query.config_version) : { valid: true };
+  if (!versionCheck.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: versionCheck.error
+    });
+  }
+  const configVersion = versionCheck.version || null;
+
+  // Agent filter uses the storage agent index
+  let history = agentId ? getAgentMatchHistory(agentId) : loadMatchHistory();
 
-  // Filter by agent if specified
-  if (agentId) {
-    history = history.filter(m =>
-      m.attacker?.agentId === agentId || m.defender?.agentId === agentId
-    );
+  if (configVersion) {
+    history = history.filter(m => m.configVersion === configVersion);
   }
 
   // Filter by side if specified
@@ -40,6 +50,7 @@ router.get('/history', (req, res) => {
     .slice(0, limit)
     .map(m => ({
       matchId: m.matchId,
+      configVersion: m.configVersion || null,
       winner: m.winner,
       duration: m.endTime && m.startTime
         ? Math.round((m.endTime - m.startTime) / 1000)
@@ -61,7 +72,7 @@ router.get('/history', (req, res) => {
 
   res.json({
     total: matches.length,
-    filter: { agentId: agentId || null, side: side || null },
+    filter: { agentId: agentId || null, side: side || null, configVersion },
     matches
   });
 });
@@ -75,9 +86,20 @@ router.get('/history', (req, res) => {
  *   - Most successful defense strategies
  *   - Win rates by enemy type usage
  *   - Win rates by tower type usage
+ *
+ * Query params:
+ *   config_version: string (optional) - Only matches played under this version ('current' for the running one)
  */
 router.get('/meta', (req, res) => {
-  const history = loadMatchHistory();
+  const versionCheck = req.query.config_version ? resolveConfigVersion(req.query.config_version) : { valid: true };
+  if (!versionCheck.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: versionCheck.error
+    });
+  }
+
+  const history = loadMatchHistory(undefined, { configVersion: versionCheck.version });
 
   if (history.length === 0) {
     return res.json({
@@ -114,12 +136,8 @@ router.get('/meta', (req, res) => {
  */
 router.get('/opponent/:agentId', (req, res) => {
   const { agentId } = req.params;
-  const history = loadMatchHistory();
-
   // Find matches where this agent participated
-  const agentMatches = history.filter(m =>
-    m.attacker?.agentId === agentId || m.defender?.agentId === agentId
-  );
+  const agentMatches = getAgentMatchHistory(agentId);
 
   if (agentMatches.length === 0) {
     return res.status(404).json({
@@ -181,7 +199,7 @@ function analyzeAttackStrategies(history) {
     // Count enemy type usage
     if (build.waves) {
       build.waves.forEach(wave => {
-        Object.entries(wave).forEach(([type, count]) => {
+        getWaveUnits(wave).forEach(([type, count]) => {
           if (!enemyUsage[type]) {
             enemyUsage[type] = { used: 0, wins: 0 };
           }
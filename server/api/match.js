@@ -1,9 +1,14 @@
 const express = require('express');
-const { getMatch } = require('../matchmaker');
+const { getMatch, waitForTurn, submitMatchTurn, getAgentSide } = require('../matchmaker');
 const { getMatchState } = require('../simulation/match');
+const { getTurnSummary } = require('../simulation/turns');
+const { getRequestKey, authenticateAgent } = require('../agents');
 
 const router = express.Router();
 
+// Longest a turn long-poll may wait (seconds)
+const MAX_TURN_WAIT = 30;
+
 /**
  * GET /match/:id
  * Get current state of a match for spectating
@@ -23,4 +28,104 @@ router.get('/:id', (req, res) => {
   res.json(state);
 });
 
+/**
+ * GET /match/:id/turn
+ * Long-poll for the next between-wave turn of an interactive match
+ *
+ * Query params:
+ *   agent_id: string - include your own plan and bank in the summary
+ *     (registered agents send their API key; without it the summary is public)
+ *   wait: number (default 0, max 30) - seconds to wait for a turn to open
+ *     (once you have submitted, waits for the following turn instead)
+ */
+router.get('/:id/turn', async (req, res) => {
+  const matchId = req.params.id;
+  const wait = Math.min(Math.max(parseInt(req.query.wait) || 0, 0), MAX_TURN_WAIT);
+
+  let match = getMatch(matchId);
+  if (!match) {
+    return res.status(404).json({
+      status: 'error',
+      error: 'Match not found'
+    });
+  }
+
+  // Only the agent itself may see its plan, so check the key like POST does
+  const agentId = req.query.agent_id;
+  const auth = agentId ? authenticateAgent(agentId, getRequestKey(req)) : null;
+  const side = auth?.success ? getAgentSide(match, agentId) : null;
+
+  if (wait > 0) {
+    const submittedWave = side && match.turn?.submitted[side] ? match.turn.wave : 0;
+    await waitForTurn(matchId, wait * 1000, submittedWave);
+    match = getMatch(matchId);
+  }
+
+  if (match.status !== 'in_progress') {
+    return res.json({
+      status: match.status,
+      match_id: matchId,
+      results_url: `/results/${matchId}`
+    });
+  }
+
+  if (!match.turn || match.turn.status !== 'open') {
+    return res.json({
+      status: 'waiting',
+      match_id: matchId,
+      interactive: match.interactive,
+      currentWave: match.currentWave
+    });
+  }
+
+  res.json({
+    status: 'turn_open',
+    ...getTurnSummary(match, side)
+  });
+});
+
+/**
+ * POST /match/:id/turn
+ * Submit a between-wave turn (interactive matches only, once per turn)
+ *
+ * Body:
+ *   agent_id: string - your agent (must be playing in this match; registered
+ *             agents send their API key)
+ *   Attacker: wave?: object (next wave's composition), powerUps?: [{ type }]
+ *   Defender: sell?: [towerId], move?: [{ id, x, y?, lane? }],
+ *             add?: [{ x, y?, type, lane?, level?, targeting? }], powerUps?: [{ type }]
+ */
+router.post('/:id/turn', (req, res) => {
+  const { agent_id: agentId, ...turn } = req.body;
+
+  if (!agentId || typeof agentId !== 'string') {
+    return res.status(400).json({
+      status: 'error',
+      error: 'agent_id is required and must be a string'
+    });
+  }
+
+  const auth = authenticateAgent(agentId, getRequestKey(req));
+  if (!auth.success) {
+    return res.status(auth.code).json({
+      status: 'error',
+      error: auth.error
+    });
+  }
+
+  const result = submitMatchTurn(req.params.id, agentId, turn);
+  if (!result.success) {
+    return res.status(result.code).json({
+      status: 'error',
+      error: result.error
+    });
+  }
+
+  res.json({
+    status: 'ok',
+    side: result.side,
+    wave: result.wave
+  });
+});
+
 module.exports = router;
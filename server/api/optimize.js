@@ -0,0 +1,154 @@
+/**
+ * Optimize API - Search for the best counter to an opponent build
+ *
+ * Runs a genetic build search (see server/optimizer.js) whose fitness is
+ * real simulated matches against the given opponent build or pool. The
+ * request returns when the generation or time budget runs out. Nothing is
+ * saved and ELO is not changed.
+ */
+
+const express = require('express');
+const { validateAttackBuild, validateDefenseBuild } = require('./validate');
+const { getMap, getAvailableMaps, DEFAULT_MAP_ID } = require('../config/maps');
+const { SIDES, LIMITS, optimizeBuild } = require('../optimizer');
+
+const router = express.Router();
+
+/**
+ * Read an optional integer option within its limits
+ * @returns {Object} { valid, value?, error? }
+ */
+function readLimit(body, field, limit) {
+  const value = body[field];
+  if (value === undefined) return { valid: true, value: limit.default };
+  if (!Number.isInteger(value) || value < limit.min || value > limit.max) {
+    return { valid: false, error: `${field} must be an integer from ${limit.min} to ${limit.max}` };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Validate an optimize request
+ * @param {Object} body - Request body
+ * @param {Object} map - Map the search plays on
+ * @returns {Object} { valid, error?, options? }
+ */
+function validateOptimizeRequest(body, map) {
+  if (!SIDES.includes(body.side)) {
+    return { valid: false, error: `side must be one of ${SIDES.join(', ')} (the side to optimize)` };
+  }
+
+  if ((body.opponent === undefined) === (body.opponents === undefined)) {
+    return { valid: false, error: 'Provide either opponent (one build) or opponents (a pool of builds)' };
+  }
+  const opponents = body.opponents ?? [body.opponent];
+  if (!Array.isArray(opponents) || opponents.length === 0 || opponents.length > LIMITS.opponents.max) {
+    return { valid: false, error: `opponents must be an array of 1-${LIMITS.opponents.max} builds` };
+  }
+
+  // Opponents play the other side
+  const validateOpponent = body.side === 'attack' ? validateDefenseBuild : validateAttackBuild;
+  for (let i = 0; i < opponents.length; i++) {
+    const validation = validateOpponent(opponents[i], map);
+    if (!validation.valid) {
+      return { valid: false, error: `Opponent ${i + 1}: ${validation.error}` };
+    }
+  }
+
+  const startBuilds = body.start_builds ?? [];
+  if (!Array.isArray(startBuilds) || startBuilds.length > LIMITS.startBuilds.max) {
+    return { valid: false, error: `start_builds must be an array of at most ${LIMITS.startBuilds.max} builds` };
+  }
+  const validateOwn = body.side === 'attack' ? validateAttackBuild : validateDefenseBuild;
+  for (let i = 0; i < startBuilds.length; i++) {
+    const validation = validateOwn(startBuilds[i], map);
+    if (!validation.valid) {
+      return { valid: false, error: `Start build ${i + 1}: ${validation.error}` };
+    }
+  }
+
+  const seed = body.seed;
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    return { valid: false, error: 'seed must be an integer from 0 to 4294967295' };
+  }
+
+  const generations = readLimit(body, 'generations', LIMITS.generations);
+  const population = readLimit(body, 'population', LIMITS.population);
+  const timeBudget = readLimit(body, 'time_budget_ms', LIMITS.timeBudgetMs);
+  const topK = readLimit(body, 'top_k', LIMITS.topK);
+  for (const check of [generations, population, timeBudget, topK]) {
+    if (!check.valid) return check;
+  }
+
+  return {
+    valid: true,
+    options: {
+      side: body.side,
+      opponents,
+      startBuilds,
+      seed,
+      generations: generations.value,
+      population: population.value,
+      timeBudgetMs: timeBudget.value,
+      topK: topK.value
+    }
+  };
+}
+
+/**
+ * POST /optimize
+ * Find the builds that beat an opponent build (or pool) most convincingly
+ *
+ * Body:
+ *   side: 'attack' | 'defend' - the side to optimize
+ *   opponent: object - one opponent build (the other side), or
+ *   opponents: array - a pool of up to 8 opponent builds
+ *   map_id: string (default 'default')
+ *   start_builds: array (optional) - up to 10 of your own builds to start from
+ *   generations: number (1-50, default 10)
+ *   population: number (4-40, default 16)
+ *   time_budget_ms: number (500-30000, default 10000)
+ *   top_k: number (1-10, default 3)
+ *   seed: number (optional) - match seed used for every game
+ */
+router.post('/', async (req, res) => {
+  const mapId = req.body.map_id || DEFAULT_MAP_ID;
+  const map = getMap(mapId);
+  if (!map) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Unknown map_id '${mapId}'. Available: ${getAvailableMaps().join(', ')}`
+    });
+  }
+
+  const validation = validateOptimizeRequest(req.body, map);
+  if (!validation.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: validation.error
+    });
+  }
+
+  try {
+    const outcome = await optimizeBuild({ ...validation.options, mapId });
+    if (!outcome.success) {
+      return res.status(outcome.code).json({
+        status: 'error',
+        error: outcome.error
+      });
+    }
+
+    res.json({
+      status: 'ok',
+      ...outcome.result
+    });
+  } catch (error) {
+    console.error('[Optimize] Search failed:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Optimization failed'
+    });
+  }
+});
+
+module.exports = router;
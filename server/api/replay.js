@@ -1,21 +1,65 @@
 /**
  * Replay API - Serves match replay data for playback
+ *
+ * Events come from re-simulating the match (seed + builds under its config
+ * version, see simulation/replay.js) when it reproduces the stored result,
+ * and from the stored event log otherwise (older matches).
  */
 
 const express = require('express');
-const { loadMatchHistory } = require('../persistence');
+const { loadMatchHistory, getMatchRecord } = require('../persistence');
+const { DEFAULT_MAP_ID } = require('../config/maps');
+const { canResimulate, verifyRecord } = require('../simulation/replay');
 
 const router = express.Router();
 
+// ?source= values for replay events
+const EVENT_SOURCES = ['auto', 'simulation', 'stored'];
+
+/**
+ * Get a stored match's replay events
+ * @param {Object} match - Stored match record (with events)
+ * @param {string} source - 'auto', 'simulation' or 'stored'
+ * @returns {Object} { source, events } or { error } if simulation isn't possible
+ */
+function getReplayEvents(match, source) {
+  if (source === 'stored' || (source === 'auto' && !canResimulate(match))) {
+    return { source: 'stored', events: match.events || [] };
+  }
+
+  if (!canResimulate(match)) {
+    return { error: 'Match was stored without a seed or config version snapshot and cannot be re-simulated' };
+  }
+
+  const verification = verifyRecord(match);
+  if (!verification.reproducible) {
+    if (source === 'simulation') {
+      return { error: 'Re-simulation does not reproduce the stored result (see /verify)' };
+    }
+    return { source: 'stored', events: match.events || [] };
+  }
+
+  return { source: 'simulation', events: verification.match.events };
+}
+
 /**
  * GET /replay/:matchId
  * Returns full match data including events for replay playback
+ *
+ * Query params:
+ *   source: 'auto' (default) | 'simulation' | 'stored' - where events come from
  */
 router.get('/:matchId', (req, res) => {
   const { matchId } = req.params;
+  const source = req.query.source || 'auto';
 
-  const history = loadMatchHistory();
-  const match = history.find(m => m.matchId === matchId);
+  if (!EVENT_SOURCES.includes(source)) {
+    return res.status(400).json({
+      error: `source must be one of ${EVENT_SOURCES.join(', ')}`
+    });
+  }
+
+  const match = getMatchRecord(matchId);
 
   if (!match) {
     return res.status(404).json({
@@ -24,6 +68,14 @@ router.get('/:matchId', (req, res) => {
     });
   }
 
+  const replay = getReplayEvents(match, source);
+  if (replay.error) {
+    return res.status(409).json({
+      error: replay.error,
+      matchId
+    });
+  }
+
   // Calculate duration from timestamps
   const duration = match.endTime && match.startTime
     ? Math.round((match.endTime - match.startTime) / 1000)
@@ -31,8 +83,11 @@ router.get('/:matchId', (req, res) => {
 
   res.json({
     matchId: match.matchId,
+    mapId: match.mapId || DEFAULT_MAP_ID,
     winner: match.winner,
     wavesCompleted: match.wavesCompleted,
+    seed: match.seed ?? null,
+    configVersion: match.configVersion || null,
     duration,
     startTime: match.startTime,
     endTime: match.endTime,
@@ -50,20 +105,31 @@ router.get('/:matchId', (req, res) => {
       damageDealt: match.defender.damageDealt
     },
     waveBreakdown: match.waveBreakdown || [],
-    events: match.events || []
+    eventSource: replay.source,
+    events: replay.events
   });
 });
 
 /**
  * GET /replay/:matchId/events
  * Returns just the events array for lighter replay requests
+ *
+ * Query params:
+ *   fromTick, toTick: number - tick range (inclusive)
+ *   source: 'auto' (default) | 'simulation' | 'stored'
  */
 router.get('/:matchId/events', (req, res) => {
   const { matchId } = req.params;
   const { fromTick, toTick } = req.query;
+  const source = req.query.source || 'auto';
 
-  const history = loadMatchHistory();
-  const match = history.find(m => m.matchId === matchId);
+  if (!EVENT_SOURCES.includes(source)) {
+    return res.status(400).json({
+      error: `source must be one of ${EVENT_SOURCES.join(', ')}`
+    });
+  }
+
+  const match = getMatchRecord(matchId);
 
   if (!match) {
     return res.status(404).json({
@@ -72,7 +138,15 @@ router.get('/:matchId/events', (req, res) => {
     });
   }
 
-  let events = match.events || [];
+  const replay = getReplayEvents(match, source);
+  if (replay.error) {
+    return res.status(409).json({
+      error: replay.error,
+      matchId
+    });
+  }
+
+  let events = replay.events;
 
   // Filter by tick range if specified
   if (fromTick !== undefined || toTick !== undefined) {
@@ -83,11 +157,53 @@ router.get('/:matchId/events', (req, res) => {
 
   res.json({
     matchId,
+    eventSource: replay.source,
     eventCount: events.length,
     events
   });
 });
 
+/**
+ * GET /replay/:matchId/verify
+ * Re-simulate a stored match and check that it reproduces the stored result
+ */
+router.get('/:matchId/verify', (req, res) => {
+  const { matchId } = req.params;
+
+  const match = getMatchRecord(matchId);
+
+  if (!match) {
+    return res.status(404).json({
+      error: 'Match not found',
+      matchId
+    });
+  }
+
+  if (!canResimulate(match)) {
+    return res.status(409).json({
+      error: 'Match was stored without a seed or config version snapshot and cannot be re-simulated',
+      matchId
+    });
+  }
+
+  const verification = verifyRecord(match);
+
+  res.json({
+    matchId,
+    seed: match.seed,
+    reproducible: verification.reproducible,
+    configVersion: verification.configVersion,
+    mismatches: verification.mismatches,
+    simulated: {
+      winner: verification.match.winner,
+      wavesCompleted: verification.match.currentWave,
+      leaked: verification.match.attacker.leaked,
+      kills: verification.match.defender.kills,
+      eventCount: verification.match.events.length
+    }
+  });
+});
+
 /**
  * GET /replay
  * Returns list of matches available for replay (with events)
@@ -99,7 +215,7 @@ router.get('/', (req, res) => {
 
   // Filter to matches that have events stored
   const replayable = history
-    .filter(m => m.events && m.events.length > 0)
+    .filter(m => m.eventCount > 0)
     .slice(-parseInt(limit))
     .reverse()
     .map(m => ({
@@ -108,7 +224,7 @@ router.get('/', (req, res) => {
       defender: m.defender.agentId,
       winner: m.winner,
       wavesCompleted: m.wavesCompleted,
-      eventCount: m.events.length,
+      eventCount: m.eventCount,
       timestamp: m.endTime || m.startTime
     }));
 
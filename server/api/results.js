@@ -1,16 +1,23 @@
 const express = require('express');
-const { getMatch } = require('../matchmaker');
+const { getMatch, getSeries } = require('../matchmaker');
 const { getMatchResults } = require('../simulation/match');
+const { getSeriesResults } = require('../series');
 
 const router = express.Router();
 
 /**
  * GET /results/:id
- * Get final results of a completed match
+ * Get final results of a completed match, or the aggregated games of a series
+ * (series results are returned while the series is still running too)
  */
 router.get('/:id', (req, res) => {
   const matchId = req.params.id;
 
+  const series = getSeries(matchId);
+  if (series) {
+    return res.json(getSeriesResults(series));
+  }
+
   const match = getMatch(matchId);
   if (!match) {
     return res.status(404).json({
@@ -7,28 +7,43 @@
  * - Adapt their strategies based on current meta
  *
  * Endpoints:
- * - GET /api/rules - Full game configuration
+ * - GET /api/rules - Full game configuration (?version= for any past version)
  * - GET /api/rules/version - Current version info only
+ * - GET /api/rules/versions - Every config version with a snapshot
  * - GET /api/rules/changelog - Version history
  * - GET /api/rules/enemies - Enemy type configurations
  * - GET /api/rules/towers - Tower type configurations
  * - GET /api/rules/powerups - Power-up configurations
- * - GET /api/rules/map - Current map configuration
+ * - GET /api/rules/economy - Kill bounties and attacker income
+ * - GET /api/rules/map - Map configuration (?id= for any registered map)
  */
 
 const express = require('express');
-const { getApiConfig, getEnemyConfig, getTowerConfig, getPowerUpConfig, getValidEnemyTypes, getValidTowerTypes, getConfig } = require('../config/game-config');
+const { getApiConfig, getEnemyConfig, getTowerConfig, getTowerLevelConfig, getPowerUpConfig, getValidEnemyTypes, getValidTowerTypes, getValidTargetingModes, getConfig } = require('../config/game-config');
 const { getChangelog, getChangesSince, getLatestVersion } = require('../config/changelog');
-const { getMap, getAvailableMaps } = require('../config/maps');
+const { getMap, getAvailableMaps, DEFAULT_MAP_ID } = require('../config/maps');
+const { getApiConfigVersion, listConfigVersions } = require('../config/versions');
 
 const router = express.Router();
 
 /**
  * GET /api/rules
  * Returns full game configuration for agents
+ * Query params:
+ *   - version: Get an immutable snapshot of a past version instead
  */
 router.get('/', (req, res) => {
-  const config = getApiConfig();
+  const { version } = req.query;
+
+  const config = version ? getApiConfigVersion(version) : getApiConfig();
+  if (!config) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown config version: ${version}`,
+      versions: listConfigVersions().map(v => v.version),
+    });
+  }
+
   res.json({
     success: true,
     data: config,
@@ -50,6 +65,17 @@ router.get('/version', (req, res) => {
   });
 });
 
+/**
+ * GET /api/rules/versions
+ * Lists every config version the server keeps a snapshot of (newest first)
+ */
+router.get('/versions', (req, res) => {
+  res.json({
+    success: true,
+    data: listConfigVersions(),
+  });
+});
+
 /**
  * GET /api/rules/changelog
  * Returns version history of balance changes
@@ -109,12 +135,13 @@ router.get('/enemies', (req, res) => {
 
 /**
  * GET /api/rules/towers
- * Returns all tower type configurations
+ * Returns all tower type configurations (with upgrade levels)
  * Query params:
  *   - type: Get config for specific tower type
+ *   - level: With type, get the resolved stats and total cost at that level
  */
 router.get('/towers', (req, res) => {
-  const { type } = req.query;
+  const { type, level } = req.query;
 
   if (type) {
     const config = getTowerConfig(type);
@@ -125,6 +152,19 @@ router.get('/towers', (req, res) => {
         validTypes: getValidTowerTypes(),
       });
     }
+    if (level !== undefined) {
+      const levelConfig = getTowerLevelConfig(type, Number(level));
+      if (!levelConfig) {
+        return res.status(404).json({
+          success: false,
+          error: `Invalid level: ${level}. Must be 1-${getConfig().rules.maxTowerLevel}`,
+        });
+      }
+      return res.json({
+        success: true,
+        data: { [type]: levelConfig },
+      });
+    }
     return res.json({
       success: true,
       data: { [type]: config },
@@ -136,6 +176,12 @@ router.get('/towers', (req, res) => {
     success: true,
     data: fullConfig.towers,
     validTypes: getValidTowerTypes(),
+    maxLevel: fullConfig.rules.maxTowerLevel,
+    targeting: {
+      default: fullConfig.targeting.default,
+      modes: fullConfig.targeting.modes,
+      validModes: getValidTargetingModes(),
+    },
   });
 });
 
@@ -195,7 +241,7 @@ router.get('/powerups', (req, res) => {
  *   - id: Get specific map (defaults to 'default')
  */
 router.get('/map', (req, res) => {
-  const { id = 'default' } = req.query;
+  const { id = DEFAULT_MAP_ID } = req.query;
 
   const map = getMap(id);
   if (!map) {
@@ -213,6 +259,18 @@ router.get('/map', (req, res) => {
   });
 });
 
+/**
+ * GET /api/rules/economy
+ * Returns kill bounties, leak income and rush income settings
+ */
+router.get('/economy', (req, res) => {
+  const fullConfig = getConfig();
+  res.json({
+    success: true,
+    data: fullConfig.economy,
+  });
+});
+
 /**
  * GET /api/rules/budget
  * Returns budget information
@@ -228,10 +286,10 @@ router.get('/budget', (req, res) => {
 /**
  * GET /api/rules/validate
  * Validates a build against current rules
- * Body: { side: 'attack'|'defense', build: {...} }
+ * Body: { side: 'attack'|'defense', build: {...}, map_id?: string }
  */
 router.post('/validate', (req, res) => {
-  const { side, build } = req.body;
+  const { side, build, map_id: mapId = DEFAULT_MAP_ID } = req.body;
 
   if (!side || !build) {
     return res.status(400).json({
@@ -240,14 +298,23 @@ router.post('/validate', (req, res) => {
     });
   }
 
+  const map = getMap(mapId);
+  if (!map) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown map: ${mapId}`,
+      availableMaps: getAvailableMaps(),
+    });
+  }
+
   // Import validation from validate.js
-  const { validateAttackBuild, validateDefendBuild } = require('./validate');
+  const { validateAttackBuild, validateDefenseBuild } = require('./validate');
 
   let validation;
   if (side === 'attack') {
-    validation = validateAttackBuild(build);
+    validation = validateAttackBuild(build, map);
   } else if (side === 'defense' || side === 'defend') {
-    validation = validateDefendBuild(build);
+    validation = validateDefenseBuild(build, map);
   } else {
     return res.status(400).json({
       success: false,
@@ -258,8 +325,8 @@ router.post('/validate', (req, res) => {
   res.json({
     success: validation.valid,
     valid: validation.valid,
-    errors: validation.errors || [],
-    totalCost: validation.totalCost || 0,
+    errors: validation.error ? [validation.error] : [],
+    totalCost: validation.cost || 0,
     budget: getConfig().budget[side === 'attack' ? 'attack' : 'defense'],
   });
 });
@@ -0,0 +1,210 @@
+/**
+ * Simulate API - Headless match simulation for build testing
+ *
+ * Runs an attack build against a defense build instantly and returns the
+ * full results. Nothing is queued, no ELO changes, and nothing is persisted
+ * to match history. Any config version can be simulated (see
+ * config/versions.js); builds are validated under that version's rules.
+ * POST /simulate/pool plays one build against a whole pool of opposing
+ * builds (see analysis/matchups.js).
+ */
+
+const express = require('express');
+const { getMap, getAvailableMaps, DEFAULT_MAP_ID } = require('../config/maps');
+const { loadEngine, resolveConfigVersion } = require('../config/versions');
+const { validateAttackBuild, validateDefenseBuild } = require('./validate');
+const { POOLS, HISTORY_LIMIT, evaluateAgainstPool } = require('../analysis/matchups');
+
+const router = express.Router();
+
+/**
+ * Generate a simulation ID (distinct prefix from real matches)
+ */
+function generateSimulationId() {
+  return `sim_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * POST /simulate
+ * Run a match instantly without queueing or affecting rankings
+ *
+ * Body:
+ *   attack: object - attack build ({ waves, waveTimings?, powerUps? })
+ *   defense: object - defense build ({ towers, powerUps? })
+ *   map_id: string (default 'default') - map to play on
+ *   seed: number (optional) - unsigned 32-bit PRNG seed (random if omitted)
+ *   config_version: string (default current) - rules version to simulate under
+ *   include_events: boolean (default true) - include the full event log
+ */
+router.post('/', (req, res) => {
+  const { attack, defense } = req.body;
+  const mapId = req.body.map_id || DEFAULT_MAP_ID;
+  const includeEvents = req.body.include_events !== false;
+
+  if (!attack || !defense) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'Missing required fields: attack, defense'
+    });
+  }
+
+  const map = getMap(mapId);
+  if (!map) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Unknown map_id '${mapId}'. Available: ${getAvailableMaps().join(', ')}`
+    });
+  }
+
+  const versionCheck = resolveConfigVersion(req.body.config_version || 'current');
+  if (!versionCheck.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: versionCheck.error
+    });
+  }
+  const configVersion = versionCheck.version;
+  const engine = loadEngine(configVersion);
+  const { validateAttackBuild, validateDefenseBuild } = engine.validate;
+  const { createMatch, runMatchInstant } = engine.match;
+
+  const seed = req.body.seed;
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'seed must be an integer from 0 to 4294967295'
+    });
+  }
+
+  const attackValidation = validateAttackBuild(attack, map);
+  if (!attackValidation.valid) {
+    return res.status(400).json({
+      status: 'error',
+      side: 'attack',
+      error: attackValidation.error
+    });
+  }
+
+  const defenseValidation = validateDefenseBuild(defense, map);
+  if (!defenseValidation.valid) {
+    return res.status(400).json({
+      status: 'error',
+      side: 'defense',
+      error: defenseValidation.error
+    });
+  }
+
+  const match = createMatch(
+    generateSimulationId(),
+    { agentId: 'sim_attacker', build: attack },
+    { agentId: 'sim_defender', build: defense },
+    { mapId, seed }
+  );
+
+  const results = runMatchInstant(match);
+
+  res.json({
+    status: 'ok',
+    simulated: true,
+    mapId,
+    seed: match.seed,
+    configVersion: match.configVersion,
+    cost: {
+      attack: attackValidation.cost,
+      defense: defenseValidation.cost
+    },
+    ticks: match.tick,
+    results,
+    eventCount: match.events.length,
+    ...(includeEvents && { events: match.events })
+  });
+});
+
+/**
+ * POST /simulate/pool
+ * Play one build against every distinct opposing build in a pool
+ *
+ * Body:
+ *   side: 'attack' | 'defend' - the build's side
+ *   build: object - the build to evaluate
+ *   pool: 'history' | 'presets' | 'all' (default 'history')
+ *   limit: number (1-1000, default 200) - recent matches scanned for the history pool
+ *   map_id: string (default 'default')
+ *   seed: number (optional) - match seed used for every game
+ *
+ * One evaluation runs at a time (429 while another is running).
+ */
+router.post('/pool', async (req, res) => {
+  const { side, build } = req.body;
+  const pool = req.body.pool || 'history';
+  const mapId = req.body.map_id || DEFAULT_MAP_ID;
+
+  if (side !== 'attack' && side !== 'defend') {
+    return res.status(400).json({
+      status: 'error',
+      error: "side must be 'attack' or 'defend' (the build's side)"
+    });
+  }
+
+  if (!POOLS.includes(pool)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `pool must be one of ${POOLS.join(', ')}`
+    });
+  }
+
+  const limit = req.body.limit;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < HISTORY_LIMIT.min || limit > HISTORY_LIMIT.max)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `limit must be an integer from ${HISTORY_LIMIT.min} to ${HISTORY_LIMIT.max}`
+    });
+  }
+
+  const seed = req.body.seed;
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'seed must be an integer from 0 to 4294967295'
+    });
+  }
+
+  const map = getMap(mapId);
+  if (!map) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Unknown map_id '${mapId}'. Available: ${getAvailableMaps().join(', ')}`
+    });
+  }
+
+  const validation = side === 'attack' ? validateAttackBuild(build, map) : validateDefenseBuild(build, map);
+  if (!validation.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: validation.error
+    });
+  }
+
+  try {
+    const outcome = await evaluateAgainstPool({ side, build, pool, mapId, limit, seed });
+    if (!outcome.success) {
+      return res.status(outcome.code).json({
+        status: 'error',
+        error: outcome.error
+      });
+    }
+
+    res.json({
+      status: 'ok',
+      ...outcome.result
+    });
+  } catch (error) {
+    console.error('[Simulate] Pool evaluation failed:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Pool evaluation failed'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,272 +1,47 @@
 const express = require('express');
 const { loadMatchHistory } = require('../persistence');
+const { resolveConfigVersion } = require('../config/versions');
+const {
+  analyzeEnemyStats,
+  analyzeTowerStats,
+  analyzePowerUpStats,
+  generateBalancingSuggestions
+} = require('../analysis/stats');
+const { analyzeImpact } = require('../analysis/impact');
 
 const router = express.Router();
 
-// Enemy and tower types for tracking
-const ENEMY_TYPES = ['runner', 'tank', 'swarm', 'healer', 'shieldBearer', 'regenerator', 'boss'];
-const TOWER_TYPES = ['basic', 'slow', 'burst', 'chain', 'sniper', 'support'];
-const ATTACKER_POWERUPS = ['shield', 'speedBoost', 'invisibility', 'healPulse'];
-const DEFENDER_POWERUPS = ['damageBoost', 'freeze', 'chainLightning', 'reinforcement'];
-
-/**
- * Analyze enemy usage from match history
- */
-function analyzeEnemyStats(matches) {
-  const stats = {};
-
-  for (const type of ENEMY_TYPES) {
-    stats[type] = {
-      timesUsed: 0,
-      totalSpawned: 0,
-      totalLeaked: 0,
-      totalKilled: 0,
-      matchesWon: 0,
-      matchesLost: 0
-    };
-  }
-
-  for (const match of matches) {
-    if (!match.attacker?.build?.waves) continue;
-
-    const attackerWon = match.winner === 'attacker';
-    const waves = match.attacker.build.waves;
-
-    // Count enemy usage per wave
-    for (const wave of waves) {
-      for (const [type, count] of Object.entries(wave)) {
-        if (stats[type] && count > 0) {
-          stats[type].timesUsed++;
-          stats[type].totalSpawned += type === 'swarm' ? count * 5 : count;
-          if (attackerWon) {
-            stats[type].matchesWon++;
-          } else {
-            stats[type].matchesLost++;
-          }
-        }
-      }
-    }
-  }
-
-  // Calculate derived stats
-  for (const type of ENEMY_TYPES) {
-    const s = stats[type];
-    const totalMatches = s.matchesWon + s.matchesLost;
-    s.winRate = totalMatches > 0 ? Math.round((s.matchesWon / totalMatches) * 100) : 0;
-    s.leakRate = s.totalSpawned > 0 ? Math.round((s.totalLeaked / s.totalSpawned) * 100) : 0;
-  }
-
-  return stats;
-}
-
-/**
- * Analyze tower usage from match history
- */
-function analyzeTowerStats(matches) {
-  const stats = {};
-
-  for (const type of TOWER_TYPES) {
-    stats[type] = {
-      timesUsed: 0,
-      totalPlaced: 0,
-      matchesWon: 0,
-      matchesLost: 0
-    };
-  }
-
-  for (const match of matches) {
-    if (!match.defender?.build?.towers) continue;
-
-    const defenderWon = match.winner === 'defender';
-    const towers = match.defender.build.towers;
-
-    // Handle both array and object formats
-    if (Array.isArray(towers)) {
-      for (const tower of towers) {
-        const type = tower.type;
-        if (stats[type]) {
-          stats[type].timesUsed++;
-          stats[type].totalPlaced++;
-          if (defenderWon) {
-            stats[type].matchesWon++;
-          } else {
-            stats[type].matchesLost++;
-          }
-        }
-      }
-    } else {
-      for (const [, type] of Object.entries(towers)) {
-        if (type && stats[type]) {
-          stats[type].timesUsed++;
-          stats[type].totalPlaced++;
-          if (defenderWon) {
-            stats[type].matchesWon++;
-          } else {
-            stats[type].matchesLost++;
-          }
-        }
-      }
-    }
-  }
-
-  // Calculate derived stats
-  for (const type of TOWER_TYPES) {
-    const s = stats[type];
-    const totalMatches = s.matchesWon + s.matchesLost;
-    s.winRate = totalMatches > 0 ? Math.round((s.matchesWon / totalMatches) * 100) : 0;
-  }
-
-  return stats;
-}
-
-/**
- * Analyze power-up usage
- */
-function analyzePowerUpStats(matches) {
-  const attackerStats = {};
-  const defenderStats = {};
-
-  for (const type of ATTACKER_POWERUPS) {
-    attackerStats[type] = { used: 0, matchesWon: 0, matchesLost: 0 };
-  }
-  for (const type of DEFENDER_POWERUPS) {
-    defenderStats[type] = { used: 0, matchesWon: 0, matchesLost: 0 };
-  }
-
-  for (const match of matches) {
-    const attackerWon = match.winner === 'attacker';
-
-    // Attacker power-ups
-    if (match.attacker?.build?.powerUps) {
-      for (const powerUp of match.attacker.build.powerUps) {
-        const type = powerUp.type;
-        if (attackerStats[type]) {
-          attackerStats[type].used++;
-          if (attackerWon) {
-            attackerStats[type].matchesWon++;
-          } else {
-            attackerStats[type].matchesLost++;
-          }
-        }
-      }
-    }
-
-    // Defender power-ups
-    if (match.defender?.build?.powerUps) {
-      for (const powerUp of match.defender.build.powerUps) {
-        const type = powerUp.type;
-        if (defenderStats[type]) {
-          defenderStats[type].used++;
-          if (!attackerWon) {
-            defenderStats[type].matchesWon++;
-          } else {
-            defenderStats[type].matchesLost++;
-          }
-        }
-      }
-    }
-  }
-
-  // Calculate win rates
-  const calcWinRate = (s) => {
-    const total = s.matchesWon + s.matchesLost;
-    s.winRate = total > 0 ? Math.round((s.matchesWon / total) * 100) : 0;
-  };
-
-  for (const type of ATTACKER_POWERUPS) calcWinRate(attackerStats[type]);
-  for (const type of DEFENDER_POWERUPS) calcWinRate(defenderStats[type]);
-
-  return { attacker: attackerStats, defender: defenderStats };
-}
-
 /**
- * Generate balancing suggestions based on stats
+ * Load the match history for a stats request
+ * ?config_version=<version|current> keeps only matches played under that
+ * version, so stats don't mix balance changes.
+ * @returns {Array|null} Match records, or null after sending a 400
  */
-function generateBalancingSuggestions(matches, enemyStats, towerStats) {
-  const suggestions = [];
-
-  // Check overall win rate
-  const attackerWins = matches.filter(m => m.winner === 'attacker').length;
-  const defenderWins = matches.filter(m => m.winner === 'defender').length;
-  const totalMatches = attackerWins + defenderWins;
-
-  if (totalMatches >= 5) {
-    const attackerWinRate = Math.round((attackerWins / totalMatches) * 100);
-
-    if (attackerWinRate < 35) {
-      suggestions.push({
-        priority: 'high',
-        type: 'balance',
-        message: `Defenders winning too often (${100 - attackerWinRate}%). Consider buffing enemy HP or reducing tower damage.`
-      });
-    } else if (attackerWinRate > 65) {
-      suggestions.push({
-        priority: 'high',
-        type: 'balance',
-        message: `Attackers winning too often (${attackerWinRate}%). Consider buffing towers or reducing enemy speed.`
-      });
-    }
-  }
-
-  // Check for underused enemy types
-  for (const [type, stats] of Object.entries(enemyStats)) {
-    if (stats.timesUsed < 3 && totalMatches >= 10) {
-      suggestions.push({
-        priority: 'low',
-        type: 'usage',
-        message: `${type} enemies are rarely used (${stats.timesUsed} times). Consider reducing cost or buffing stats.`
-      });
-    }
-    if (stats.winRate < 20 && stats.timesUsed >= 5) {
-      suggestions.push({
-        priority: 'medium',
-        type: 'balance',
-        message: `${type} enemies have low win rate (${stats.winRate}%). Consider buffing HP or speed.`
-      });
-    }
-    if (stats.winRate > 80 && stats.timesUsed >= 5) {
-      suggestions.push({
-        priority: 'medium',
-        type: 'balance',
-        message: `${type} enemies have very high win rate (${stats.winRate}%). Consider nerfing or increasing cost.`
-      });
-    }
-  }
-
-  // Check for underused tower types
-  for (const [type, stats] of Object.entries(towerStats)) {
-    if (stats.timesUsed < 3 && totalMatches >= 10) {
-      suggestions.push({
-        priority: 'low',
-        type: 'usage',
-        message: `${type} towers are rarely used (${stats.timesUsed} times). Consider reducing cost or buffing damage/effects.`
-      });
-    }
-    if (stats.winRate < 20 && stats.timesUsed >= 5) {
-      suggestions.push({
-        priority: 'medium',
-        type: 'balance',
-        message: `${type} towers have low win rate (${stats.winRate}%). Consider buffing damage or range.`
-      });
-    }
-    if (stats.winRate > 80 && stats.timesUsed >= 5) {
-      suggestions.push({
-        priority: 'medium',
-        type: 'balance',
-        message: `${type} towers have very high win rate (${stats.winRate}%). Consider nerfing or increasing cost.`
-      });
-    }
+function loadStatsHistory(req, res) {
+  const requested = req.query.config_version;
+  if (!requested) return loadMatchHistory();
+
+  const versionCheck = resolveConfigVersion(requested);
+  if (!versionCheck.valid) {
+    res.status(400).json({
+      status: 'error',
+      error: versionCheck.error
+    });
+    return null;
   }
-
-  return suggestions;
+  return loadMatchHistory(undefined, { configVersion: versionCheck.version });
 }
 
 /**
  * GET /stats
  * Get comprehensive game statistics
+ *
+ * Query params:
+ *   config_version: string (optional) - only matches played under this version ('current' for the running one)
  */
 router.get('/', (req, res) => {
-  const matches = loadMatchHistory();
+  const matches = loadStatsHistory(req, res);
+  if (!matches) return;
 
   if (matches.length === 0) {
     return res.json({
@@ -320,7 +95,8 @@ router.get('/', (req, res) => {
  * Get only enemy statistics
  */
 router.get('/enemies', (req, res) => {
-  const matches = loadMatchHistory();
+  const matches = loadStatsHistory(req, res);
+  if (!matches) return;
   res.json(analyzeEnemyStats(matches));
 });
 
@@ -329,7 +105,8 @@ router.get('/enemies', (req, res) => {
  * Get only tower statistics
  */
 router.get('/towers', (req, res) => {
-  const matches = loadMatchHistory();
+  const matches = loadStatsHistory(req, res);
+  if (!matches) return;
   res.json(analyzeTowerStats(matches));
 });
 
@@ -338,8 +115,42 @@ router.get('/towers', (req, res) => {
  * Get only power-up statistics
  */
 router.get('/powerups', (req, res) => {
-  const matches = loadMatchHistory();
+  const matches = loadStatsHistory(req, res);
+  if (!matches) return;
   res.json(analyzePowerUpStats(matches));
 });
 
+/**
+ * POST /stats/impact
+ * Preview a balance change: re-simulate recent matches with and without it
+ *
+ * Body:
+ *   changes: array - changelog-style changes, e.g.
+ *     [{ "type": "tower", "name": "sniper", "stat": "damage", "new": 75 }]
+ *     (optional `level` for upgrade stats; see config/patch.js)
+ *   limit: number (1-200, default 50) - recent matches to re-simulate
+ *
+ * Nothing is saved; ratings and history are untouched. One report runs at
+ * a time (429 while another is running).
+ */
+router.post('/impact', async (req, res) => {
+  try {
+    const result = await analyzeImpact(req.body.changes, { limit: req.body.limit });
+    if (!result.success) {
+      return res.status(result.code).json({
+        status: 'error',
+        error: result.error
+      });
+    }
+
+    res.json(result.report);
+  } catch (error) {
+    console.error('[Stats] Impact report failed:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Impact report failed'
+    });
+  }
+});
+
 module.exports = router;
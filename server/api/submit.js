@@ -1,12 +1,16 @@
 const express = require('express');
 const { validateSubmission } = require('./validate');
 const { addToQueue, getQueuePosition } = require('../matchmaker');
+const { DEFAULT_MAP_ID } = require('../config/maps');
+const { SERIES_LENGTHS } = require('../series');
+const { getRequestKey, authenticateAgent } = require('../agents');
 
 const router = express.Router();
 
 /**
  * POST /submit
  * Submit a build and join the matchmaking queue
+ * Registered agent names need their API key (Authorization: Bearer <key>).
  */
 router.post('/', (req, res) => {
   const body = req.body;
@@ -20,14 +24,36 @@ router.post('/', (req, res) => {
     });
   }
 
-  // Create agent entry
-  const agent = {
-    agentId: body.agent_id,
-    side: body.side,
-    build: body.build,
-    cost: validation.cost,
-    submittedAt: Date.now()
-  };
+  // Claimed names need their key; in-house names are reserved
+  const auth = authenticateAgent(body.agent_id, getRequestKey(req));
+  if (!auth.success) {
+    return res.status(auth.code).json({
+      status: 'error',
+      error: auth.error
+    });
+  }
+
+  // Create agent entry (series agents carry both builds instead of a side)
+  const agent = body.mode === 'series'
+    ? {
+      agentId: body.agent_id,
+      mode: 'series',
+      bestOf: body.best_of || SERIES_LENGTHS[0],
+      builds: { attack: body.builds.attack, defense: body.builds.defense },
+      mapId: body.map_id || DEFAULT_MAP_ID,
+      interactive: body.interactive === true,
+      cost: validation.cost,
+      submittedAt: Date.now()
+    }
+    : {
+      agentId: body.agent_id,
+      side: body.side,
+      build: body.build,
+      mapId: body.map_id || DEFAULT_MAP_ID,
+      interactive: body.interactive === true,
+      cost: validation.cost,
+      submittedAt: Date.now()
+    };
 
   // Add to matchmaking queue
   const result = addToQueue(agent);
@@ -55,19 +81,36 @@ router.post('/', (req, res) => {
     return res.status(429).json(response);
   }
 
-  if (result.matched) {
+  if (result.matched && result.seriesId) {
+    // Series started; later games are listed at the series results URL
+    return res.json({
+      status: 'matched',
+      series_id: result.seriesId,
+      best_of: agent.bestOf,
+      match_id: result.matchId,
+      map_id: agent.mapId,
+      opponent: result.opponent,
+      spectate_url: `/match/${result.matchId}`,
+      ...(agent.interactive && { turn_url: `/match/${result.matchId}/turn` }),
+      results_url: `/results/${result.seriesId}`
+    });
+  } else if (result.matched) {
     // Immediately matched with opponent
     return res.json({
       status: 'matched',
       match_id: result.matchId,
+      map_id: agent.mapId,
       opponent: result.opponent,
       spectate_url: `/match/${result.matchId}`,
+      ...(agent.interactive && { turn_url: `/match/${result.matchId}/turn` }),
       results_url: `/results/${result.matchId}`
     });
   } else {
     // Added to queue
     return res.json({
       status: 'queued',
+      ...(agent.mode === 'series' && { mode: 'series', best_of: agent.bestOf }),
+      map_id: agent.mapId,
       queue_position: result.position,
       auto_match_in: result.autoMatchIn || 30,
       message: `Waiting for opponent. Auto-match with in-house agent in ${result.autoMatchIn || 30}s if no opponent joins.`
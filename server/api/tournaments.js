@@ -0,0 +1,208 @@
+/**
+ * Tournaments API - Round-robin, Swiss and elimination cups
+ *
+ * Tournaments run headless (see server/tournament.js): creating one starts
+ * it right away and it finishes in the background. Poll the tournament or
+ * its standings for progress.
+ */
+
+const express = require('express');
+const { validateAgentId, validateAttackBuild, validateDefenseBuild } = require('./validate');
+const { getMap, getAvailableMaps, DEFAULT_MAP_ID } = require('../config/maps');
+const {
+  FORMATS,
+  MIN_ENTRANTS,
+  MAX_ENTRANTS,
+  canStartTournament,
+  createTournament,
+  runTournament,
+  getTournament,
+  listTournaments
+} = require('../tournament');
+
+const router = express.Router();
+
+/**
+ * Validate a tournament request
+ * @param {Object} body - Request body
+ * @param {Object} map - Map the tournament plays on
+ * @returns {Object} { valid, error? }
+ */
+function validateTournament(body, map) {
+  if (!FORMATS.includes(body.format)) {
+    return { valid: false, error: `format must be one of ${FORMATS.join(', ')}` };
+  }
+
+  if (body.name !== undefined && (typeof body.name !== 'string' || body.name.length > 64)) {
+    return { valid: false, error: 'name must be a string of at most 64 characters' };
+  }
+
+  const entrants = body.entrants;
+  if (!Array.isArray(entrants) || entrants.length < MIN_ENTRANTS || entrants.length > MAX_ENTRANTS) {
+    return { valid: false, error: `entrants must be an array of ${MIN_ENTRANTS}-${MAX_ENTRANTS} entries` };
+  }
+
+  if (body.rounds !== undefined) {
+    if (body.format !== 'swiss') {
+      return { valid: false, error: 'rounds is only used by the swiss format' };
+    }
+    if (!Number.isInteger(body.rounds) || body.rounds < 1 || body.rounds > entrants.length - 1) {
+      return { valid: false, error: `rounds must be an integer from 1 to ${entrants.length - 1}` };
+    }
+  }
+
+  const seen = new Set();
+  for (let i = 0; i < entrants.length; i++) {
+    const entrant = entrants[i] || {};
+    const agentId = entrant.agent_id;
+
+    const agentIdCheck = validateAgentId(agentId);
+    if (!agentIdCheck.valid) {
+      return { valid: false, error: `Entrant ${i + 1}: ${agentIdCheck.error}` };
+    }
+    if (seen.has(agentId)) {
+      return { valid: false, error: `Entrant ${i + 1}: duplicate agent_id '${agentId}'` };
+    }
+    seen.add(agentId);
+
+    if (!entrant.builds || typeof entrant.builds !== 'object') {
+      return { valid: false, error: `Entrant '${agentId}': builds: { attack, defense } is required` };
+    }
+
+    const attack = validateAttackBuild(entrant.builds.attack, map);
+    if (!attack.valid) {
+      return { valid: false, error: `Entrant '${agentId}' attack build: ${attack.error}` };
+    }
+
+    const defense = validateDefenseBuild(entrant.builds.defense, map);
+    if (!defense.valid) {
+      return { valid: false, error: `Entrant '${agentId}' defense build: ${defense.error}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * GET /tournaments
+ * List recent tournaments
+ *
+ * Query params:
+ *   limit: number (default 20, max 100)
+ */
+router.get('/', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  res.json({
+    status: 'ok',
+    tournaments: listTournaments(limit)
+  });
+});
+
+/**
+ * POST /tournaments
+ * Create and start a tournament
+ *
+ * Body:
+ *   format: 'round_robin' | 'swiss' | 'single_elimination' | 'double_elimination'
+ *   entrants: [{ agent_id, builds: { attack, defense } }] - in seed order
+ *   name?: string
+ *   map_id?: string (default 'default')
+ *   rounds?: number - Swiss rounds (default ceil(log2(entrants)))
+ *
+ * One tournament runs at a time (429 while another is running).
+ */
+router.post('/', (req, res) => {
+  const body = req.body;
+  const mapId = body.map_id || DEFAULT_MAP_ID;
+
+  const map = getMap(mapId);
+  if (!map) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Unknown map_id '${mapId}'. Available: ${getAvailableMaps().join(', ')}`
+    });
+  }
+
+  const validation = validateTournament(body, map);
+  if (!validation.valid) {
+    return res.status(400).json({
+      status: 'error',
+      error: validation.error
+    });
+  }
+
+  if (!canStartTournament()) {
+    return res.status(429).json({
+      status: 'error',
+      error: 'Another tournament is running. Try again when it finishes.'
+    });
+  }
+
+  const tournament = createTournament({
+    name: body.name,
+    format: body.format,
+    mapId,
+    rounds: body.rounds,
+    entrants: body.entrants.map(e => ({
+      agentId: e.agent_id,
+      builds: { attack: e.builds.attack, defense: e.builds.defense }
+    }))
+  });
+
+  runTournament(tournament);
+
+  res.status(202).json({
+    status: 'running',
+    tournament_id: tournament.tournamentId,
+    format: tournament.format,
+    map_id: tournament.mapId,
+    entrants: tournament.entrants.length,
+    tournament_url: `/tournaments/${tournament.tournamentId}`,
+    standings_url: `/tournaments/${tournament.tournamentId}/standings`,
+    bracket_url: `/tournament.html?id=${tournament.tournamentId}`
+  });
+});
+
+/**
+ * GET /tournaments/:id
+ * Full tournament: entrants, every round's fixtures and games, and standings
+ */
+router.get('/:id', (req, res) => {
+  const tournament = getTournament(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({
+      status: 'error',
+      error: 'Tournament not found'
+    });
+  }
+
+  res.json(tournament);
+});
+
+/**
+ * GET /tournaments/:id/standings
+ * Current standings (final once status is 'complete')
+ */
+router.get('/:id/standings', (req, res) => {
+  const tournament = getTournament(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({
+      status: 'error',
+      error: 'Tournament not found'
+    });
+  }
+
+  res.json({
+    tournamentId: tournament.tournamentId,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    roundsPlayed: tournament.rounds.length,
+    totalRounds: tournament.totalRounds,
+    winner: tournament.winner || null,
+    standings: tournament.standings
+  });
+});
+
+module.exports = router;
@@ -1,92 +1,130 @@
 const {
   BUDGET,
   TOTAL_WAVES,
-  VALID_SLOTS,
   VALID_TOWER_TYPES,
   VALID_ENEMY_TYPES,
-  ENEMY_STATS,
+  VALID_TARGETING_MODES,
   TOWER_STATS,
-  FREE_PLACEMENT,
+  TOWER_LEVEL_STATS,
+  MAX_TOWER_LEVEL,
   WAVE_TIMING,
-  POWER_UP_COSTS,
+  TURN_RULES,
+  POWER_UP_EFFECTS,
   POWER_UP_LIMITS,
   VALID_ATTACKER_POWERUPS,
   VALID_DEFENDER_POWERUPS
 } = require('../simulation/constants');
+const {
+  calculateWaveCost,
+  calculateAttackCost,
+  calculateDefenseCost,
+  getPowerUpCost
+} = require('../simulation/costs');
+const { WAVE_OPTION_KEYS, SPAWN_GROUP_LIMITS, getWaveUnits } = require('../simulation/enemies');
+const { getMap, getAvailableMaps, getForbiddenZone } = require('../config/maps');
+const { isPolylineMap, getRoute, distanceToRoute } = require('../simulation/path');
+const { getDistance } = require('../simulation/geometry');
+const { TRIGGER_LIMITS, TRIGGER_KINDS, TARGET_KINDS, CONDITION_KINDS } = require('../simulation/power-up-triggers');
+const { getTowerDefs, checkTurnOpen } = require('../simulation/turns');
+const { SERIES_LENGTHS } = require('../series');
+
+// Options a spawn group may set
+const SPAWN_GROUP_KEYS = ['type', 'count', 'spacing', 'delay', 'lane'];
 
 /**
- * Calculate total cost of an attack build (including power-ups)
+ * Validate a numeric trigger or target value against its limits
  */
-function calculateAttackCost(build) {
-  if (!build || !build.waves) return 0;
-
-  let total = 0;
+function validateTriggerValue(field, kind, value) {
+  const limit = TRIGGER_LIMITS[kind];
+  const integer = kind === 'tick' || kind === 'index' || kind === 'enemiesInRange';
+  if (typeof value !== 'number' || (integer && !Number.isInteger(value)) || value < limit.min || value > limit.max) {
+    return { valid: false, error: `Power-up ${field}.${kind} must be ${integer ? 'an integer' : 'a number'} from ${limit.min} to ${limit.max}` };
+  }
+  return { valid: true };
+}
 
-  for (const wave of build.waves) {
-    for (const [type, count] of Object.entries(wave)) {
-      const stats = ENEMY_STATS[type];
-      if (stats) {
-        total += stats.cost * count;
-      }
+/**
+ * Validate an attacker power-up's triggerAt and target (see power-up-triggers.js)
+ * Each is an object with exactly one option, e.g. { position: 400 } or { type: 'boss' }.
+ */
+function validatePowerUpTiming(powerUp) {
+  for (const [field, kinds] of [['triggerAt', TRIGGER_KINDS], ['target', TARGET_KINDS]]) {
+    const option = powerUp[field];
+    if (option === undefined) continue;
+
+    const keys = option && typeof option === 'object' && !Array.isArray(option) ? Object.keys(option) : [];
+    if (keys.length !== 1 || !kinds.includes(keys[0])) {
+      return { valid: false, error: `Power-up ${field} must be an object with one of: ${kinds.join(', ')}` };
     }
-  }
 
-  // Add power-up costs
-  if (build.powerUps && Array.isArray(build.powerUps)) {
-    for (const powerUp of build.powerUps) {
-      const cost = POWER_UP_COSTS[powerUp.type];
-      if (cost) {
-        total += cost;
+    const kind = keys[0];
+    if (kind === 'type') {
+      if (!VALID_ENEMY_TYPES.includes(option.type)) {
+        return { valid: false, error: `Invalid power-up target type: '${option.type}'. Valid: ${VALID_ENEMY_TYPES.join(', ')}` };
       }
+      continue;
     }
+
+    const check = validateTriggerValue(field, kind, option[kind]);
+    if (!check.valid) return check;
   }
 
-  return total;
+  return { valid: true };
 }
 
 /**
- * Calculate total cost of a defense build (supports both formats)
+ * Validate a defender power-up's `when` conditions (see power-up-triggers.js)
+ * e.g. { enemyPastX: 700 } or { enemiesInRange: 4, bossAlive: true }
  */
-function calculateDefenseCost(build) {
-  if (!build || !build.towers) return 0;
-
-  let total = 0;
-
-  // Check if it's the new array format
-  if (Array.isArray(build.towers)) {
-    for (const tower of build.towers) {
-      const stats = TOWER_STATS[tower.type];
-      if (stats) {
-        total += stats.cost;
-      }
-    }
-  } else {
-    // Legacy object format
-    for (const [slot, type] of Object.entries(build.towers)) {
-      const stats = TOWER_STATS[type];
-      if (stats) {
-        total += stats.cost;
-      }
-    }
+function validatePowerUpConditions(when) {
+  const keys = when && typeof when === 'object' && !Array.isArray(when) ? Object.keys(when) : [];
+  if (keys.length === 0 || keys.some(key => !CONDITION_KINDS.includes(key))) {
+    return { valid: false, error: `Power-up when must be an object with any of: ${CONDITION_KINDS.join(', ')}` };
   }
 
-  // Add power-up costs
-  if (build.powerUps && Array.isArray(build.powerUps)) {
-    for (const powerUp of build.powerUps) {
-      const cost = POWER_UP_COSTS[powerUp.type];
-      if (cost) {
-        total += cost;
+  for (const kind of keys) {
+    if (kind === 'bossAlive') {
+      if (typeof when.bossAlive !== 'boolean') {
+        return { valid: false, error: 'Power-up when.bossAlive must be true or false' };
       }
+      continue;
     }
+
+    const check = validateTriggerValue('when', kind, when[kind]);
+    if (!check.valid) return check;
   }
 
-  return total;
+  return { valid: true };
+}
+
+/**
+ * Validate a reinforcement's tower: its type (optional) and where it stands
+ * (optional on straight maps, x and y required on polyline maps). The tower
+ * follows the map's placement rules, but not tower spacing.
+ */
+function validateReinforcement(powerUp, map) {
+  const defaults = POWER_UP_EFFECTS.reinforcement;
+  const tower = {
+    type: powerUp.tower ?? defaults.type,
+    x: powerUp.x ?? defaults.position,
+    ...(powerUp.y !== undefined && { y: powerUp.y }),
+    lane: powerUp.lane ?? defaults.lane
+  };
+
+  const placement = validateFreeFlowTowers([tower], map);
+  if (!placement.valid) {
+    return { valid: false, error: placement.error.replace(/^Tower 1/, 'Reinforcement') };
+  }
+  return { valid: true };
 }
 
 /**
  * Validate power-ups for either side
+ * @param {Array} powerUps - Planned power-ups
+ * @param {string} side - 'attack' or 'defend'
+ * @param {Object} map - Map the build will play on (for reinforcement towers)
  */
-function validatePowerUps(powerUps, side) {
+function validatePowerUps(powerUps, side, map = getMap()) {
   if (!powerUps) {
     return { valid: true };  // Power-ups are optional
   }
@@ -117,18 +155,108 @@ function validatePowerUps(powerUps, side) {
       return { valid: false, error: `Power-up wave must be 1-${TOTAL_WAVES}` };
     }
 
+    // Attackers can time and aim their power-ups
+    if (powerUp.triggerAt !== undefined || powerUp.target !== undefined) {
+      if (side !== 'attack') {
+        return { valid: false, error: 'triggerAt and target are only available for attacker power-ups' };
+      }
+      const timing = validatePowerUpTiming(powerUp);
+      if (!timing.valid) {
+        return timing;
+      }
+    }
+
+    // Defenders can hold theirs until battlefield conditions hold
+    if (powerUp.when !== undefined) {
+      if (side !== 'defend') {
+        return { valid: false, error: 'when is only available for defender power-ups (attackers use triggerAt)' };
+      }
+      const conditions = validatePowerUpConditions(powerUp.when);
+      if (!conditions.valid) {
+        return conditions;
+      }
+    }
+
+    // Reinforcements may choose their tower and where it stands (configs
+    // before 0.7.0 build no tower)
+    if (powerUp.type === 'reinforcement' && POWER_UP_EFFECTS.reinforcement.lane) {
+      const reinforcement = validateReinforcement(powerUp, map);
+      if (!reinforcement.valid) {
+        return reinforcement;
+      }
+    }
+
     // Check per-wave limit
     perWaveCount[powerUp.wave] = (perWaveCount[powerUp.wave] || 0) + 1;
     if (perWaveCount[powerUp.wave] > POWER_UP_LIMITS.perWave) {
       return { valid: false, error: `Maximum ${POWER_UP_LIMITS.perWave} power-up per wave` };
     }
 
-    totalCost += POWER_UP_COSTS[powerUp.type];
+    totalCost += getPowerUpCost(powerUp);
   }
 
   return { valid: true, powerUpCost: totalCost };
 }
 
+/**
+ * Validate a scheduled wave's spawn groups (see spawnWave in enemies.js)
+ * e.g. { groups: [{ type: 'tank', count: 1 }, { type: 'runner', count: 4, delay: 120 }] }
+ * @param {Object} wave - Wave with a groups key
+ * @param {number} waveNumber - Wave number (1-based) for errors
+ * @param {Array} laneIds - The map's lane ids
+ */
+function validateWaveGroups(wave, waveNumber, laneIds) {
+  const { groups } = wave;
+  const limits = SPAWN_GROUP_LIMITS;
+
+  if (!Array.isArray(groups) || groups.length === 0 || groups.length > limits.groups.max) {
+    return { valid: false, error: `Wave ${waveNumber}: groups must be an array of 1-${limits.groups.max} spawn groups` };
+  }
+
+  const unitKeys = Object.keys(wave).filter(key => !WAVE_OPTION_KEYS.includes(key));
+  if (unitKeys.length > 0) {
+    return { valid: false, error: `Wave ${waveNumber}: list units in groups or as counts, not both (found '${unitKeys[0]}')` };
+  }
+
+  for (let j = 0; j < groups.length; j++) {
+    const group = groups[j];
+    const label = `Wave ${waveNumber} group ${j + 1}`;
+
+    if (!group || typeof group !== 'object' || Array.isArray(group)) {
+      return { valid: false, error: `${label} must be an object` };
+    }
+
+    const unknown = Object.keys(group).find(key => !SPAWN_GROUP_KEYS.includes(key));
+    if (unknown) {
+      return { valid: false, error: `${label}: unknown option '${unknown}'. Valid: ${SPAWN_GROUP_KEYS.join(', ')}` };
+    }
+
+    if (!VALID_ENEMY_TYPES.includes(group.type)) {
+      return { valid: false, error: `Invalid enemy type '${group.type}' in ${label.toLowerCase()}. Valid types: ${VALID_ENEMY_TYPES.join(', ')}` };
+    }
+
+    if (!Number.isInteger(group.count) || group.count < 1) {
+      return { valid: false, error: `${label}: count must be a positive integer` };
+    }
+
+    if (group.spacing !== undefined && (typeof group.spacing !== 'number' ||
+        group.spacing < limits.spacing.min || group.spacing > limits.spacing.max)) {
+      return { valid: false, error: `${label}: spacing must be a number from ${limits.spacing.min} to ${limits.spacing.max}` };
+    }
+
+    if (group.delay !== undefined && (!Number.isInteger(group.delay) ||
+        group.delay < limits.delay.min || group.delay > limits.delay.max)) {
+      return { valid: false, error: `${label}: delay must be an integer from ${limits.delay.min} to ${limits.delay.max} ticks` };
+    }
+
+    if (group.lane !== undefined && !laneIds.includes(group.lane)) {
+      return { valid: false, error: `${label}: lane must be one of ${laneIds.join(', ')}` };
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate wave timings
  */
@@ -173,8 +301,11 @@ function validateWaveTimings(waveTimings) {
 
 /**
  * Validate an attack build with new features
+ * @param {Object} build - Attack build
+ * @param {Object} map - Map the build will play on (lanes)
+ * @param {number} budget - Upfront budget (interactive turns add the bank)
  */
-function validateAttackBuild(build) {
+function validateAttackBuild(build, map = getMap(), budget = BUDGET) {
   // Check build exists
   if (!build || typeof build !== 'object') {
     return { valid: false, error: 'Build is required' };
@@ -198,8 +329,22 @@ function validateAttackBuild(build) {
       return { valid: false, error: `Wave ${i + 1} must be an object` };
     }
 
+    // Check lane (optional)
+    const laneIds = map.lanes.map(lane => lane.id);
+    if (wave.lane !== undefined && !laneIds.includes(wave.lane)) {
+      return { valid: false, error: `Wave ${i + 1}: lane must be one of ${laneIds.join(', ')}` };
+    }
+
+    // Check spawn groups (scheduled format, optional)
+    if (wave.groups !== undefined) {
+      const groupResult = validateWaveGroups(wave, i + 1, laneIds);
+      if (!groupResult.valid) {
+        return groupResult;
+      }
+    }
+
     // Check enemy types
-    for (const [type, count] of Object.entries(wave)) {
+    for (const [type, count] of getWaveUnits(wave)) {
       if (!VALID_ENEMY_TYPES.includes(type)) {
         return { valid: false, error: `Invalid enemy type '${type}' in wave ${i + 1}. Valid types: ${VALID_ENEMY_TYPES.join(', ')}` };
       }
@@ -210,10 +355,20 @@ function validateAttackBuild(build) {
     }
 
     // Check wave is not empty
-    const waveTotal = Object.values(wave).reduce((sum, count) => sum + count, 0);
+    const waveTotal = getWaveUnits(wave).reduce((sum, [, count]) => sum + count, 0);
     if (waveTotal === 0) {
       return { valid: false, error: `Wave ${i + 1} cannot be empty` };
     }
+
+    // Check bank spending (optional)
+    if (wave.spendFromBank !== undefined) {
+      if (typeof wave.spendFromBank !== 'number' || wave.spendFromBank < 0) {
+        return { valid: false, error: `Wave ${i + 1}: spendFromBank must be a non-negative number` };
+      }
+      if (wave.spendFromBank > calculateWaveCost(wave)) {
+        return { valid: false, error: `Wave ${i + 1}: spendFromBank cannot exceed the wave's cost (${calculateWaveCost(wave)})` };
+      }
+    }
   }
 
   // Validate wave timings (optional)
@@ -223,24 +378,26 @@ function validateAttackBuild(build) {
   }
 
   // Validate power-ups (optional)
-  const powerUpResult = validatePowerUps(build.powerUps, 'attack');
+  const powerUpResult = validatePowerUps(build.powerUps, 'attack', map);
   if (!powerUpResult.valid) {
     return powerUpResult;
   }
 
   // Check budget
   const totalCost = calculateAttackCost(build);
-  if (totalCost > BUDGET) {
-    return { valid: false, error: `Budget exceeded: ${totalCost}/${BUDGET} points` };
+  if (totalCost > budget) {
+    return { valid: false, error: `Budget exceeded: ${totalCost}/${budget} points` };
   }
 
   return { valid: true, cost: totalCost };
 }
 
 /**
- * Validate free-flow tower placement
+ * Validate free-flow tower placement against a map's placement rules
+ * @param {Array} towers - Tower definitions
+ * @param {Object} map - Map the towers are placed on
  */
-function validateFreeFlowTowers(towers) {
+function validateFreeFlowTowers(towers, map = getMap()) {
   if (!Array.isArray(towers)) {
     return { valid: false, error: 'towers must be an array for free-flow placement' };
   }
@@ -249,8 +406,13 @@ function validateFreeFlowTowers(towers) {
     return { valid: false, error: 'Must place at least one tower' };
   }
 
+  const placement = map.freePlacement;
+  const laneIds = map.lanes.map(lane => lane.id);
+  const polyline = isPolylineMap(map);
+  const routes = polyline ? map.pathSegments.map(segment => getRoute(map, segment.laneId)) : [];
   const positions = [];
   let totalCost = 0;
+  let upfrontTowers = 0;
 
   for (let i = 0; i < towers.length; i++) {
     const tower = towers[i];
@@ -265,8 +427,23 @@ function validateFreeFlowTowers(towers) {
       return { valid: false, error: `Tower ${i + 1}: x position is required` };
     }
 
-    if (tower.x < FREE_PLACEMENT.minX || tower.x > FREE_PLACEMENT.maxX) {
-      return { valid: false, error: `Tower ${i + 1}: x position must be ${FREE_PLACEMENT.minX}-${FREE_PLACEMENT.maxX}` };
+    if (tower.x < placement.minX || tower.x > placement.maxX) {
+      return { valid: false, error: `Tower ${i + 1}: x position must be ${placement.minX}-${placement.maxX}` };
+    }
+
+    // Polyline maps place towers in 2D, off the road
+    if (polyline) {
+      if (typeof tower.y !== 'number') {
+        return { valid: false, error: `Tower ${i + 1}: y position is required on map '${map.id}'` };
+      }
+
+      if (tower.y < placement.minY || tower.y > placement.maxY) {
+        return { valid: false, error: `Tower ${i + 1}: y position must be ${placement.minY}-${placement.maxY}` };
+      }
+
+      if (routes.some(route => distanceToRoute(route, tower.x, tower.y) < placement.roadClearance)) {
+        return { valid: false, error: `Tower ${i + 1}: cannot build on the road (min clearance: ${placement.roadClearance})` };
+      }
     }
 
     // Validate type
@@ -274,20 +451,57 @@ function validateFreeFlowTowers(towers) {
       return { valid: false, error: `Tower ${i + 1}: invalid type '${tower.type}'. Valid: ${VALID_TOWER_TYPES.join(', ')}` };
     }
 
-    // Check minimum spacing
+    // Check minimum spacing (along the road, or 2D on polyline maps)
+    const y = polyline ? tower.y : null;
     for (let j = 0; j < positions.length; j++) {
-      if (Math.abs(tower.x - positions[j]) < FREE_PLACEMENT.minSpacing) {
-        return { valid: false, error: `Tower ${i + 1}: too close to another tower (min spacing: ${FREE_PLACEMENT.minSpacing})` };
+      if (getDistance(tower.x, y, positions[j].x, positions[j].y) < placement.minSpacing) {
+        return { valid: false, error: `Tower ${i + 1}: too close to another tower (min spacing: ${placement.minSpacing})` };
       }
     }
-    positions.push(tower.x);
+    positions.push({ x: tower.x, y });
 
     // Validate lane (optional)
-    if (tower.lane && !FREE_PLACEMENT.lanes.includes(tower.lane)) {
-      return { valid: false, error: `Tower ${i + 1}: lane must be 'top' or 'bottom'` };
+    if (tower.lane && !laneIds.includes(tower.lane)) {
+      return { valid: false, error: `Tower ${i + 1}: lane must be one of ${laneIds.join(', ')}` };
+    }
+
+    // Check forbidden zones
+    const forbidden = getForbiddenZone(map, tower.x, tower.lane || 'top');
+    if (forbidden) {
+      return { valid: false, error: `Tower ${i + 1}: cannot build at x=${tower.x} (${forbidden.name || 'forbidden zone'} ${forbidden.minX}-${forbidden.maxX})` };
     }
 
-    totalCost += TOWER_STATS[tower.type].cost;
+    // Validate upgrade level (optional)
+    if (tower.level !== undefined &&
+        (!Number.isInteger(tower.level) || tower.level < 1 || tower.level > MAX_TOWER_LEVEL)) {
+      return { valid: false, error: `Tower ${i + 1}: level must be an integer 1-${MAX_TOWER_LEVEL}` };
+    }
+
+    // Validate targeting priority (optional)
+    if (tower.targeting !== undefined && !VALID_TARGETING_MODES.includes(tower.targeting)) {
+      return { valid: false, error: `Tower ${i + 1}: invalid targeting '${tower.targeting}'. Valid: ${VALID_TARGETING_MODES.join(', ')}` };
+    }
+
+    // Validate bank-funded towers (optional): built before a later wave
+    if (tower.spendFromBank !== undefined && typeof tower.spendFromBank !== 'boolean') {
+      return { valid: false, error: `Tower ${i + 1}: spendFromBank must be a boolean` };
+    }
+    if (tower.spendFromBank) {
+      if (!Number.isInteger(tower.wave) || tower.wave < 1 || tower.wave > TOTAL_WAVES) {
+        return { valid: false, error: `Tower ${i + 1}: spendFromBank towers need a wave (1-${TOTAL_WAVES})` };
+      }
+      continue;
+    }
+    if (tower.wave !== undefined) {
+      return { valid: false, error: `Tower ${i + 1}: wave is only used with spendFromBank` };
+    }
+
+    upfrontTowers++;
+    totalCost += TOWER_LEVEL_STATS[tower.type][tower.level || 1].cost;
+  }
+
+  if (upfrontTowers === 0) {
+    return { valid: false, error: 'Must place at least one tower that is not bought from the bank' };
   }
 
   return { valid: true, cost: totalCost };
@@ -295,8 +509,10 @@ function validateFreeFlowTowers(towers) {
 
 /**
  * Validate a defense build (supports both legacy and free-flow)
+ * @param {Object} build - Defense build
+ * @param {Object} map - Map the build will play on
  */
-function validateDefenseBuild(build) {
+function validateDefenseBuild(build, map = getMap()) {
   // Check build exists
   if (!build || typeof build !== 'object') {
     return { valid: false, error: 'Build is required' };
@@ -311,7 +527,7 @@ function validateDefenseBuild(build) {
 
   // Check if it's the new array format (free-flow)
   if (Array.isArray(build.towers)) {
-    const result = validateFreeFlowTowers(build.towers);
+    const result = validateFreeFlowTowers(build.towers, map);
     if (!result.valid) {
       return result;
     }
@@ -323,11 +539,13 @@ function validateDefenseBuild(build) {
       return { valid: false, error: 'Must place at least one tower' };
     }
 
+    const validSlots = map.towerZones.map(zone => zone.id);
+
     for (const [slot, type] of Object.entries(build.towers)) {
       if (!type) continue;
 
-      if (!VALID_SLOTS.includes(slot)) {
-        return { valid: false, error: `Invalid tower slot '${slot}'. Valid slots: ${VALID_SLOTS.join(', ')}` };
+      if (!validSlots.includes(slot)) {
+        return { valid: false, error: `Invalid tower slot '${slot}'. Valid slots: ${validSlots.join(', ')}` };
       }
 
       if (!VALID_TOWER_TYPES.includes(type)) {
@@ -341,7 +559,7 @@ function validateDefenseBuild(build) {
   }
 
   // Validate power-ups (optional)
-  const powerUpResult = validatePowerUps(build.powerUps, 'defend');
+  const powerUpResult = validatePowerUps(build.powerUps, 'defend', map);
   if (!powerUpResult.valid) {
     return powerUpResult;
   }
@@ -356,44 +574,309 @@ function validateDefenseBuild(build) {
 }
 
 /**
- * Validate a submission request
+ * Replace the power-ups planned for one wave
+ * @param {Array} planned - Current power-up plan [{ type, wave }]
+ * @param {Array} powerUps - New power-ups for the wave [{ type }]
+ * @param {number} waveNumber - Wave (1-based)
  */
-function validateSubmission(body) {
-  // Check agent_id
-  if (!body.agent_id || typeof body.agent_id !== 'string') {
+function replaceWavePowerUps(planned, powerUps, waveNumber) {
+  return planned
+    .filter(p => p.wave !== waveNumber)
+    .concat(powerUps.map(p => ({ ...p, wave: waveNumber })));
+}
+
+/**
+ * Sum the cost of the power-ups planned for one wave
+ */
+function wavePowerUpCost(planned, waveNumber) {
+  return planned
+    .filter(p => p.wave === waveNumber)
+    .reduce((sum, p) => sum + getPowerUpCost(p), 0);
+}
+
+/**
+ * Validate an attacker's between-wave turn (interactive matches)
+ * The turn replaces the upcoming wave and/or its power-ups; the edited build
+ * must still pass every attack build rule, including the budget.
+ * @param {Object} turn - { wave?: object, powerUps?: [{ type }] }
+ * @param {Object} build - Attacker's current build
+ * @param {number} waveNumber - Upcoming wave (1-based)
+ * @param {Object} map - Map the match is played on
+ * @param {number} bank - Attacker's bank (pays for any extra cost)
+ * @returns {Object} { valid, error?, build?, bank? }
+ */
+function validateAttackTurn(turn, build, waveNumber, map = getMap(), bank = 0) {
+  if (!turn || typeof turn !== 'object') {
+    return { valid: false, error: 'Turn is required' };
+  }
+
+  if (turn.wave === undefined && turn.powerUps === undefined) {
+    return { valid: false, error: 'Attacker turn must include wave and/or powerUps' };
+  }
+
+  if (turn.powerUps !== undefined && !Array.isArray(turn.powerUps)) {
+    return { valid: false, error: 'powerUps must be an array' };
+  }
+
+  const waves = [...build.waves];
+  if (turn.wave !== undefined) {
+    waves[waveNumber - 1] = turn.wave;
+  }
+
+  let powerUps = build.powerUps || [];
+  if (turn.powerUps !== undefined) {
+    powerUps = replaceWavePowerUps(powerUps, turn.powerUps, waveNumber);
+  }
+
+  const edited = { ...build, waves, powerUps };
+  const budget = calculateAttackCost(build) + bank;
+  const result = validateAttackBuild(edited, map, budget);
+  if (!result.valid) {
+    return result;
+  }
+
+  return { valid: true, build: edited, bank: budget - result.cost };
+}
+
+/**
+ * Validate a defender's between-wave turn (interactive matches)
+ * Selling refunds part of a tower's cost to the bank, adding is paid from
+ * the bank, and moving is free. Added and moved towers must obey the map's
+ * placement rules and spacing against every tower left standing.
+ * @param {Object} turn - { sell?: [towerId], move?: [{ id, x, y?, lane? }], add?: [towerDef], powerUps?: [{ type }] }
+ * @param {Object} state - { towers: [{ id, x, y?, lane, type, level, targeting }], powerUps, bank }
+ * @param {number} waveNumber - Upcoming wave (1-based)
+ * @param {Object} map - Map the match is played on
+ * @returns {Object} { valid, error?, towers?, powerUps?, bank? }
+ */
+function validateDefenseTurn(turn, state, waveNumber, map = getMap()) {
+  if (!turn || typeof turn !== 'object') {
+    return { valid: false, error: 'Turn is required' };
+  }
+
+  const { sell = [], move = [], add = [] } = turn;
+  for (const [name, list] of Object.entries({ sell, move, add })) {
+    if (!Array.isArray(list)) {
+      return { valid: false, error: `${name} must be an array` };
+    }
+  }
+
+  const towers = new Map(state.towers.map(tower => [tower.id, { ...tower }]));
+  const changed = [];
+  let bank = state.bank;
+
+  for (const id of sell) {
+    const tower = towers.get(id);
+    if (!tower) {
+      return { valid: false, error: `sell: unknown tower '${id}'` };
+    }
+    bank += Math.floor(TOWER_LEVEL_STATS[tower.type][tower.level].cost * TURN_RULES.sellRefundPercent);
+    towers.delete(id);
+  }
+
+  for (const entry of move) {
+    const tower = entry && towers.get(entry.id);
+    if (!tower) {
+      return { valid: false, error: `move: unknown tower '${entry && entry.id}'` };
+    }
+    tower.x = entry.x;
+    if (entry.y !== undefined) tower.y = entry.y;
+    if (entry.lane !== undefined) tower.lane = entry.lane;
+    changed.push({ label: `move ${tower.id}`, tower });
+  }
+
+  const added = [];
+  for (let i = 0; i < add.length; i++) {
+    if (!add[i] || typeof add[i] !== 'object') {
+      return { valid: false, error: `add ${i + 1}: tower must be an object` };
+    }
+    const { spendFromBank, wave, ...def } = add[i];
+    const tower = { ...def, id: null };
+    added.push(tower);
+    changed.push({ label: `add ${i + 1}`, tower });
+  }
+
+  const result = [...towers.values(), ...added];
+  if (result.length === 0) {
+    return { valid: false, error: 'Must keep at least one tower' };
+  }
+
+  // Placement rules for each changed tower, then spacing against the rest
+  const polyline = isPolylineMap(map);
+  for (const { label, tower } of changed) {
+    const placement = validateFreeFlowTowers([tower], map);
+    if (!placement.valid) {
+      return { valid: false, error: placement.error.replace(/^Tower 1/, label) };
+    }
+    if (tower.id === null) {
+      bank -= TOWER_LEVEL_STATS[tower.type][tower.level || 1].cost;
+    }
+
+    for (const other of result) {
+      if (other === tower) continue;
+      const distance = polyline
+        ? getDistance(tower.x, tower.y, other.x, other.y)
+        : Math.abs(tower.x - other.x);
+      if (distance < map.freePlacement.minSpacing) {
+        return { valid: false, error: `${label}: too close to another tower (min spacing: ${map.freePlacement.minSpacing})` };
+      }
+    }
+  }
+
+  // Power-ups for the upcoming wave replace whatever was planned for it
+  let powerUps = state.powerUps;
+  if (turn.powerUps !== undefined) {
+    if (!Array.isArray(turn.powerUps)) {
+      return { valid: false, error: 'powerUps must be an array' };
+    }
+    powerUps = replaceWavePowerUps(state.powerUps, turn.powerUps, waveNumber);
+    const powerUpResult = validatePowerUps(powerUps, 'defend', map);
+    if (!powerUpResult.valid) {
+      return powerUpResult;
+    }
+    bank += wavePowerUpCost(state.powerUps, waveNumber) - wavePowerUpCost(powerUps, waveNumber);
+  }
+
+  if (bank < 0) {
+    return { valid: false, error: `Budget exceeded: turn costs ${state.bank - bank} but the bank holds ${state.bank}` };
+  }
+
+  return { valid: true, towers: result, powerUps, bank };
+}
+
+/**
+ * Validate a turn for one side of a live interactive match
+ * Checks that the side may submit now, then validates the turn against its
+ * current build (attacker) or standing towers (defender) and bank.
+ * @param {Object} match - Match state
+ * @param {string} side - 'attacker' or 'defender'
+ * @param {Object} turn - Turn body
+ * @returns {Object} Result for submitTurn: { valid, error?, ... }
+ */
+function validateMatchTurn(match, side, turn) {
+  const open = checkTurnOpen(match, side);
+  if (!open.valid) {
+    return open;
+  }
+
+  const waveNumber = match.turn.wave;
+  if (side === 'attacker') {
+    return validateAttackTurn(turn, match.attacker.build, waveNumber, match.map, match.attacker.bank);
+  }
+  return validateDefenseTurn(turn, {
+    towers: getTowerDefs(match),
+    powerUps: match.defender.powerUps,
+    bank: match.defender.bank
+  }, waveNumber, match.map);
+}
+
+/**
+ * Validate the series part of a submission (best_of and both builds)
+ * @param {Object} body - Submission with mode 'series'
+ * @param {Object} map - Map the series will play on
+ * @returns {Object} { valid, error?, cost?: { attack, defense } }
+ */
+function validateSeriesSubmission(body, map) {
+  const bestOf = body.best_of === undefined ? SERIES_LENGTHS[0] : body.best_of;
+  if (!SERIES_LENGTHS.includes(bestOf)) {
+    return { valid: false, error: `best_of must be one of ${SERIES_LENGTHS.join(', ')}` };
+  }
+
+  if (!body.builds || typeof body.builds !== 'object') {
+    return { valid: false, error: 'Series submissions need builds: { attack, defense }' };
+  }
+
+  const attack = validateAttackBuild(body.builds.attack, map);
+  if (!attack.valid) {
+    return { valid: false, error: `Attack build: ${attack.error}` };
+  }
+
+  const defense = validateDefenseBuild(body.builds.defense, map);
+  if (!defense.valid) {
+    return { valid: false, error: `Defense build: ${defense.error}` };
+  }
+
+  return { valid: true, cost: { attack: attack.cost, defense: defense.cost } };
+}
+
+/**
+ * Validate an agent_id
+ */
+function validateAgentId(agentId) {
+  if (!agentId || typeof agentId !== 'string') {
     return { valid: false, error: 'agent_id is required and must be a string' };
   }
 
-  if (body.agent_id.length < 1 || body.agent_id.length > 50) {
+  if (agentId.length < 1 || agentId.length > 50) {
     return { valid: false, error: 'agent_id must be 1-50 characters' };
   }
 
   // Security: Agent ID must be alphanumeric (with underscores and hyphens allowed)
   // This prevents injection attacks and log manipulation
-  if (!/^[a-zA-Z0-9_-]+$/.test(body.agent_id)) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(agentId)) {
     return { valid: false, error: 'agent_id must contain only letters, numbers, underscores, and hyphens' };
   }
 
-  // Check side
-  if (!body.side || !['attack', 'defend'].includes(body.side)) {
+  return { valid: true };
+}
+
+/**
+ * Validate a submission request
+ */
+function validateSubmission(body) {
+  // Check agent_id
+  const agentIdValidation = validateAgentId(body.agent_id);
+  if (!agentIdValidation.valid) {
+    return agentIdValidation;
+  }
+
+  // Check mode (optional)
+  if (body.mode !== undefined && !['single', 'series'].includes(body.mode)) {
+    return { valid: false, error: "mode must be 'single' or 'series'" };
+  }
+
+  // Check side (series agents play both)
+  if (body.mode !== 'series' && (!body.side || !['attack', 'defend'].includes(body.side))) {
     return { valid: false, error: "side must be 'attack' or 'defend'" };
   }
 
+  // Check interactive flag (optional)
+  if (body.interactive !== undefined && typeof body.interactive !== 'boolean') {
+    return { valid: false, error: 'interactive must be a boolean' };
+  }
+
+  // Check map (optional)
+  const map = getMap(body.map_id);
+  if (body.map_id !== undefined && !map) {
+    return { valid: false, error: `Unknown map_id '${body.map_id}'. Available: ${getAvailableMaps().join(', ')}` };
+  }
+
+  if (body.mode === 'series') {
+    return validateSeriesSubmission(body, map);
+  }
+
   // Validate build based on side
   if (body.side === 'attack') {
-    return validateAttackBuild(body.build);
+    return validateAttackBuild(body.build, map);
   } else {
-    return validateDefenseBuild(body.build);
+    return validateDefenseBuild(body.build, map);
   }
 }
 
 module.exports = {
+  calculateWaveCost,
   calculateAttackCost,
   calculateDefenseCost,
+  getPowerUpCost,
   validateAttackBuild,
   validateDefenseBuild,
   validateFreeFlowTowers,
   validatePowerUps,
   validateWaveTimings,
+  validateAttackTurn,
+  validateDefenseTurn,
+  validateMatchTurn,
+  validateSeriesSubmission,
+  validateAgentId,
   validateSubmission
 };
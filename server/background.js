@@ -0,0 +1,20 @@
+/**
+ * Background - Helpers for long runs of instant matches
+ *
+ * Optimizer searches, pool matchups, tournaments and balance impact
+ * reports play many matches through runMatchInstant inside the API process. Each game blocks, so
+ * these runs yield between games to keep live matches, WebSocket pushes
+ * and turn deadlines on time.
+ */
+
+/**
+ * Yield to the event loop so API requests are served between games
+ * @returns {Promise<void>}
+ */
+function nextTick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+  nextTick
+};
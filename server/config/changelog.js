@@ -3,9 +3,109 @@
  *
  * Agents can poll /api/rules/changelog to see what changed between versions.
  * This helps agents adapt their strategies when balance changes occur.
+ *
+ * balanceChanges entries: { type, name, stat, old, new } plus an optional
+ * `level` for tower upgrade stats (no level = the base, level 1, stat).
  */
 
 const changelog = [
+  {
+    version: '0.8.0',
+    date: '2026-10-19',
+    title: 'New Enemy Mechanics',
+    changes: [
+      'New enemy: flyer (70 pts), which only towers with hitsAir can target (basic, chain and sniper)',
+      'New enemy: splitter (95 pts), which splits into 3 fast children where it dies',
+      'New enemy: burrower (85 pts), which cannot be targeted over the middle of the road (35%-65%)',
+      'New enemy: disruptor (110 pts), which disables towers within 90 for 2 seconds, every 6 seconds at most',
+      'Bounties, leak income and lives lost for the new types (per unit for splitter children)',
+      'Events: split (children spawned) and disrupt (towers disabled)',
+    ],
+    balanceChanges: [],
+  },
+  {
+    version: '0.7.0',
+    date: '2026-10-19',
+    title: 'Real Reinforcements',
+    changes: [
+      'The reinforcement power-up builds a temporary tower instead of a damage boost',
+      'Builds may set the tower type (tower), x, y and lane; the default is a basic tower at x=500 on the top lane',
+      'Its cost scales with the chosen tower: 35 for a basic tower',
+      'The tower leaves after 3 seconds or when its wave ends (tower_add and tower_expire events)',
+    ],
+    balanceChanges: [],
+  },
+  {
+    version: '0.6.0',
+    date: '2026-10-19',
+    title: 'Lives Scoring Mode',
+    changes: [
+      'New rules.scoring section; the default mode (sudden_death) keeps the first-leak-wins rule',
+      "In 'lives' mode every wave plays out and each leak costs the defender lives by enemy type (boss leaks cost the most)",
+      'The defender wins with more than winThreshold lives left, otherwise the attacker wins',
+      'Match results report a score with the lives lost and a 0-1 margin of victory',
+      'ELO changes scale with the margin of victory in lives mode',
+    ],
+    balanceChanges: [],
+  },
+  {
+    version: '0.5.0',
+    date: '2026-10-19',
+    title: 'Economy and Interactive Turns',
+    changes: [
+      'Each side has a bank that starts with its unspent budget',
+      'Kills pay the defender a bounty per enemy type',
+      'Leaked units and rushing pay the attacker income',
+      'Waves (spendFromBank: amount) and towers (wave + spendFromBank: true) can be paid from the bank',
+      'Interactive matches: agents can edit waves or sell, move and add towers between waves',
+      'waveBreakdown reports per-wave earnings and balances',
+    ],
+    balanceChanges: [
+      { type: 'economy', name: 'killBounty', stat: 'runner', old: null, new: 5 },
+      { type: 'economy', name: 'killBounty', stat: 'tank', old: null, new: 10 },
+      { type: 'economy', name: 'killBounty', stat: 'swarm', old: null, new: 2 },
+      { type: 'economy', name: 'killBounty', stat: 'healer', old: null, new: 8 },
+      { type: 'economy', name: 'killBounty', stat: 'shieldBearer', old: null, new: 9 },
+      { type: 'economy', name: 'killBounty', stat: 'regenerator', old: null, new: 8 },
+      { type: 'economy', name: 'killBounty', stat: 'boss', old: null, new: 20 },
+      { type: 'economy', name: 'leakIncome', stat: 'runner', old: null, new: 10 },
+      { type: 'economy', name: 'leakIncome', stat: 'tank', old: null, new: 20 },
+      { type: 'economy', name: 'leakIncome', stat: 'swarm', old: null, new: 3 },
+      { type: 'economy', name: 'leakIncome', stat: 'healer', old: null, new: 15 },
+      { type: 'economy', name: 'leakIncome', stat: 'shieldBearer', old: null, new: 18 },
+      { type: 'economy', name: 'leakIncome', stat: 'regenerator', old: null, new: 17 },
+      { type: 'economy', name: 'leakIncome', stat: 'boss', old: null, new: 40 },
+      { type: 'economy', stat: 'rushIncome', old: null, new: true },
+      { type: 'rules', stat: 'turnTimeoutSeconds', old: null, new: 15 },
+      { type: 'rules', stat: 'sellRefundPercent', old: null, new: 0.75 },
+    ],
+  },
+  {
+    version: '0.4.0',
+    date: '2026-10-19',
+    title: 'Tower Upgrades',
+    changes: [
+      'Free-flow towers accept an optional level (1-3)',
+      'Each upgrade level costs extra budget on top of the previous level',
+      'Upgrades raise damage, fire rate and range, or strengthen specials (slow, chain jumps, armor pierce, buff radius)',
+      'GET /api/rules/towers?type=<type>&level=<n> returns resolved stats and total cost',
+      'Level 1 stats are unchanged',
+    ],
+    balanceChanges: [
+      { type: 'tower', name: 'basic', level: 2, stat: 'upgradeCost', old: null, new: 60 },
+      { type: 'tower', name: 'basic', level: 3, stat: 'upgradeCost', old: null, new: 90 },
+      { type: 'tower', name: 'slow', level: 2, stat: 'upgradeCost', old: null, new: 50 },
+      { type: 'tower', name: 'slow', level: 3, stat: 'upgradeCost', old: null, new: 80 },
+      { type: 'tower', name: 'burst', level: 2, stat: 'upgradeCost', old: null, new: 75 },
+      { type: 'tower', name: 'burst', level: 3, stat: 'upgradeCost', old: null, new: 110 },
+      { type: 'tower', name: 'chain', level: 2, stat: 'upgradeCost', old: null, new: 60 },
+      { type: 'tower', name: 'chain', level: 3, stat: 'upgradeCost', old: null, new: 90 },
+      { type: 'tower', name: 'sniper', level: 2, stat: 'upgradeCost', old: null, new: 80 },
+      { type: 'tower', name: 'sniper', level: 3, stat: 'upgradeCost', old: null, new: 120 },
+      { type: 'tower', name: 'support', level: 2, stat: 'upgradeCost', old: null, new: 50 },
+      { type: 'tower', name: 'support', level: 3, stat: 'upgradeCost', old: null, new: 70 },
+    ],
+  },
   {
     version: '0.3.0',
     date: '2026-02-04',
@@ -4,13 +4,15 @@
  * This is the single source of truth for all game constants.
  * Agents can poll /api/rules to get the current configuration.
  *
- * Version history is tracked in changelog.js
+ * Version history is tracked in changelog.js, and every version is kept as
+ * an immutable snapshot in config/versions/. After a balance change, bump
+ * `version` and run `npm run snapshot-config`.
  */
 
 const GameConfig = {
   // Version info - update when making balance changes
-  version: '0.3.0',
-  lastUpdated: '2026-02-04',
+  version: '0.8.0',
+  lastUpdated: '2026-10-19',
 
   // ============================================
   // CORE GAME SETTINGS
@@ -43,6 +45,30 @@ const GameConfig = {
     maxPowerUpsPerMatch: 3,
     maxPowerUpsPerWave: 1,
     minTowerSpacing: 50,      // Minimum distance between towers
+    maxTowerLevel: 3,         // Towers can be upgraded from level 1 up to this
+    turnTimeoutSeconds: 15,   // Interactive matches: time to submit a turn between waves
+    sellRefundPercent: 0.75,  // Interactive matches: share of a tower's cost refunded on sale
+    scoring: {
+      // 'sudden_death': the first leak wins the match for the attacker
+      // 'lives': every wave plays out; leaks cost the defender lives and
+      //          the defender wins with more than winThreshold lives left
+      mode: 'sudden_death',
+      lives: 20,
+      winThreshold: 0,
+      leakCost: {             // Lives lost per leaked unit
+        runner: 1,
+        tank: 3,
+        swarm: 1,             // Per swarm unit
+        healer: 2,
+        shieldBearer: 2,
+        regenerator: 2,
+        boss: 10,
+        flyer: 1,
+        splitter: 1,          // Per unit (children included)
+        burrower: 2,
+        disruptor: 2,
+      },
+    },
   },
 
   // ============================================
@@ -149,10 +175,95 @@ const GameConfig = {
       auraAmount: 0.15,  // 15% damage reduction
       description: 'Massive HP, armor, regen, and damage reduction aura',
     },
+    flyer: {
+      hp: 70,
+      speed: 40.0,
+      cost: 70,
+      armor: 0,
+      regen: 0,
+      aura: null,
+      flying: true,  // Only towers with hitsAir can target it
+      description: 'Flies over the road; only basic, chain and sniper towers can hit it',
+    },
+    splitter: {
+      hp: 150,
+      speed: 22.0,
+      cost: 95,
+      armor: 1,
+      regen: 0,
+      aura: null,
+      splitCount: 3,   // Children spawned where it dies
+      splitHp: 40,
+      splitSpeed: 36.0,
+      description: 'Splits into 3 fast children when killed',
+    },
+    burrower: {
+      hp: 200,
+      speed: 22.0,
+      cost: 85,
+      armor: 1,
+      regen: 0,
+      aura: null,
+      burrowFrom: 0.35,  // Untargetable underground over this share of the road
+      burrowTo: 0.65,
+      description: 'Tunnels under the middle of the road, where towers cannot target it',
+    },
+    disruptor: {
+      hp: 120,
+      speed: 20.0,
+      cost: 110,
+      armor: 1,
+      regen: 0,
+      aura: null,
+      disruptRadius: 90,     // Towers this close are disabled...
+      disruptDuration: 120,  // ...for 2 seconds (ticks)
+      disruptCooldown: 360,  // 6 seconds between pulses
+      description: 'Pulses when towers are near, disabling them for 2 seconds',
+    },
+  },
+
+  // ============================================
+  // ECONOMY
+  // Each side has a bank that starts with its unspent budget. Kills pay the
+  // defender a bounty, leaks and rushing pay the attacker. Banked money funds
+  // interactive turns and build entries marked spendFromBank.
+  // ============================================
+  economy: {
+    killBounty: {             // Paid to the defender per unit killed
+      runner: 5,
+      tank: 10,
+      swarm: 2,               // Per swarm unit
+      healer: 8,
+      shieldBearer: 9,
+      regenerator: 8,
+      boss: 20,
+      flyer: 7,
+      splitter: 6,            // Per unit (children included)
+      burrower: 8,
+      disruptor: 11,
+    },
+    leakIncome: {             // Paid to the attacker per unit that leaks
+      runner: 10,
+      tank: 20,
+      swarm: 3,               // Per swarm unit
+      healer: 15,
+      shieldBearer: 18,
+      regenerator: 17,
+      boss: 40,
+      flyer: 14,
+      splitter: 8,            // Per unit (children included)
+      burrower: 17,
+      disruptor: 22,
+    },
+    rushIncome: true,         // Rush bonus is paid into the attacker's bank
   },
 
   // ============================================
   // TOWER TYPES
+  // Each tower starts at level 1 (the base stats). `levels` lists what an
+  // upgrade changes: upgradeCost is paid on top of the previous level, and
+  // stats override the level below (levels are cumulative). Only towers
+  // with hitsAir can target flying enemies.
   // ============================================
   towers: {
     basic: {
@@ -161,6 +272,11 @@ const GameConfig = {
       range: 90,
       cost: 100,
       special: null,
+      hitsAir: true,
+      levels: {
+        2: { upgradeCost: 60, damage: 19, fireRate: 1.0, range: 100 },
+        3: { upgradeCost: 90, damage: 25, fireRate: 1.1, range: 110 },
+      },
       description: 'Balanced damage and fire rate',
     },
     slow: {
@@ -170,6 +286,10 @@ const GameConfig = {
       cost: 100,
       special: 'slow',
       slowAmount: 0.55,  // 55% speed
+      levels: {
+        2: { upgradeCost: 50, damage: 10, slowAmount: 0.45, range: 100 },
+        3: { upgradeCost: 80, damage: 12, fireRate: 1.0, slowAmount: 0.35, range: 110 },
+      },
       description: 'Slows enemies, reducing their speed',
     },
     burst: {
@@ -178,6 +298,10 @@ const GameConfig = {
       range: 90,
       cost: 150,
       special: null,
+      levels: {
+        2: { upgradeCost: 75, damage: 55, range: 100 },
+        3: { upgradeCost: 110, damage: 75, fireRate: 0.45, range: 110 },
+      },
       description: 'High damage, slow fire rate',
     },
     chain: {
@@ -186,8 +310,13 @@ const GameConfig = {
       range: 90,
       cost: 125,
       special: 'chain',
+      hitsAir: true,
       chainCount: 4,
       chainDamageDecay: 0.75,  // 75% damage per jump
+      levels: {
+        2: { upgradeCost: 60, damage: 17, chainCount: 5 },
+        3: { upgradeCost: 90, damage: 20, chainCount: 6, chainDamageDecay: 0.8 },
+      },
       description: 'Hits up to 4 targets with decaying damage',
     },
     sniper: {
@@ -196,7 +325,12 @@ const GameConfig = {
       range: 200,
       cost: 175,
       special: 'armorPierce',
+      hitsAir: true,
       armorPiercePercent: 0.7,  // Ignores 70% armor
+      levels: {
+        2: { upgradeCost: 80, damage: 110, armorPiercePercent: 0.8 },
+        3: { upgradeCost: 120, damage: 140, fireRate: 0.3, range: 220, armorPiercePercent: 0.9 },
+      },
       description: 'Long range, high damage, pierces armor',
     },
     support: {
@@ -207,10 +341,30 @@ const GameConfig = {
       special: 'buff',
       buffRadius: 100,
       damageBuffPercent: 0.25,  // +25% damage
+      levels: {
+        2: { upgradeCost: 50, buffRadius: 120, damageBuffPercent: 0.35 },
+        3: { upgradeCost: 70, buffRadius: 140, damageBuffPercent: 0.45 },
+      },
       description: 'Buffs nearby towers with +25% damage',
     },
   },
 
+  // ============================================
+  // TOWER TARGETING PRIORITIES
+  // ============================================
+  targeting: {
+    default: 'first',
+    modes: {
+      first: 'Enemy furthest along the path',
+      last: 'Enemy least far along the path',
+      strongest: 'Enemy with the most current HP',
+      weakest: 'Enemy with the least current HP',
+      closest: 'Enemy nearest to the tower',
+      highestArmor: 'Enemy with the highest armor',
+      healerFirst: 'Healers first, then furthest along the path',
+    },
+  },
+
   // ============================================
   // POWER-UPS
   // ============================================
@@ -271,8 +425,9 @@ const GameConfig = {
       cost: 35,
       duration: 180,  // 3 seconds
       side: 'defense',
-      towerType: 'basic',
-      position: 500,
+      towerType: 'basic',     // Default tower (builds may pick another type: cost scales with its price)
+      position: 500,          // Default x (builds may set x, y and lane)
+      lane: 'top',
       description: 'Spawns a temporary tower',
     },
   },
@@ -293,99 +448,171 @@ function getConfig() {
 /**
  * Get configuration for a specific enemy type
  * @param {string} type - Enemy type name
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {object|null} Enemy configuration or null if not found
  */
-function getEnemyConfig(type) {
-  return GameConfig.enemies[type] || null;
+function getEnemyConfig(type, config = GameConfig) {
+  return config.enemies[type] || null;
 }
 
 /**
  * Get configuration for a specific tower type
  * @param {string} type - Tower type name
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {object|null} Tower configuration or null if not found
  */
-function getTowerConfig(type) {
-  return GameConfig.towers[type] || null;
+function getTowerConfig(type, config = GameConfig) {
+  return config.towers[type] || null;
+}
+
+/**
+ * Get resolved stats for a tower at an upgrade level
+ * Applies each level's overrides on top of the base stats, and sums the
+ * base cost with every upgradeCost up to that level.
+ * @param {string} type - Tower type name
+ * @param {number} level - Upgrade level (1 = base tower)
+ * @param {object} config - Config version (default: the current GameConfig)
+ * @returns {object|null} Stats at that level (cost is the total cost) or null
+ */
+function getTowerLevelConfig(type, level = 1, config = GameConfig) {
+  const base = config.towers[type];
+  if (!base || !Number.isInteger(level) || level < 1 || level > config.rules.maxTowerLevel) {
+    return null;
+  }
+
+  const { levels = {}, description, ...stats } = base;
+  for (let l = 2; l <= level; l++) {
+    const { upgradeCost, ...overrides } = levels[l] || {};
+    Object.assign(stats, overrides);
+    stats.cost += upgradeCost || 0;
+  }
+  stats.level = level;
+
+  return stats;
 }
 
 /**
  * Get configuration for a specific power-up
  * @param {string} type - Power-up type name
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {object|null} Power-up configuration or null if not found
  */
-function getPowerUpConfig(type) {
-  return GameConfig.powerUps[type] || null;
+function getPowerUpConfig(type, config = GameConfig) {
+  return config.powerUps[type] || null;
 }
 
 /**
  * Get valid enemy types
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {string[]} Array of valid enemy type names
  */
-function getValidEnemyTypes() {
-  return Object.keys(GameConfig.enemies);
+function getValidEnemyTypes(config = GameConfig) {
+  return Object.keys(config.enemies);
 }
 
 /**
  * Get valid tower types
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {string[]} Array of valid tower type names
  */
-function getValidTowerTypes() {
-  return Object.keys(GameConfig.towers);
+function getValidTowerTypes(config = GameConfig) {
+  return Object.keys(config.towers);
+}
+
+/**
+ * Get valid tower targeting modes
+ * @param {object} config - Config version (default: the current GameConfig)
+ * @returns {string[]} Array of valid targeting mode names
+ */
+function getValidTargetingModes(config = GameConfig) {
+  return Object.keys(config.targeting.modes);
 }
 
 /**
  * Get valid attacker power-ups
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {string[]} Array of valid attacker power-up names
  */
-function getValidAttackerPowerUps() {
-  return Object.entries(GameConfig.powerUps)
-    .filter(([_, config]) => config.side === 'attack')
+function getValidAttackerPowerUps(config = GameConfig) {
+  return Object.entries(config.powerUps)
+    .filter(([_, powerUp]) => powerUp.side === 'attack')
     .map(([name]) => name);
 }
 
 /**
  * Get valid defender power-ups
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {string[]} Array of valid defender power-up names
  */
-function getValidDefenderPowerUps() {
-  return Object.entries(GameConfig.powerUps)
-    .filter(([_, config]) => config.side === 'defense')
+function getValidDefenderPowerUps(config = GameConfig) {
+  return Object.entries(config.powerUps)
+    .filter(([_, powerUp]) => powerUp.side === 'defense')
     .map(([name]) => name);
 }
 
 /**
  * Get the API-safe version of the config (for /api/rules endpoint)
  * Removes internal properties, adds computed fields
+ * @param {object} config - Config version (default: the current GameConfig)
  * @returns {object} API-safe configuration
  */
-function getApiConfig() {
+function getApiConfig(config = GameConfig) {
   return {
-    version: GameConfig.version,
-    lastUpdated: GameConfig.lastUpdated,
-    budget: GameConfig.budget,
-    rules: GameConfig.rules,
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    budget: config.budget,
+    rules: config.rules,
     map: {
-      id: GameConfig.map.id,
-      name: GameConfig.map.name,
-      pathLength: GameConfig.map.pathLength,
-      canvasWidth: GameConfig.map.canvasWidth,
-      canvasHeight: GameConfig.map.canvasHeight,
-      lanes: GameConfig.map.lanes,
-      towerZones: GameConfig.map.towerZones,
-      freePlacement: GameConfig.map.freePlacement,
-    },
-    enemies: GameConfig.enemies,
-    towers: GameConfig.towers,
-    powerUps: GameConfig.powerUps,
+      id: config.map.id,
+      name: config.map.name,
+      pathLength: config.map.pathLength,
+      canvasWidth: config.map.canvasWidth,
+      canvasHeight: config.map.canvasHeight,
+      lanes: config.map.lanes,
+      lanePositions: config.map.lanePositions,
+      towerZones: config.map.towerZones,
+      freePlacement: config.map.freePlacement,
+    },
+    enemies: config.enemies,
+    towers: config.towers,
+    targeting: config.targeting,
+    powerUps: config.powerUps,
+    economy: config.economy,
     validTypes: {
-      enemies: getValidEnemyTypes(),
-      towers: getValidTowerTypes(),
-      attackerPowerUps: getValidAttackerPowerUps(),
-      defenderPowerUps: getValidDefenderPowerUps(),
+      enemies: getValidEnemyTypes(config),
+      towers: getValidTowerTypes(config),
+      targeting: getValidTargetingModes(config),
+      attackerPowerUps: getValidAttackerPowerUps(config),
+      defenderPowerUps: getValidDefenderPowerUps(config),
     },
   };
 }
 
+/**
+ * Bind the helpers to one config version
+ * Has the same shape as this module's exports, so a copy of the simulation
+ * can be loaded against an older snapshot (see config/versions.js).
+ * @param {object} config - Config version
+ * @returns {object} Module-shaped config API
+ */
+function bindGameConfig(config) {
+  return {
+    GameConfig: config,
+    getConfig: () => config,
+    getEnemyConfig: type => getEnemyConfig(type, config),
+    getTowerConfig: type => getTowerConfig(type, config),
+    getTowerLevelConfig: (type, level = 1) => getTowerLevelConfig(type, level, config),
+    getPowerUpConfig: type => getPowerUpConfig(type, config),
+    getValidEnemyTypes: () => getValidEnemyTypes(config),
+    getValidTowerTypes: () => getValidTowerTypes(config),
+    getValidTargetingModes: () => getValidTargetingModes(config),
+    getValidAttackerPowerUps: () => getValidAttackerPowerUps(config),
+    getValidDefenderPowerUps: () => getValidDefenderPowerUps(config),
+    getApiConfig: () => getApiConfig(config),
+    bindGameConfig
+  };
+}
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -394,10 +621,13 @@ module.exports = {
   getConfig,
   getEnemyConfig,
   getTowerConfig,
+  getTowerLevelConfig,
   getPowerUpConfig,
   getValidEnemyTypes,
   getValidTowerTypes,
+  getValidTargetingModes,
   getValidAttackerPowerUps,
   getValidDefenderPowerUps,
   getApiConfig,
+  bindGameConfig,
 };
@@ -0,0 +1,59 @@
+/**
+ * Canyon Map Configuration - Forbidden Ground
+ *
+ * Standard length road that runs through a canyon. The middle stretch is
+ * sheer cliff on both sides, and a river cuts off the top lane near the
+ * exit, so towers cannot be placed there.
+ */
+
+module.exports = {
+  id: 'canyon',
+  name: 'Canyon',
+  description: 'A 1000-unit road with cliffs in the middle and a river by the exit where towers cannot be built.',
+
+  // Dimensions
+  pathLength: 1000,
+  canvasWidth: 1000,
+  canvasHeight: 280,
+
+  // Lanes - enemies travel along these
+  lanes: [
+    { id: 'top', y: 60 },
+    { id: 'bottom', y: 220 },
+  ],
+
+  // Tower zones - predefined positions for legacy slot-based placement
+  // (none sit inside a forbidden zone)
+  towerZones: [
+    { id: 'A', x: 100, allowedLanes: ['top', 'bottom'] },
+    { id: 'B', x: 250, allowedLanes: ['top', 'bottom'] },
+    { id: 'C', x: 600, allowedLanes: ['top', 'bottom'] },
+    { id: 'D', x: 700, allowedLanes: ['top', 'bottom'] },
+    { id: 'E', x: 900, allowedLanes: ['top', 'bottom'] },
+  ],
+
+  // Path segments - defines the path enemies walk
+  pathSegments: [
+    { startX: 0, endX: 1000, laneId: 'top' },
+    { startX: 0, endX: 1000, laneId: 'bottom' },
+  ],
+
+  // Spawn and exit points
+  spawnPoint: { x: 0 },
+  exitPoint: { x: 1000 },
+
+  // Free-flow placement rules
+  freePlacement: {
+    enabled: true,
+    minX: 50,
+    maxX: 950,
+    minSpacing: 50,
+  },
+
+  // Stretches of the road where towers may not be placed
+  // lanes omitted = both lanes
+  forbiddenZones: [
+    { minX: 350, maxX: 550, name: 'Cliffs' },
+    { minX: 750, maxX: 850, lanes: ['top'], name: 'River' },
+  ],
+};
@@ -2,48 +2,48 @@
  * Default Map Configuration - Classic Lane
  *
  * This is the default map with two parallel lanes.
- * Future maps can define different layouts, paths, and tower zones.
+ * Built from GameConfig.map so the default layout has a single source of truth.
  */
 
+const { GameConfig } = require('../game-config');
+
+const config = GameConfig.map;
+
 module.exports = {
-  id: 'default',
-  name: 'Classic Lane',
+  id: config.id,
+  name: config.name,
+  description: 'Two parallel lanes over a 1000-unit road. The standard ranked map.',
 
   // Dimensions
-  pathLength: 1000,
-  canvasWidth: 800,
-  canvasHeight: 200,
+  pathLength: config.pathLength,
+  canvasWidth: config.canvasWidth,
+  canvasHeight: config.canvasHeight,
 
   // Lanes - enemies travel along these
-  lanes: [
-    { id: 'top', y: 50 },
-    { id: 'bottom', y: 150 },
-  ],
+  lanes: config.lanes.map(id => ({ id, y: config.lanePositions[id] })),
 
   // Tower zones - predefined positions for legacy slot-based placement
-  towerZones: [
-    { id: 'A', x: 100, allowedLanes: ['top', 'bottom'] },
-    { id: 'B', x: 300, allowedLanes: ['top', 'bottom'] },
-    { id: 'C', x: 500, allowedLanes: ['top', 'bottom'] },
-    { id: 'D', x: 700, allowedLanes: ['top', 'bottom'] },
-    { id: 'E', x: 900, allowedLanes: ['top', 'bottom'] },
-  ],
+  towerZones: config.towerZones,
 
   // Path segments - defines the path enemies walk
-  pathSegments: [
-    { startX: 0, endX: 1000, laneId: 'top' },
-    { startX: 0, endX: 1000, laneId: 'bottom' },
-  ],
+  pathSegments: config.lanes.map(laneId => ({
+    startX: config.spawnPoint.x,
+    endX: config.exitPoint.x,
+    laneId,
+  })),
 
   // Spawn and exit points
-  spawnPoint: { x: 0 },
-  exitPoint: { x: 1000 },
+  spawnPoint: config.spawnPoint,
+  exitPoint: config.exitPoint,
 
   // Free-flow placement rules
   freePlacement: {
-    enabled: true,
-    minX: 50,
-    maxX: 950,
-    minSpacing: 50,
+    enabled: config.freePlacement.enabled,
+    minX: config.freePlacement.minX,
+    maxX: config.freePlacement.maxX,
+    minSpacing: GameConfig.rules.minTowerSpacing,
   },
+
+  // Stretches of the road where towers may not be placed
+  forbiddenZones: [],
 };
@@ -1,22 +1,33 @@
 /**
  * Map Loader - Load and manage map configurations
  *
- * Currently only supports the default map.
- * Future maps can be added by creating new files in this directory.
+ * Each map lives in its own file in this directory and is registered below.
+ * Matches pick a map by ID; the simulation reads path length, lanes,
+ * tower zones and spawn/exit points from the chosen map.
  */
 
 const defaultMap = require('./default');
+const sprintMap = require('./sprint');
+const marathonMap = require('./marathon');
+const canyonMap = require('./canyon');
+const switchbackMap = require('./switchback');
+
+const DEFAULT_MAP_ID = 'default';
 
 // Registry of available maps
 const maps = new Map();
 maps.set('default', defaultMap);
+maps.set('sprint', sprintMap);
+maps.set('marathon', marathonMap);
+maps.set('canyon', canyonMap);
+maps.set('switchback', switchbackMap);
 
 /**
  * Get a map by ID
  * @param {string} mapId - Map identifier
  * @returns {object|null} Map configuration or null if not found
  */
-function getMap(mapId = 'default') {
+function getMap(mapId = DEFAULT_MAP_ID) {
   return maps.get(mapId) || null;
 }
 
@@ -62,10 +73,40 @@ function getLaneY(mapId, laneId) {
   return lane ? lane.y : null;
 }
 
+/**
+ * Get lane Y positions for a map
+ * @param {object} map - Map configuration
+ * @returns {object} Lane ID -> Y position
+ */
+function getLanePositions(map) {
+  const positions = {};
+  for (const lane of map.lanes) {
+    positions[lane.id] = lane.y;
+  }
+  return positions;
+}
+
+/**
+ * Find the forbidden zone (if any) covering a tower position
+ * @param {object} map - Map configuration
+ * @param {number} x - Position along the path
+ * @param {string} laneId - Lane the tower sits on
+ * @returns {object|null} Forbidden zone or null if placement is allowed
+ */
+function getForbiddenZone(map, x, laneId) {
+  return (map.forbiddenZones || []).find(zone =>
+    x >= zone.minX && x <= zone.maxX &&
+    (!zone.lanes || zone.lanes.includes(laneId))
+  ) || null;
+}
+
 module.exports = {
+  DEFAULT_MAP_ID,
   getMap,
   getAvailableMaps,
   registerMap,
   getTowerZone,
   getLaneY,
+  getLanePositions,
+  getForbiddenZone,
 };
@@ -0,0 +1,53 @@
+/**
+ * Marathon Map Configuration - Long Road
+ *
+ * A 1600-unit road. Defenders get plenty of room to layer towers,
+ * attackers lean on regeneration and healing to survive the distance.
+ */
+
+module.exports = {
+  id: 'marathon',
+  name: 'Marathon',
+  description: 'A long 1600-unit road. Room for deep defenses; sustain matters.',
+
+  // Dimensions
+  pathLength: 1600,
+  canvasWidth: 1000,
+  canvasHeight: 280,
+
+  // Lanes - enemies travel along these
+  lanes: [
+    { id: 'top', y: 60 },
+    { id: 'bottom', y: 220 },
+  ],
+
+  // Tower zones - predefined positions for legacy slot-based placement
+  towerZones: [
+    { id: 'A', x: 160, allowedLanes: ['top', 'bottom'] },
+    { id: 'B', x: 480, allowedLanes: ['top', 'bottom'] },
+    { id: 'C', x: 800, allowedLanes: ['top', 'bottom'] },
+    { id: 'D', x: 1120, allowedLanes: ['top', 'bottom'] },
+    { id: 'E', x: 1440, allowedLanes: ['top', 'bottom'] },
+  ],
+
+  // Path segments - defines the path enemies walk
+  pathSegments: [
+    { startX: 0, endX: 1600, laneId: 'top' },
+    { startX: 0, endX: 1600, laneId: 'bottom' },
+  ],
+
+  // Spawn and exit points
+  spawnPoint: { x: 0 },
+  exitPoint: { x: 1600 },
+
+  // Free-flow placement rules
+  freePlacement: {
+    enabled: true,
+    minX: 50,
+    maxX: 1550,
+    minSpacing: 50,
+  },
+
+  // Stretches of the road where towers may not be placed
+  forbiddenZones: [],
+};
@@ -0,0 +1,53 @@
+/**
+ * Sprint Map Configuration - Short Road
+ *
+ * A 600-unit road. Enemies reach the fortress quickly, so there is less
+ * room for towers and every shot counts.
+ */
+
+module.exports = {
+  id: 'sprint',
+  name: 'Sprint',
+  description: 'A short 600-unit road. Fewer tower spots, faster waves.',
+
+  // Dimensions
+  pathLength: 600,
+  canvasWidth: 1000,
+  canvasHeight: 280,
+
+  // Lanes - enemies travel along these
+  lanes: [
+    { id: 'top', y: 60 },
+    { id: 'bottom', y: 220 },
+  ],
+
+  // Tower zones - predefined positions for legacy slot-based placement
+  towerZones: [
+    { id: 'A', x: 60, allowedLanes: ['top', 'bottom'] },
+    { id: 'B', x: 180, allowedLanes: ['top', 'bottom'] },
+    { id: 'C', x: 300, allowedLanes: ['top', 'bottom'] },
+    { id: 'D', x: 420, allowedLanes: ['top', 'bottom'] },
+    { id: 'E', x: 540, allowedLanes: ['top', 'bottom'] },
+  ],
+
+  // Path segments - defines the path enemies walk
+  pathSegments: [
+    { startX: 0, endX: 600, laneId: 'top' },
+    { startX: 0, endX: 600, laneId: 'bottom' },
+  ],
+
+  // Spawn and exit points
+  spawnPoint: { x: 0 },
+  exitPoint: { x: 600 },
+
+  // Free-flow placement rules
+  freePlacement: {
+    enabled: true,
+    minX: 30,
+    maxX: 570,
+    minSpacing: 50,
+  },
+
+  // Stretches of the road where towers may not be placed
+  forbiddenZones: [],
+};
@@ -0,0 +1,67 @@
+/**
+ * Switchback Map Configuration - Winding Road
+ *
+ * The road doubles back on itself twice. Coordinates are 2D map points
+ * (same units as the 1000x280 canvas) and enemies walk the waypoints, so a
+ * tower between two stretches of road covers both of them.
+ */
+
+// Shared road: both lanes walk the same switchbacks
+const ROAD = [
+  { x: 0, y: 50 },
+  { x: 650, y: 50 },
+  { x: 650, y: 140 },
+  { x: 350, y: 140 },
+  { x: 350, y: 230 },
+  { x: 1000, y: 230 },
+];
+
+module.exports = {
+  id: 'switchback',
+  name: 'Switchback',
+  description: 'A road that doubles back twice. Towers between the bends cover two stretches at once.',
+
+  // Dimensions (pathLength is the road's walking distance)
+  pathLength: 1780,
+  canvasWidth: 1000,
+  canvasHeight: 280,
+
+  // Lanes - enemies travel along these
+  lanes: [
+    { id: 'top', y: 50 },
+    { id: 'bottom', y: 230 },
+  ],
+
+  // Tower zones - predefined positions for legacy slot-based placement
+  towerZones: [
+    { id: 'A', x: 200, y: 95, allowedLanes: ['top', 'bottom'] },
+    { id: 'B', x: 500, y: 95, allowedLanes: ['top', 'bottom'] },
+    { id: 'C', x: 720, y: 140, allowedLanes: ['top', 'bottom'] },
+    { id: 'D', x: 500, y: 185, allowedLanes: ['top', 'bottom'] },
+    { id: 'E', x: 800, y: 185, allowedLanes: ['top', 'bottom'] },
+  ],
+
+  // Path segments - waypoint polylines the enemies walk
+  pathSegments: [
+    { laneId: 'top', waypoints: ROAD },
+    { laneId: 'bottom', waypoints: ROAD },
+  ],
+
+  // Spawn and exit points
+  spawnPoint: { x: 0, y: 50 },
+  exitPoint: { x: 1000, y: 230 },
+
+  // Free-flow placement rules (towers need both x and y on this map)
+  freePlacement: {
+    enabled: true,
+    minX: 20,
+    maxX: 980,
+    minY: 20,
+    maxY: 260,
+    minSpacing: 50,
+    roadClearance: 25,  // Towers can't be built on the road
+  },
+
+  // Stretches of the road where towers may not be placed
+  forbiddenZones: [],
+};
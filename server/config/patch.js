@@ -0,0 +1,110 @@
+/**
+ * Config Patches - Proposed balance changes applied to a config
+ *
+ * A patch is a list of changes in the changelog's balanceChanges shape:
+ *   { type: 'tower', name: 'sniper', stat: 'damage', new: 75 }
+ *   { type: 'tower', name: 'sniper', level: 2, stat: 'damage', new: 100 }
+ *   { type: 'rules', stat: 'waveDelay', new: 90 }
+ *   { type: 'economy', name: 'killBounty', stat: 'tank', new: 12 }
+ *
+ * Only existing numeric stats can be changed, so a patch can't add units or
+ * mechanics - it is what a balance change looks like before it ships.
+ * Stats a unit can't work without (POSITIVE_STATS) must stay above 0.
+ */
+
+// Change type -> GameConfig section
+const PATCH_SECTIONS = {
+  tower: 'towers',
+  enemy: 'enemies',
+  powerUp: 'powerUps',
+  economy: 'economy',
+  budget: 'budget',
+  rules: 'rules'
+};
+
+// Stats that must stay above 0 (at 0 enemies never reach the exit and
+// towers never fire, so waves would not end)
+const POSITIVE_STATS = ['speed', 'splitSpeed', 'damage', 'fireRate', 'range', 'duration'];
+
+/**
+ * Find the object a change edits
+ * @returns {Object|null} The object holding change.stat, or null if missing
+ */
+function resolveTarget(config, change) {
+  let target = config[PATCH_SECTIONS[change.type]];
+  if (change.name !== undefined) target = target?.[change.name];
+  if (change.level !== undefined) target = target?.levels?.[change.level];
+  return target && typeof target === 'object' ? target : null;
+}
+
+/**
+ * Describe a change's stat path (e.g. "tower.sniper.2.damage")
+ */
+function describeChange(change) {
+  return [change.type, change.name, change.level, change.stat]
+    .filter(part => part !== undefined)
+    .join('.');
+}
+
+/**
+ * Validate a config patch against a config
+ * @param {Array} changes - Patch changes
+ * @param {Object} config - Config the patch applies to
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validateConfigPatch(changes, config) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return { valid: false, error: 'changes must be a non-empty array' };
+  }
+
+  for (const change of changes) {
+    if (!change || typeof change !== 'object') {
+      return { valid: false, error: 'Each change must be an object' };
+    }
+    if (!PATCH_SECTIONS[change.type]) {
+      return { valid: false, error: `Invalid change type '${change.type}'. Valid: ${Object.keys(PATCH_SECTIONS).join(', ')}` };
+    }
+
+    const target = resolveTarget(config, change);
+    if (!target || typeof target[change.stat] !== 'number') {
+      return { valid: false, error: `Unknown numeric stat: ${describeChange(change)}` };
+    }
+    if (typeof change.new !== 'number' || !Number.isFinite(change.new) || change.new < 0) {
+      return { valid: false, error: `${describeChange(change)}: new must be a non-negative number` };
+    }
+    if (POSITIVE_STATS.includes(change.stat) && change.new === 0) {
+      return { valid: false, error: `${describeChange(change)}: new must be greater than 0` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Apply a validated patch to a copy of a config
+ * The copy's version becomes "<version>+patch" so matches run under it are
+ * never mistaken for a real version.
+ * @param {Object} config - Base config (not modified)
+ * @param {Array} changes - Patch changes (see validateConfigPatch)
+ * @returns {Object} { config, changes } - patched config and the changes with their `old` values
+ */
+function applyConfigPatch(config, changes) {
+  const patched = structuredClone(config);
+  const applied = changes.map(change => {
+    const target = resolveTarget(patched, change);
+    const old = target[change.stat];
+    target[change.stat] = change.new;
+    return { ...change, old };
+  });
+
+  patched.version = `${config.version}+patch`;
+  return { config: patched, changes: applied };
+}
+
+module.exports = {
+  PATCH_SECTIONS,
+  POSITIVE_STATS,
+  describeChange,
+  validateConfigPatch,
+  applyConfigPatch
+};
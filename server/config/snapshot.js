@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Snapshot the current GameConfig as an immutable version
+ *
+ * Run after bumping GameConfig.version for a balance change. Writes
+ * config/versions/<version>.json; an existing snapshot is never
+ * overwritten, so editing the config without a version bump fails here.
+ *
+ * Usage:
+ *   node server/config/snapshot.js
+ */
+
+const fs = require('fs');
+const { GameConfig } = require('./game-config');
+const { createSnapshot, getSnapshotPath } = require('./versions');
+
+// CLI entry point
+if (require.main === module) {
+  const file = getSnapshotPath(GameConfig.version);
+  const snapshot = createSnapshot(GameConfig);
+
+  if (fs.existsSync(file)) {
+    const existing = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (JSON.stringify(existing.config) === JSON.stringify(snapshot.config)) {
+      console.log(`[Config] Version ${GameConfig.version} is already snapshotted`);
+      process.exit(0);
+    }
+    console.error(`[Config] Version ${GameConfig.version} has a different snapshot. Snapshots are immutable - bump GameConfig.version.`);
+    process.exit(1);
+  }
+
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+  console.log(`[Config] Wrote ${file}`);
+}
@@ -0,0 +1,235 @@
+/**
+ * Config Versions - Immutable snapshots of every GameConfig version
+ *
+ * Each version lives in config/versions/<version>.json and is never edited:
+ * a balance change bumps GameConfig.version and adds a new snapshot
+ * (`npm run snapshot-config`). Matches are stamped with the version they ran
+ * under, and loadEngine(version) returns a copy of the simulation bound to
+ * that snapshot, so old matches replay under their own rules and builds can
+ * be tested against any version.
+ *
+ * Snapshots marked `reconstructed` predate this archive: they were rebuilt
+ * from the changelog's balanceChanges, so their stats are what was played
+ * and sections added later (e.g. economy before 0.5.0) are left out. Code
+ * mechanics added later (e.g. bank-funded waves) still apply when they run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { GameConfig, bindGameConfig } = require('./game-config');
+const { compareVersions } = require('./changelog');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'versions');
+
+// Modules under server/ are reloaded for an older version's engine
+const SERVER_ROOT = path.join(__dirname, '..');
+const GAME_CONFIG_PATH = require.resolve('./game-config');
+
+// version -> { version, lastUpdated, reconstructed, note?, config }
+let snapshots = null;
+
+// version -> engine bound to that snapshot
+const engines = new Map();
+
+/**
+ * Freeze an object and everything in it
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+/**
+ * Build a snapshot file's contents from a config
+ * @param {Object} config - Full GameConfig
+ * @returns {Object} Snapshot record
+ */
+function createSnapshot(config) {
+  return {
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    config: structuredClone(config)
+  };
+}
+
+/**
+ * Get the snapshot file path for a version
+ */
+function getSnapshotPath(version) {
+  return path.join(SNAPSHOT_DIR, `${version}.json`);
+}
+
+/**
+ * Load every snapshot (once) and check the running config against its own
+ * A running version without a snapshot is kept in memory until one is
+ * written; a running config that differs from its snapshot means it was
+ * edited without a version bump, and the snapshot wins for old matches.
+ */
+function loadSnapshots() {
+  if (snapshots) return snapshots;
+
+  snapshots = new Map();
+  for (const file of fs.readdirSync(SNAPSHOT_DIR).filter(f => f.endsWith('.json'))) {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf8'));
+    snapshots.set(snapshot.version, deepFreeze(snapshot));
+  }
+
+  const stored = snapshots.get(GameConfig.version);
+  if (!stored) {
+    console.warn(`[Config] No snapshot for version ${GameConfig.version} - run npm run snapshot-config`);
+    snapshots.set(GameConfig.version, deepFreeze(createSnapshot(GameConfig)));
+  } else if (JSON.stringify(stored.config) !== JSON.stringify(GameConfig)) {
+    console.warn(`[Config] GameConfig differs from the ${GameConfig.version} snapshot - bump the version for balance changes`);
+  }
+
+  return snapshots;
+}
+
+/**
+ * Get the current config version
+ * @returns {string}
+ */
+function getCurrentVersion() {
+  return GameConfig.version;
+}
+
+/**
+ * Check whether a config version has a snapshot
+ * @param {string} version - Config version
+ * @returns {boolean}
+ */
+function hasConfigVersion(version) {
+  return loadSnapshots().has(version);
+}
+
+/**
+ * Get a config version's snapshot
+ * @param {string} version - Config version
+ * @returns {Object|null} Frozen config or null if unknown
+ */
+function getConfigVersion(version) {
+  return loadSnapshots().get(version)?.config || null;
+}
+
+/**
+ * List every config version, newest first
+ * @returns {Array} [{ version, lastUpdated, current, reconstructed }]
+ */
+function listConfigVersions() {
+  return Array.from(loadSnapshots().values())
+    .sort((a, b) => compareVersions(b.version, a.version))
+    .map(snapshot => ({
+      version: snapshot.version,
+      lastUpdated: snapshot.lastUpdated,
+      current: snapshot.version === GameConfig.version,
+      reconstructed: !!snapshot.reconstructed
+    }));
+}
+
+/**
+ * Resolve a config_version query value ('current' means the running version)
+ * @param {string} value - Requested version
+ * @returns {Object} { valid, version?, error? }
+ */
+function resolveConfigVersion(value) {
+  const version = value === 'current' ? GameConfig.version : value;
+  if (!hasConfigVersion(version)) {
+    return {
+      valid: false,
+      error: `Unknown config_version '${value}'. Available: ${listConfigVersions().map(v => v.version).join(', ')}`
+    };
+  }
+  return { valid: true, version };
+}
+
+/**
+ * Get the /api/rules view of a config version
+ * @param {string} version - Config version
+ * @returns {Object|null} API config or null if unknown
+ */
+function getApiConfigVersion(version) {
+  const config = getConfigVersion(version);
+  return config ? bindGameConfig(config).getApiConfig() : null;
+}
+
+/**
+ * Load a separate copy of the simulation bound to a config
+ * The copy (and its build validation) is loaded with game-config bound to
+ * the given config; the live module cache is restored afterwards, and the
+ * copy is unhooked from this module's children so it is freed with the
+ * returned engine.
+ * @param {Object} config - Full config (a snapshot or a patched copy)
+ * @returns {Object} { version, match, turns, validate }
+ */
+function createEngine(config) {
+  const isServerModule = id => id.startsWith(SERVER_ROOT) && !id.includes(`${path.sep}node_modules${path.sep}`);
+  const live = new Map(Object.keys(require.cache).filter(isServerModule).map(id => [id, require.cache[id]]));
+  const childCount = module.children.length;
+
+  try {
+    live.forEach((_, id) => delete require.cache[id]);
+
+    const configModule = new Module(GAME_CONFIG_PATH, module);
+    configModule.filename = GAME_CONFIG_PATH;
+    configModule.loaded = true;
+    configModule.exports = bindGameConfig(config);
+    require.cache[GAME_CONFIG_PATH] = configModule;
+
+    return {
+      version: config.version,
+      match: require('../simulation/match'),
+      turns: require('../simulation/turns'),
+      validate: require('../api/validate')
+    };
+  } finally {
+    Object.keys(require.cache).filter(isServerModule).forEach(id => delete require.cache[id]);
+    live.forEach((cached, id) => { require.cache[id] = cached; });
+    module.children.splice(childCount);
+  }
+}
+
+/**
+ * Get the simulation engine for a config version
+ * The current version uses the live modules; older versions get their own
+ * copy (see createEngine), cached per version.
+ * @param {string} version - Config version
+ * @returns {Object|null} { version, match, turns, validate } or null if unknown
+ */
+function loadEngine(version) {
+  if (engines.has(version)) return engines.get(version);
+
+  const config = getConfigVersion(version);
+  if (!config) return null;
+
+  let engine;
+  if (version === GameConfig.version) {
+    engine = {
+      version,
+      match: require('../simulation/match'),
+      turns: require('../simulation/turns'),
+      validate: require('../api/validate')
+    };
+  } else {
+    engine = createEngine(config);
+  }
+  engines.set(version, engine);
+  return engine;
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  createSnapshot,
+  getSnapshotPath,
+  getCurrentVersion,
+  hasConfigVersion,
+  getConfigVersion,
+  listConfigVersions,
+  resolveConfigVersion,
+  getApiConfigVersion,
+  createEngine,
+  loadEngine
+};
@@ -33,6 +33,10 @@ const dashboardRouter = require('./api/dashboard');
 const learningRouter = require('./api/learning');
 const replayRouter = require('./api/replay');
 const rulesRouter = require('./api/rules');
+const simulateRouter = require('./api/simulate');
+const optimizeRouter = require('./api/optimize');
+const tournamentsRouter = require('./api/tournaments');
+const agentsRouter = require('./api/agents');
 const { setMatchUpdateCallback, getQueueStats, setMatchSpeed } = require('./matchmaker');
 
 // Create Express app
@@ -81,6 +85,10 @@ app.use('/dashboard', dashboardRouter);
 app.use('/learning', learningRouter);
 app.use('/replay', replayRouter);
 app.use('/api/rules', rulesRouter);
+app.use('/simulate', simulateRouter);
+app.use('/optimize', optimizeRouter);
+app.use('/tournaments', tournamentsRouter);
+app.use('/agents', agentsRouter);
 
 // Queue status endpoint
 app.get('/status', (req, res) => {
@@ -211,15 +219,21 @@ server.listen(PORT, () => {
 ║  Endpoints:                                               ║
 ║    POST /submit       - Submit a build                    ║
 ║    POST /demo         - Start demo match                  ║
+║    POST /simulate     - Headless match simulation         ║
+║    POST /optimize     - Search for a counter build        ║
+║    POST /tournaments  - Run a round-robin/Swiss/knockout  ║
+║    POST /agents/register - Claim a name, get an API key   ║
 ║    GET  /api/rules    - Game configuration (for agents)   ║
 ║    GET  /dashboard    - Homepage data (leaderboard/stats) ║
 ║    GET  /leaderboard  - ELO rankings                      ║
 ║    GET  /learning/*   - Agent learning API                ║
 ║    GET  /replay/:id   - Match replay data                 ║
 ║    GET  /match/:id    - Get match state                   ║
+║    POST /match/:id/turn - Interactive between-wave turn   ║
 ║    GET  /results/:id  - Get match results                 ║
 ║    GET  /history      - Match history                     ║
 ║    GET  /stats        - Game balance statistics           ║
+║    POST /stats/impact - Preview a balance change          ║
 ║    GET  /status       - Queue status                      ║
 ║                                                           ║
 ║  WebSocket: ws://localhost:${PORT}                           ║
@@ -1,5 +1,11 @@
-const { createMatch, runMatchRealtime, getMatchState } = require('./simulation/match');
-const { loadMatchHistory, appendMatch, updateElo, getLeaderboard, registerAgent } = require('./persistence');
+const { createMatch, getMatchState } = require('./simulation/match');
+const { submitTurn, getTurnSummary } = require('./simulation/turns');
+const { MatchRunner } = require('./match-runner');
+const { createSeries, getNextGame, recordGame, getSeriesResults } = require('./series');
+const { getMap, DEFAULT_MAP_ID, getForbiddenZone } = require('./config/maps');
+const { validateDefenseBuild, validateMatchTurn } = require('./api/validate');
+const { isPolylineMap } = require('./simulation/path');
+const { loadMatchHistory, appendMatch, updateElo, updateSideRatings, getLeaderboard, registerAgent } = require('./persistence');
 const path = require('path');
 
 // Import adaptive learning for in-house agent builds
@@ -12,6 +18,7 @@ const MAX_ACTIVITY = 50;
 // Queues for waiting agents
 const attackQueue = [];
 const defenseQueue = [];
+const seriesQueue = [];
 
 // Queue timeout tracking (agentId -> setTimeout handle)
 const queueTimeouts = new Map();
@@ -26,6 +33,9 @@ const INHOUSE_DEFENDERS = ['Sentinel', 'Fortress', 'Striker', 'Guardian'];
 // Active and completed matches (in-memory storage)
 const matches = new Map();
 
+// Best-of-N series (in-memory storage, seriesId -> series state)
+const series = new Map();
+
 // Track agent states to prevent spam
 const agentStates = new Map(); // agentId -> { state: 'queued'|'in_match'|'cooldown', until: timestamp }
 const COOLDOWN_MS = 5000; // 5 second cooldown after match ends
@@ -33,6 +43,9 @@ const COOLDOWN_MS = 5000; // 5 second cooldown after match ends
 // Callback for match state updates (set by server)
 let onMatchUpdate = null;
 
+// Long-poll waiters for interactive turns (matchId -> Set of wake functions)
+const turnWaiters = new Map();
+
 /**
  * Check if an agent can submit (not in queue, not in match, not in cooldown)
  * @returns {{ allowed: boolean, reason?: string, retryIn?: number }}
@@ -135,15 +148,22 @@ function getActivityFeed(limit = 20) {
 /**
  * Generate a unique match ID
  */
-function generateMatchId() {
+function generateMatchId(prefix = 'm_') {
   const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let id = 'm_';
+  let id = prefix;
   for (let i = 0; i < 8; i++) {
     id += chars[Math.floor(Math.random() * chars.length)];
   }
   return id;
 }
 
+/**
+ * Generate a unique series ID
+ */
+function generateSeriesId() {
+  return generateMatchId('s_');
+}
+
 /**
  * Pick a random in-house agent for the given side
  */
@@ -152,11 +172,55 @@ function pickRandomInhouse(side) {
   return pool[Math.floor(Math.random() * pool.length)];
 }
 
+/**
+ * Fit an in-house defense build onto a map
+ * Adaptive builds are laid out for the default map; stretch tower positions
+ * to the map's length, keep them inside its placement bounds and out of
+ * forbidden zones, and drop any that end up too close together.
+ * On polyline maps, towers take the map's tower zones in order instead.
+ */
+function fitDefenseToMap(build, map) {
+  if (!Array.isArray(build.towers) || validateDefenseBuild(build, map).valid) {
+    return build;
+  }
+
+  if (isPolylineMap(map)) {
+    const towers = build.towers
+      .slice(0, map.towerZones.length)
+      .map((tower, i) => ({ ...tower, x: map.towerZones[i].x, y: map.towerZones[i].y }));
+    return { ...build, towers };
+  }
+
+  const placement = map.freePlacement;
+  const scale = map.pathLength / getMap(DEFAULT_MAP_ID).pathLength;
+  const placed = [];
+
+  for (const tower of build.towers) {
+    let x = Math.round(tower.x * scale);
+    x = Math.max(placement.minX, Math.min(placement.maxX, x));
+
+    const forbidden = getForbiddenZone(map, x, tower.lane || 'top');
+    if (forbidden) {
+      // Move to whichever edge of the zone is nearer (and still placeable)
+      const before = forbidden.minX - 1;
+      const after = forbidden.maxX + 1;
+      const beforeOk = before >= placement.minX;
+      const afterOk = after <= placement.maxX;
+      x = beforeOk && (!afterOk || x - before <= after - x) ? before : after;
+    }
+
+    if (placed.every(t => Math.abs(t.x - x) >= placement.minSpacing)) {
+      placed.push({ ...tower, x });
+    }
+  }
+
+  return { ...build, towers: placed };
+}
+
 /**
  * Create an in-house agent with adaptive build
  */
-function createInhouseAgent(side, opponentId) {
-  const agentId = pickRandomInhouse(side);
+function createInhouseAgent(side, opponentId, mapId = DEFAULT_MAP_ID, agentId = pickRandomInhouse(side)) {
   let build;
 
   try {
@@ -187,10 +251,36 @@ function createInhouseAgent(side, opponentId) {
     }
   }
 
+  if (side !== 'attack') {
+    build = fitDefenseToMap(build, getMap(mapId));
+  }
+
   return {
     agentId,
     side,
     build,
+    mapId,
+    submittedAt: Date.now(),
+    isInhouse: true
+  };
+}
+
+/**
+ * Create an in-house series agent with adaptive builds for both sides
+ */
+function createInhouseSeriesAgent(opponentId, mapId, bestOf) {
+  const pool = [...INHOUSE_ATTACKERS, ...INHOUSE_DEFENDERS];
+  const agentId = pool[Math.floor(Math.random() * pool.length)];
+
+  return {
+    agentId,
+    mode: 'series',
+    bestOf,
+    builds: {
+      attack: createInhouseAgent('attack', opponentId, mapId, agentId).build,
+      defense: createInhouseAgent('defend', opponentId, mapId, agentId).build
+    },
+    mapId,
     submittedAt: Date.now(),
     isInhouse: true
   };
@@ -217,14 +307,15 @@ function autoMatchAgent(agent) {
 
   // Create in-house opponent
   const oppositeSide = agent.side === 'attack' ? 'defend' : 'attack';
-  const inhouseAgent = createInhouseAgent(oppositeSide, agent.agentId);
+  const mapId = agent.mapId || DEFAULT_MAP_ID;
+  const inhouseAgent = createInhouseAgent(oppositeSide, agent.agentId, mapId);
 
   // Create the match
   const attacker = agent.side === 'attack' ? agent : inhouseAgent;
   const defender = agent.side === 'defend' ? agent : inhouseAgent;
 
   const matchId = generateMatchId();
-  const match = createMatch(matchId, attacker, defender);
+  const match = createMatch(matchId, attacker, defender, { mapId });
   matches.set(matchId, match);
 
   console.log(`[Auto-Match] Created match ${matchId}: ${attacker.agentId} vs ${defender.agentId} (in-house: ${inhouseAgent.agentId})`);
@@ -259,6 +350,25 @@ function autoMatchAgent(agent) {
   }
 }
 
+/**
+ * Auto-match a queued series agent with an in-house opponent
+ */
+function autoMatchSeries(agent) {
+  const index = seriesQueue.findIndex(a => a.agentId === agent.agentId);
+  if (index === -1) {
+    console.log(`[Auto-Match] Agent ${agent.agentId} no longer in series queue, skipping`);
+    return;
+  }
+
+  seriesQueue.splice(index, 1);
+  queueTimeouts.delete(agent.agentId);
+
+  const inhouseAgent = createInhouseSeriesAgent(agent.agentId, agent.mapId || DEFAULT_MAP_ID, agent.bestOf);
+  const { seriesId } = startSeries(agent, inhouseAgent);
+
+  console.log(`[Auto-Match] Created series ${seriesId}: ${agent.agentId} vs ${inhouseAgent.agentId} (in-house)`);
+}
+
 /**
  * Set the callback for match state updates
  */
@@ -289,23 +399,33 @@ function addToQueue(agent) {
   }
 
   // Register agent in ELO system (creates if new)
-  const { isNew } = registerAgent(agent.agentId, agent.side);
+  const role = agent.mode === 'series' ? 'series' : agent.side;
+  const { isNew } = registerAgent(agent.agentId, role);
 
   if (isNew) {
     addActivity({
       type: 'agent_registered',
       agentId: agent.agentId,
-      side: agent.side,
-      message: `New agent "${agent.agentId}" joined as ${agent.side}er!`
+      side: role,
+      message: agent.mode === 'series'
+        ? `New agent "${agent.agentId}" joined for a best-of-${agent.bestOf} series!`
+        : `New agent "${agent.agentId}" joined as ${agent.side}er!`
     });
   }
 
+  if (agent.mode === 'series') {
+    return addToSeriesQueue(agent);
+  }
+
   const queue = agent.side === 'attack' ? attackQueue : defenseQueue;
   const oppositeQueue = agent.side === 'attack' ? defenseQueue : attackQueue;
 
-  // Check if we can match immediately
-  if (oppositeQueue.length > 0) {
-    const opponent = oppositeQueue.shift();
+  // Check if we can match immediately (only against agents on the same map)
+  const mapId = agent.mapId || DEFAULT_MAP_ID;
+  const opponentIndex = oppositeQueue.findIndex(a => (a.mapId || DEFAULT_MAP_ID) === mapId);
+
+  if (opponentIndex !== -1) {
+    const opponent = oppositeQueue.splice(opponentIndex, 1)[0];
 
     // Clear opponent's auto-match timeout since they got a real match
     if (queueTimeouts.has(opponent.agentId)) {
@@ -319,7 +439,7 @@ function addToQueue(agent) {
     const defender = agent.side === 'defend' ? agent : opponent;
 
     const matchId = generateMatchId();
-    const match = createMatch(matchId, attacker, defender);
+    const match = createMatch(matchId, attacker, defender, { mapId });
     matches.set(matchId, match);
 
     // Add activity for match creation
@@ -376,6 +496,121 @@ function addToQueue(agent) {
   };
 }
 
+/**
+ * Queue a series agent, pairing it with a waiting one on the same map and
+ * series length
+ */
+function addToSeriesQueue(agent) {
+  const mapId = agent.mapId || DEFAULT_MAP_ID;
+  const opponentIndex = seriesQueue.findIndex(a =>
+    (a.mapId || DEFAULT_MAP_ID) === mapId && a.bestOf === agent.bestOf
+  );
+
+  if (opponentIndex !== -1) {
+    const opponent = seriesQueue.splice(opponentIndex, 1)[0];
+
+    if (queueTimeouts.has(opponent.agentId)) {
+      clearTimeout(queueTimeouts.get(opponent.agentId));
+      queueTimeouts.delete(opponent.agentId);
+      console.log(`[Queue] Cleared auto-match timeout for ${opponent.agentId} - series with ${agent.agentId}`);
+    }
+
+    // The agent that waited longer attacks first
+    const { seriesId, matchId } = startSeries(opponent, agent);
+
+    return {
+      matched: true,
+      seriesId,
+      matchId,
+      opponent: opponent.agentId
+    };
+  }
+
+  seriesQueue.push(agent);
+  setAgentState(agent.agentId, 'queued');
+
+  addActivity({
+    type: 'queue_join',
+    agentId: agent.agentId,
+    side: 'series',
+    queuePosition: seriesQueue.length,
+    message: `${agent.agentId} joined series queue (best of ${agent.bestOf}, waiting for opponent)`
+  });
+
+  const timeoutHandle = setTimeout(() => {
+    console.log(`[Auto-Match] Timeout reached for ${agent.agentId}, starting series with in-house agent`);
+    autoMatchSeries(agent);
+  }, AUTO_MATCH_TIMEOUT);
+
+  queueTimeouts.set(agent.agentId, timeoutHandle);
+  console.log(`[Queue] ${agent.agentId} queued (series), auto-match in ${AUTO_MATCH_TIMEOUT / 1000}s if no opponent`);
+
+  return {
+    matched: false,
+    position: seriesQueue.length,
+    autoMatchIn: AUTO_MATCH_TIMEOUT / 1000
+  };
+}
+
+/**
+ * Start a series between two agents and its first game
+ * @param {Object} first - Agent that attacks in odd games
+ * @param {Object} second - Agent that attacks in even games
+ * @returns {{ seriesId: string, matchId: string }}
+ */
+function startSeries(first, second) {
+  const seriesId = generateSeriesId();
+  const toSeriesAgent = agent => ({
+    agentId: agent.agentId,
+    builds: agent.builds,
+    interactive: !!agent.interactive
+  });
+
+  const current = createSeries(seriesId, toSeriesAgent(first), toSeriesAgent(second), {
+    bestOf: first.bestOf,
+    mapId: first.mapId || DEFAULT_MAP_ID
+  });
+  series.set(seriesId, current);
+
+  addActivity({
+    type: 'series_created',
+    seriesId,
+    agents: [first.agentId, second.agentId],
+    bestOf: current.bestOf,
+    message: `Series started: ${first.agentId} vs ${second.agentId} (best of ${current.bestOf})`
+  });
+
+  // Both agents stay 'in_match' for the whole series
+  setAgentState(first.agentId, 'in_match', { matchId: seriesId });
+  setAgentState(second.agentId, 'in_match', { matchId: seriesId });
+
+  const match = startSeriesGame(current);
+  return { seriesId, matchId: match.matchId };
+}
+
+/**
+ * Create and start the next game of a series
+ * @param {Object} current - Series state
+ * @returns {Object} The new match
+ */
+function startSeriesGame(current) {
+  const next = getNextGame(current);
+  const matchId = generateMatchId();
+  const match = createMatch(matchId, next.attacker, next.defender, {
+    mapId: current.mapId,
+    seriesId: current.seriesId,
+    seriesGame: next.game,
+    seriesBestOf: current.bestOf
+  });
+  matches.set(matchId, match);
+  current.currentMatchId = matchId;
+
+  console.log(`[Series] ${current.seriesId} game ${next.game}: ${next.attacker.agentId} attacks ${next.defender.agentId}`);
+
+  startMatch(match);
+  return match;
+}
+
 /**
  * Start a match and run it in real-time
  */
@@ -383,58 +618,230 @@ function startMatch(match) {
   console.log(`Starting match ${match.matchId}: ${match.attacker.agentId} vs ${match.defender.agentId}`);
 
   // Run match with tick callback for WebSocket updates
-  runMatchRealtime(match, (state) => {
-    if (onMatchUpdate) {
-      onMatchUpdate(match.matchId, state);
+  const runner = new MatchRunner({
+    onTick: (runningMatch, state) => {
+      if (onMatchUpdate) {
+        onMatchUpdate(match.matchId, state);
+      }
+    },
+    // Interactive matches: push the public wave summary and wake long-polls
+    onTurnStart: (runningMatch) => {
+      if (onMatchUpdate) {
+        onMatchUpdate(match.matchId, { type: 'turn', ...getTurnSummary(runningMatch) });
+      }
+      wakeTurnWaiters(match.matchId);
     }
-  }, 1) // Speed multiplier: 1 = normal speed
+  });
+
+  runner.run(match, 1) // Speed multiplier: 1 = normal speed
     .then((results) => {
       console.log(`Match ${match.matchId} complete. Winner: ${results.winner}`);
 
-      // Update ELO rankings FIRST so we can store the data
-      const winnerId = results.winner === 'attacker' ? match.attacker.agentId : match.defender.agentId;
-      const loserId = results.winner === 'attacker' ? match.defender.agentId : match.attacker.agentId;
-      const eloUpdate = updateElo(winnerId, loserId, match.matchId);
-      console.log(`ELO: ${winnerId} now ${eloUpdate.winnerNewElo}, ${loserId} now ${eloUpdate.loserNewElo}`);
-
-      // Add ELO data to match record for history
-      match.eloChange = eloUpdate.change;
-      match.attacker.elo = results.winner === 'attacker' ? eloUpdate.winnerNewElo : eloUpdate.loserNewElo;
-      match.attacker.eloChange = results.winner === 'attacker' ? eloUpdate.change : -eloUpdate.change;
-      match.defender.elo = results.winner === 'defender' ? eloUpdate.winnerNewElo : eloUpdate.loserNewElo;
-      match.defender.eloChange = results.winner === 'defender' ? eloUpdate.change : -eloUpdate.change;
-
-      // Persist match to history file (now includes ELO data)
-      appendMatch(match);
-
-      // Add activity for match completion
-      addActivity({
-        type: 'match_complete',
-        matchId: match.matchId,
-        winner: winnerId,
-        loser: loserId,
-        winnerSide: results.winner,
-        eloChange: eloUpdate.change,
-        winnerElo: eloUpdate.winnerNewElo,
-        loserElo: eloUpdate.loserNewElo,
-        message: `${winnerId} defeated ${loserId} (+${eloUpdate.change} ELO)`
-      });
-
-      // Start cooldown for both players (prevents immediate re-queue spam)
-      startCooldown(match.attacker.agentId);
-      startCooldown(match.defender.agentId);
+      if (match.seriesId) {
+        completeSeriesGame(match);
+      } else {
+        completeMatch(match, results);
+      }
 
       if (onMatchUpdate) {
         onMatchUpdate(match.matchId, getMatchState(match));
       }
+      wakeTurnWaiters(match.matchId);
     })
     .catch((error) => {
       console.error(`Match ${match.matchId} error:`, error);
       match.status = 'error';
       match.error = error.message;
+      if (match.seriesId) {
+        series.get(match.seriesId).status = 'error';
+      }
+      wakeTurnWaiters(match.matchId);
     });
 }
 
+/**
+ * Record a finished single match: ELO, history, activity and cooldowns
+ */
+function completeMatch(match, results) {
+  // Update ELO rankings FIRST so we can store the data
+  const winnerId = results.winner === 'attacker' ? match.attacker.agentId : match.defender.agentId;
+  const loserId = results.winner === 'attacker' ? match.defender.agentId : match.attacker.agentId;
+  // Lives scoring: the margin of victory scales the ELO change
+  const margin = results.score?.margin ?? null;
+  const eloUpdate = updateElo(winnerId, loserId, match.matchId, margin === null ? {} : { margin });
+  console.log(`ELO: ${winnerId} now ${eloUpdate.winnerNewElo}, ${loserId} now ${eloUpdate.loserNewElo}`);
+  updateSideRatings(match.attacker.agentId, match.defender.agentId, results.winner);
+
+  // Add ELO data to match record for history
+  match.eloChange = eloUpdate.change;
+  match.attacker.elo = results.winner === 'attacker' ? eloUpdate.winnerNewElo : eloUpdate.loserNewElo;
+  match.attacker.eloChange = results.winner === 'attacker' ? eloUpdate.change : -eloUpdate.change;
+  match.defender.elo = results.winner === 'defender' ? eloUpdate.winnerNewElo : eloUpdate.loserNewElo;
+  match.defender.eloChange = results.winner === 'defender' ? eloUpdate.change : -eloUpdate.change;
+
+  // Persist match to history file (now includes ELO data)
+  appendMatch(match);
+
+  // Add activity for match completion
+  addActivity({
+    type: 'match_complete',
+    matchId: match.matchId,
+    winner: winnerId,
+    loser: loserId,
+    winnerSide: results.winner,
+    eloChange: eloUpdate.change,
+    winnerElo: eloUpdate.winnerNewElo,
+    loserElo: eloUpdate.loserNewElo,
+    message: `${winnerId} defeated ${loserId} (+${eloUpdate.change} ELO)`
+  });
+
+  // Start cooldown for both players (prevents immediate re-queue spam)
+  startCooldown(match.attacker.agentId);
+  startCooldown(match.defender.agentId);
+}
+
+/**
+ * Record a finished series game and start the next one, or settle the series
+ * ELO updates once per series, when it is decided.
+ */
+function completeSeriesGame(match) {
+  const current = series.get(match.seriesId);
+  appendMatch(match);
+  updateSideRatings(match.attacker.agentId, match.defender.agentId, match.winner);
+
+  const decided = recordGame(current, match);
+  const game = current.games[current.games.length - 1];
+  const [first, second] = current.agents.map(a => a.agentId);
+  const score = `${current.score[first]}-${current.score[second]}`;
+
+  addActivity({
+    type: 'series_game',
+    seriesId: current.seriesId,
+    matchId: match.matchId,
+    game: game.game,
+    winner: game.winner,
+    winnerSide: game.winnerSide,
+    message: `${game.winner} won game ${game.game} of ${current.seriesId} (${first} ${score} ${second})`
+  });
+
+  if (!decided) {
+    startSeriesGame(current);
+  } else {
+    const { winner, loser } = current;
+    const eloUpdate = updateElo(winner, loser, current.seriesId, {
+      series: `${current.score[winner]}-${current.score[loser]}`
+    });
+    console.log(`ELO: ${winner} now ${eloUpdate.winnerNewElo}, ${loser} now ${eloUpdate.loserNewElo}`);
+
+    current.eloChange = eloUpdate.change;
+    current.currentMatchId = null;
+
+    addActivity({
+      type: 'series_complete',
+      seriesId: current.seriesId,
+      winner,
+      loser,
+      score: current.score,
+      eloChange: eloUpdate.change,
+      winnerElo: eloUpdate.winnerNewElo,
+      loserElo: eloUpdate.loserNewElo,
+      message: `${winner} won the series against ${loser} ${current.score[winner]}-${current.score[loser]} (+${eloUpdate.change} ELO)`
+    });
+
+    startCooldown(winner);
+    startCooldown(loser);
+  }
+
+  // Series spectators subscribe with the series ID
+  if (onMatchUpdate) {
+    onMatchUpdate(current.seriesId, { type: 'series', ...getSeriesResults(current) });
+  }
+}
+
+/**
+ * Wake every long-poll waiting on a match's next turn
+ */
+function wakeTurnWaiters(matchId) {
+  const waiters = turnWaiters.get(matchId);
+  if (!waiters) return;
+
+  turnWaiters.delete(matchId);
+  for (const wake of waiters) {
+    wake();
+  }
+}
+
+/**
+ * Wait until a match opens a turn or stops running (long-poll support)
+ * Resolves immediately if a turn after sinceWave is already open or the
+ * match is over.
+ * @param {string} matchId - Match ID
+ * @param {number} timeoutMs - Longest time to wait
+ * @param {number} sinceWave - Only count turns for later waves
+ * @returns {Promise<void>}
+ */
+function waitForTurn(matchId, timeoutMs, sinceWave = 0) {
+  const match = matches.get(matchId);
+  if (!match || match.status !== 'in_progress' ||
+      (match.turn?.status === 'open' && match.turn.wave > sinceWave)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    let timer = null;
+    const wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    timer = setTimeout(() => {
+      turnWaiters.get(matchId)?.delete(wake);
+      resolve();
+    }, timeoutMs);
+
+    if (!turnWaiters.has(matchId)) {
+      turnWaiters.set(matchId, new Set());
+    }
+    turnWaiters.get(matchId).add(wake);
+  });
+}
+
+/**
+ * Submit an interactive turn for an agent in a match
+ * @param {string} matchId - Match ID
+ * @param {string} agentId - Submitting agent (must be one of the two sides)
+ * @param {Object} turn - Turn body
+ * @returns {{ success: boolean, error?: string, code?: number, side?: string }}
+ */
+function submitMatchTurn(matchId, agentId, turn) {
+  const match = matches.get(matchId);
+  if (!match) {
+    return { success: false, code: 404, error: 'Match not found' };
+  }
+
+  const side = getAgentSide(match, agentId);
+  if (!side) {
+    return { success: false, code: 403, error: 'Agent is not playing in this match' };
+  }
+
+  const result = validateMatchTurn(match, side, turn);
+  if (!result.valid) {
+    return { success: false, code: 400, error: result.error };
+  }
+  submitTurn(match, side, turn, result);
+
+  return { success: true, side, wave: match.turn.wave };
+}
+
+/**
+ * Get which side an agent plays in a match
+ * @returns {string|null} 'attacker', 'defender' or null
+ */
+function getAgentSide(match, agentId) {
+  if (match.attacker.agentId === agentId) return 'attacker';
+  if (match.defender.agentId === agentId) return 'defender';
+  return null;
+}
+
 /**
  * Get a match by ID
  */
@@ -442,6 +849,13 @@ function getMatch(matchId) {
   return matches.get(matchId);
 }
 
+/**
+ * Get a series by ID
+ */
+function getSeries(seriesId) {
+  return series.get(seriesId);
+}
+
 /**
  * Get queue position for an agent
  */
@@ -461,6 +875,7 @@ function getActiveMatches() {
       matchId: m.matchId,
       attacker: m.attacker.agentId,
       defender: m.defender.agentId,
+      mapId: m.mapId,
       currentWave: m.currentWave
     }));
 }
@@ -474,11 +889,20 @@ function getQueueStats() {
     defenders: defenseQueue.length,
     attackQueue: attackQueue.map(a => ({
       agentId: a.agentId,
+      mapId: a.mapId || DEFAULT_MAP_ID,
       queuedAt: a.submittedAt,
       waitingSeconds: Math.round((Date.now() - a.submittedAt) / 1000)
     })),
     defenseQueue: defenseQueue.map(a => ({
       agentId: a.agentId,
+      mapId: a.mapId || DEFAULT_MAP_ID,
+      queuedAt: a.submittedAt,
+      waitingSeconds: Math.round((Date.now() - a.submittedAt) / 1000)
+    })),
+    seriesQueue: seriesQueue.map(a => ({
+      agentId: a.agentId,
+      mapId: a.mapId || DEFAULT_MAP_ID,
+      bestOf: a.bestOf,
       queuedAt: a.submittedAt,
       waitingSeconds: Math.round((Date.now() - a.submittedAt) / 1000)
     })),
@@ -597,6 +1021,7 @@ function getMatchHistory(limit = 10) {
 module.exports = {
   addToQueue,
   getMatch,
+  getSeries,
   getQueuePosition,
   getActiveMatches,
   getQueueStats,
@@ -604,8 +1029,13 @@ module.exports = {
   removeFromQueue,
   setMatchUpdateCallback,
   setMatchSpeed,
+  waitForTurn,
+  submitMatchTurn,
+  getAgentSide,
   getMatchHistory,
   getLeaderboard,
   canAgentSubmit,
-  AUTO_MATCH_TIMEOUT
+  AUTO_MATCH_TIMEOUT,
+  INHOUSE_ATTACKERS,
+  INHOUSE_DEFENDERS
 };
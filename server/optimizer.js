@@ -0,0 +1,301 @@
+/**
+ * Optimizer - Genetic search for the best counter to given opponent builds
+ *
+ * Candidates are scored by playing them against every opponent build
+ * through createMatch / runMatchInstant (the same path as /simulate), so
+ * fitness is real match outcomes rather than heuristics. The first
+ * generation is the caller's start builds plus the preset strategies from
+ * agents/strategies.js; each later generation keeps the best quarter and
+ * breeds the rest with the build evolver's crossover and mutation. The
+ * search stops after the generation budget or the time budget, whichever
+ * comes first.
+ *
+ * Game margin (attacker's view, -1 to 1): wins score 0.5 to 1 by how many
+ * enemies were never killed and how much HP the final wave had left; losses
+ * score -1 to -0.5 by how far the final wave got along the road. In lives
+ * scoring the match's own margin of victory places wins and losses within
+ * those ranges instead. The defender's margin is the negative. Fitness is
+ * the average over opponents.
+ */
+
+const path = require('path');
+const { createMatch, runMatchInstant } = require('./simulation/match');
+const { generateSeed } = require('./simulation/rng');
+const { validateAttackBuild, validateDefenseBuild } = require('./api/validate');
+const { getMap } = require('./config/maps');
+const { nextTick } = require('./background');
+const {
+  ATTACK_STRATEGIES,
+  DEFEND_STRATEGIES,
+  generateAttackBuild,
+  generateDefenseBuild
+} = require(path.join(__dirname, '../agents/strategies'));
+const { crossoverBuilds, evolveBuild } = require(path.join(__dirname, '../agents/learning/build-evolver'));
+
+const SIDES = ['attack', 'defend'];
+
+// Search limits (defaults and maximums per request)
+const LIMITS = {
+  opponents: { max: 8 },
+  startBuilds: { max: 10 },
+  generations: { default: 10, min: 1, max: 50 },
+  population: { default: 16, min: 4, max: 40 },
+  timeBudgetMs: { default: 10000, min: 500, max: 30000 },
+  topK: { default: 3, min: 1, max: 10 }
+};
+
+// Share of each generation carried over unchanged
+const ELITE_SHARE = 0.25;
+const MUTATION_RATE = 0.4;
+const CROSSOVER_CHANCE = 0.5;
+
+// Attempts to breed a valid child not seen before
+const BREED_ATTEMPTS = 5;
+
+// Searches allowed to run at once (each one keeps a core busy)
+const MAX_RUNNING = 1;
+let running = 0;
+
+/**
+ * Validate a build for a side
+ * @returns {Object} { valid, cost?, error? }
+ */
+function validateSideBuild(build, side, map) {
+  return side === 'attack' ? validateAttackBuild(build, map) : validateDefenseBuild(build, map);
+}
+
+/**
+ * Score a finished match from the attacker's side (see module docs)
+ * @param {Object} match - Finished match
+ * @returns {number} Margin from -1 to 1
+ */
+function scoreAttackMargin(match) {
+  if (match.score?.mode === 'lives') {
+    const size = 0.5 + 0.5 * match.score.margin;
+    return match.winner === 'attacker' ? size : -size;
+  }
+
+  const finalWave = match.enemies;
+  const totalHp = finalWave.reduce((sum, e) => sum + e.maxHp, 0);
+
+  if (match.winner === 'attacker') {
+    const survived = 1 - match.defender.kills / Math.max(match.attacker.totalEnemies, 1);
+    const hpLeft = totalHp > 0
+      ? finalWave.filter(e => e.alive).reduce((sum, e) => sum + Math.max(e.hp, 0), 0) / totalHp
+      : 0;
+    return 0.5 + 0.25 * survived + 0.25 * hpLeft;
+  }
+
+  const reach = finalWave.reduce((max, e) => Math.max(max, e.position / e.pathEnd), 0);
+  return -1 + 0.5 * Math.min(Math.max(reach, 0), 1);
+}
+
+/**
+ * Play a candidate against every opponent
+ * @returns {Object} { build, cost, wins, games, winRate, margin }
+ */
+function evaluateBuild(build, cost, search) {
+  let wins = 0;
+  let marginSum = 0;
+
+  for (const opponent of search.opponents) {
+    const [attack, defense] = search.side === 'attack' ? [build, opponent] : [opponent, build];
+    const match = createMatch(
+      `opt_${++search.games}`,
+      { agentId: 'optimizer_attacker', build: structuredClone(attack) },
+      { agentId: 'optimizer_defender', build: structuredClone(defense) },
+      { mapId: search.mapId, seed: search.seed }
+    );
+    runMatchInstant(match);
+
+    const margin = search.side === 'attack' ? scoreAttackMargin(match) : -scoreAttackMargin(match);
+    if (margin > 0) wins++;
+    marginSum += margin;
+  }
+
+  const games = search.opponents.length;
+  return {
+    build,
+    cost,
+    wins,
+    games,
+    winRate: Math.round((wins / games) * 100),
+    margin: Math.round((marginSum / games) * 1000) / 1000
+  };
+}
+
+/**
+ * Order candidates best first: win rate, then margin, then cheaper
+ */
+function compareCandidates(a, b) {
+  return b.winRate - a.winRate || b.margin - a.margin || a.cost - b.cost;
+}
+
+/**
+ * Add a build to the pool if it is valid and not already in it
+ * @returns {boolean} Whether it was added
+ */
+function addCandidate(pool, build, search) {
+  const key = JSON.stringify(build);
+  if (pool.some(c => c.key === key)) return false;
+
+  const validation = validateSideBuild(build, search.side, search.map);
+  if (!validation.valid) return false;
+
+  pool.push({ key, build, cost: validation.cost });
+  return true;
+}
+
+/**
+ * Build the first generation: start builds, then preset strategies
+ */
+function createInitialPool(search, startBuilds) {
+  const pool = [];
+  for (const build of startBuilds) addCandidate(pool, build, search);
+
+  const presets = search.side === 'attack'
+    ? ATTACK_STRATEGIES.map(name => generateAttackBuild(name))
+    : DEFEND_STRATEGIES.map(name => generateDefenseBuild(name))
+      // The evolver only mutates free-placed (array) defenses
+      .filter(build => Array.isArray(build.towers));
+
+  for (const build of presets.sort(() => Math.random() - 0.5)) {
+    if (pool.length >= search.population) break;
+    addCandidate(pool, build, search);
+  }
+
+  // Too few distinct valid presets: fill with mutants
+  for (let attempt = 0; pool.length < search.population && pool.length > 0 && attempt < search.population * BREED_ATTEMPTS; attempt++) {
+    const parent = pool[Math.floor(Math.random() * pool.length)];
+    addCandidate(pool, evolveBuild(parent.build, search.side, MUTATION_RATE), search);
+  }
+
+  return pool;
+}
+
+/**
+ * Pick a parent: the better of two random candidates from the ranked list
+ */
+function selectParent(ranked) {
+  const a = ranked[Math.floor(Math.random() * ranked.length)];
+  const b = ranked[Math.floor(Math.random() * ranked.length)];
+  return compareCandidates(a, b) <= 0 ? a : b;
+}
+
+/**
+ * Breed the next generation from the ranked current one
+ */
+function breedGeneration(ranked, search, evaluated) {
+  const eliteCount = Math.max(1, Math.ceil(search.population * ELITE_SHARE));
+  const pool = ranked.slice(0, eliteCount).map(c => ({ key: JSON.stringify(c.build), build: c.build, cost: c.cost }));
+
+  for (let attempts = 0; pool.length < search.population && attempts < search.population * BREED_ATTEMPTS; attempts++) {
+    const first = selectParent(ranked).build;
+    const child = Math.random() < CROSSOVER_CHANCE
+      ? crossoverBuilds(first, selectParent(ranked).build, search.side)
+      : first;
+    const mutant = evolveBuild(child, search.side, MUTATION_RATE);
+
+    // Prefer unexplored builds; accept repeats on the last attempts
+    if (evaluated.has(JSON.stringify(mutant)) && attempts < search.population * (BREED_ATTEMPTS - 1)) continue;
+    addCandidate(pool, mutant, search);
+  }
+
+  return pool;
+}
+
+/**
+ * Run a build search
+ * @param {Object} options - {
+ *   side: 'attack' | 'defend' (the side being optimized),
+ *   opponents: Array of opponent builds (already validated),
+ *   mapId, seed?, startBuilds?, generations?, population?, timeBudgetMs?, topK?
+ * }
+ * @returns {Promise<Object>} { success, result } or { success: false, code, error }
+ */
+async function optimizeBuild(options) {
+  if (running >= MAX_RUNNING) {
+    return { success: false, code: 429, error: 'The optimizer is busy with another search. Try again shortly.' };
+  }
+
+  const search = {
+    side: options.side,
+    opponents: options.opponents,
+    mapId: options.mapId,
+    map: getMap(options.mapId),
+    seed: options.seed ?? generateSeed(),
+    population: options.population || LIMITS.population.default,
+    games: 0
+  };
+  const generations = options.generations || LIMITS.generations.default;
+  const timeBudgetMs = options.timeBudgetMs || LIMITS.timeBudgetMs.default;
+  const topK = options.topK || LIMITS.topK.default;
+
+  const startedAt = Date.now();
+  const deadline = startedAt + timeBudgetMs;
+  const evaluated = new Map(); // build key -> evaluation
+  let completedGenerations = 0;
+  let stoppedBy = 'generations';
+
+  running++;
+  try {
+    let pool = createInitialPool(search, options.startBuilds || []);
+    if (pool.length === 0) {
+      return { success: false, code: 400, error: 'No valid starting builds for this map' };
+    }
+
+    for (let generation = 1; generation <= generations; generation++) {
+      for (const candidate of pool) {
+        if (evaluated.has(candidate.key)) continue;
+        if (Date.now() >= deadline) break;
+        evaluated.set(candidate.key, evaluateBuild(candidate.build, candidate.cost, search));
+        await nextTick();
+      }
+
+      if (!pool.every(c => evaluated.has(c.key))) {
+        stoppedBy = 'time';
+        break;
+      }
+      completedGenerations = generation;
+
+      if (generation < generations) {
+        if (Date.now() >= deadline) {
+          stoppedBy = 'time';
+          break;
+        }
+        const ranked = pool.map(c => evaluated.get(c.key)).sort(compareCandidates);
+        pool = breedGeneration(ranked, search, evaluated);
+      }
+    }
+  } finally {
+    running--;
+  }
+
+  const top = Array.from(evaluated.values())
+    .sort(compareCandidates)
+    .slice(0, topK)
+    .map((candidate, i) => ({ rank: i + 1, ...candidate }));
+
+  return {
+    success: true,
+    result: {
+      side: search.side,
+      mapId: search.mapId,
+      seed: search.seed,
+      opponents: search.opponents.length,
+      generations: completedGenerations,
+      evaluations: evaluated.size,
+      games: search.games,
+      elapsedMs: Date.now() - startedAt,
+      stoppedBy,
+      top
+    }
+  };
+}
+
+module.exports = {
+  SIDES,
+  LIMITS,
+  scoreAttackMargin,
+  optimizeBuild
+};
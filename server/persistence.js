@@ -1,18 +1,28 @@
 /**
- * File-based persistence for match history and ELO rankings
+ * Persistence for match history, ELO rankings and tournaments
+ *
+ * Match history and rankings go through the storage layer (see
+ * server/storage); legacy flat JSON files are imported on first use.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { createStore } = require('./storage');
+const { hasLegacyFiles, migrateLegacyFiles } = require('./storage/migrate');
+const { RECENT_LIMIT } = require('./storage/jsonl-store');
+const { K_FACTOR, DEFAULT_ELO, calculateEloChange } = require('./ratings/elo');
+const { DEFAULT_SYSTEM, rateGame, summarizeRatings, RATING_SYSTEMS } = require('./ratings');
 
 // Data file paths - use environment variable for Railway volume mount
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
-const MATCH_HISTORY_FILE = path.join(DATA_DIR, 'match-history.json');
-const ELO_RANKINGS_FILE = path.join(DATA_DIR, 'elo-rankings.json');
+const TOURNAMENTS_FILE = path.join(DATA_DIR, 'tournaments.json');
+const AGENT_KEYS_FILE = path.join(DATA_DIR, 'agent-keys.json');
 
-// ELO constants
-const K_FACTOR = 32;
-const DEFAULT_ELO = 1200;
+// Keep this many tournaments on disk
+const MAX_TOURNAMENTS = 100;
+
+// Storage backend (opened on first use)
+let store = null;
 
 // Ensure data directory exists
 function ensureDataDir() {
@@ -21,40 +31,54 @@ function ensureDataDir() {
   }
 }
 
+/**
+ * Get the storage backend, importing legacy JSON files the first time
+ * @returns {Object} Store (see server/storage/index.js)
+ */
+function getStore() {
+  if (!store) {
+    ensureDataDir();
+    store = createStore(DATA_DIR);
+    if (hasLegacyFiles(DATA_DIR)) {
+      migrateLegacyFiles(store, DATA_DIR);
+    }
+    console.log(`Loaded ${store.countMatches()} matches from history`);
+  }
+  return store;
+}
+
 // ============================================
 // MATCH HISTORY PERSISTENCE
 // ============================================
 
 /**
- * Load match history from JSON file
- * @returns {Array} Array of match records
+ * Load recent match history (records without events; see getMatchRecord)
+ * @param {number} limit - Maximum matches, most recent kept (default 1000)
+ * @param {Object} options - { configVersion? } keep only matches played under that version
+ * @returns {Array} Array of match records, oldest first
  */
-function loadMatchHistory() {
-  ensureDataDir();
-  try {
-    if (fs.existsSync(MATCH_HISTORY_FILE)) {
-      const data = fs.readFileSync(MATCH_HISTORY_FILE, 'utf8');
-      const matches = JSON.parse(data);
-      console.log(`Loaded ${matches.length} matches from history`);
-      return matches;
-    }
-  } catch (error) {
-    console.error('Error loading match history:', error.message);
-  }
-  return [];
+function loadMatchHistory(limit = RECENT_LIMIT, { configVersion } = {}) {
+  const matches = getStore().getRecentMatches(limit);
+  return configVersion ? matches.filter(m => m.configVersion === configVersion) : matches;
 }
 
 /**
- * Save complete match history to JSON file
- * @param {Array} matches - Array of match records
+ * Get one stored match by ID, with its full event log
+ * @param {string} matchId - Match identifier
+ * @returns {Object|null} Match record or null if not stored
  */
-function saveMatchHistory(matches) {
-  ensureDataDir();
-  try {
-    fs.writeFileSync(MATCH_HISTORY_FILE, JSON.stringify(matches, null, 2));
-  } catch (error) {
-    console.error('Error saving match history:', error.message);
-  }
+function getMatchRecord(matchId) {
+  return getStore().getMatch(matchId);
+}
+
+/**
+ * Get an agent's stored matches (records without events, indexed lookup)
+ * @param {string} agentId - Agent identifier
+ * @param {number} limit - Maximum matches (default 1000)
+ * @returns {Array} Match records, newest first
+ */
+function getAgentMatchHistory(agentId, limit = RECENT_LIMIT) {
+  return getStore().getAgentMatches(agentId, limit);
 }
 
 /**
@@ -62,19 +86,31 @@ function saveMatchHistory(matches) {
  * @param {Object} match - Match record to append
  */
 function appendMatch(match) {
-  const history = loadMatchHistory();
-
   // Extract relevant data for persistence
   const record = {
     matchId: match.matchId,
+    mapId: match.mapId,
+    interactive: match.interactive || false,
+    ...(match.seriesId && {
+      seriesId: match.seriesId,
+      seriesGame: match.seriesGame,
+      seriesBestOf: match.seriesBestOf
+    }),
     winner: match.winner,
+    score: match.score,
     startTime: match.startTime,
     endTime: match.endTime,
     wavesCompleted: match.currentWave,
     eloChange: match.eloChange || null,
+    // Enough to re-simulate the match (see simulation/replay.js)
+    seed: match.seed,
+    configVersion: match.configVersion,
+    builds: match.builds,
+    ...(match.turnLog.length > 0 && { turns: match.turnLog }),
     attacker: {
       agentId: match.attacker.agentId,
       build: match.attacker.build,
+      ...(match.interactive && { interactive: match.attacker.interactive }),
       totalEnemies: match.attacker.totalEnemies,
       leaked: match.attacker.leaked,
       rushBonus: match.attacker.rushBonus || 0,
@@ -85,6 +121,7 @@ function appendMatch(match) {
     defender: {
       agentId: match.defender.agentId,
       build: match.defender.build,
+      ...(match.interactive && { interactive: match.defender.interactive }),
       kills: match.defender.kills,
       damageDealt: match.defender.damageDealt,
       powerUpsUsed: match.defender.powerUpsUsed || 0,
@@ -92,21 +129,12 @@ function appendMatch(match) {
       eloChange: match.defender.eloChange || null
     },
     waveBreakdown: match.waveBreakdown,
-    // Store events for replay (include damage for health bar accuracy)
-    events: (match.events || []).filter(e =>
-      ['spawn', 'kill', 'leak', 'wave', 'damage', 'powerup_start', 'powerup_end'].includes(e.type)
-    ).slice(-2000) // Keep last 2000 events per match (damage events are more frequent)
+    // Full event log for replay (stored apart from the record)
+    events: match.events || []
   };
 
-  history.push(record);
-
-  // Keep last 1000 matches to prevent file from growing too large
-  if (history.length > 1000) {
-    history.splice(0, history.length - 1000);
-  }
-
-  saveMatchHistory(history);
-  console.log(`Match ${match.matchId} saved to history (total: ${history.length})`);
+  getStore().appendMatch(record);
+  console.log(`Match ${match.matchId} saved to history (total: ${getStore().countMatches()})`);
 }
 
 // ============================================
@@ -114,18 +142,13 @@ function appendMatch(match) {
 // ============================================
 
 /**
- * Load ELO rankings from JSON file
+ * Load ELO rankings from storage
  * @returns {Map} Map of agentId -> ranking data
  */
 function loadEloRankings() {
-  ensureDataDir();
   try {
-    if (fs.existsSync(ELO_RANKINGS_FILE)) {
-      const data = fs.readFileSync(ELO_RANKINGS_FILE, 'utf8');
-      const rankings = JSON.parse(data);
-      console.log(`Loaded ${Object.keys(rankings).length} agent rankings`);
-      return new Map(Object.entries(rankings));
-    }
+    // Copy so callers can edit freely until they save
+    return new Map(Object.entries(structuredClone(getStore().loadRankings())));
   } catch (error) {
     console.error('Error loading ELO rankings:', error.message);
   }
@@ -133,14 +156,12 @@ function loadEloRankings() {
 }
 
 /**
- * Save ELO rankings to JSON file
+ * Save ELO rankings to storage
  * @param {Map} rankings - Map of agentId -> ranking data
  */
 function saveEloRankings(rankings) {
-  ensureDataDir();
   try {
-    const obj = Object.fromEntries(rankings);
-    fs.writeFileSync(ELO_RANKINGS_FILE, JSON.stringify(obj, null, 2));
+    getStore().saveRankings(Object.fromEntries(rankings));
   } catch (error) {
     console.error('Error saving ELO rankings:', error.message);
   }
@@ -166,73 +187,69 @@ function getOrCreateAgent(rankings, agentId) {
 }
 
 /**
- * Calculate expected win probability
- * @param {number} ratingA - First player's rating
- * @param {number} ratingB - Second player's rating
- * @returns {number} Expected probability of A winning
+ * Update ELO ratings after a match (or once after a whole series)
+ * @param {string} winnerId - Winner's agent ID
+ * @param {string} loserId - Loser's agent ID
+ * @param {string} matchId - Match identifier (series ID for series)
+ * @param {Object} details - Extra fields for both history entries (e.g. { series: '2-1' });
+ *   a `margin` (0-1, lives scoring) scales the ELO change
+ * @returns {Object} ELO update details
  */
-function expectedScore(ratingA, ratingB) {
-  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
-}
+function updateElo(winnerId, loserId, matchId, details = {}) {
+  const rankings = loadEloRankings();
+  const update = applyEloResult(rankings, winnerId, loserId, matchId, details, Date.now());
+  saveEloRankings(rankings);
 
-/**
- * Calculate ELO change for a match
- * @param {number} winnerElo - Winner's current ELO
- * @param {number} loserElo - Loser's current ELO
- * @returns {number} ELO points to add/subtract
- */
-function calculateEloChange(winnerElo, loserElo) {
-  const expected = expectedScore(winnerElo, loserElo);
-  return Math.round(K_FACTOR * (1 - expected));
+  console.log(`ELO Updated: ${winnerId} ${update.winnerNewElo} (+${update.change}), ${loserId} ${update.loserNewElo} (-${update.change})`);
+  return update;
 }
 
 /**
- * Update ELO ratings after a match
+ * Apply an overall ELO result to loaded rankings
+ * @param {Map} rankings - Rankings map (updated in place)
  * @param {string} winnerId - Winner's agent ID
  * @param {string} loserId - Loser's agent ID
- * @param {string} matchId - Match identifier
+ * @param {string} matchId - Match identifier (series ID for series)
+ * @param {Object} details - Extra fields for both history entries
+ * @param {number} now - Result timestamp
  * @returns {Object} ELO update details
  */
-function updateElo(winnerId, loserId, matchId) {
-  const rankings = loadEloRankings();
-
+function applyEloResult(rankings, winnerId, loserId, matchId, details, now) {
   const winner = getOrCreateAgent(rankings, winnerId);
   const loser = getOrCreateAgent(rankings, loserId);
 
-  const change = calculateEloChange(winner.elo, loser.elo);
+  const change = calculateEloChange(winner.elo, loser.elo, details.margin ?? null);
 
   // Update winner
   winner.elo += change;
   winner.wins++;
-  winner.lastPlayed = Date.now();
+  winner.lastPlayed = now;
   winner.history.push({
     matchId,
     change: change,
     opponent: loserId,
     result: 'win',
-    timestamp: Date.now()
+    ...details,
+    timestamp: now
   });
 
   // Update loser
   loser.elo -= change;
   loser.losses++;
-  loser.lastPlayed = Date.now();
+  loser.lastPlayed = now;
   loser.history.push({
     matchId,
     change: -change,
     opponent: winnerId,
     result: 'loss',
-    timestamp: Date.now()
+    ...details,
+    timestamp: now
   });
 
   // Keep only last 50 match history entries per agent
   if (winner.history.length > 50) winner.history.shift();
   if (loser.history.length > 50) loser.history.shift();
 
-  saveEloRankings(rankings);
-
-  console.log(`ELO Updated: ${winnerId} ${winner.elo} (+${change}), ${loserId} ${loser.elo} (-${change})`);
-
   return {
     winnerId,
     loserId,
@@ -243,25 +260,136 @@ function updateElo(winnerId, loserId, matchId) {
 }
 
 /**
- * Get all ELO rankings as array sorted by ELO
+ * Update every rating system's side ratings after a game
+ * The attacker's attack rating is rated against the defender's defense
+ * rating. Runs for every game, series games included.
+ * @param {string} attackerId - Attacker's agent ID
+ * @param {string} defenderId - Defender's agent ID
+ * @param {string} winnerSide - 'attacker' or 'defender'
+ */
+function updateSideRatings(attackerId, defenderId, winnerSide) {
+  const rankings = loadEloRankings();
+  rateGame(getOrCreateAgent(rankings, attackerId), getOrCreateAgent(rankings, defenderId), winnerSide, Date.now());
+  saveEloRankings(rankings);
+}
+
+/**
+ * Recompute every rating from stored match history
+ * Resets ELO, records and side ratings (registration details are kept) and
+ * replays all matches in order. Series update overall ELO once, on their
+ * deciding game.
+ * @returns {Object} { matches, series, agents }
+ */
+function recomputeRatings() {
+  const rankings = loadEloRankings();
+  for (const [agentId, data] of rankings) {
+    rankings.set(agentId, {
+      elo: DEFAULT_ELO,
+      wins: 0,
+      losses: 0,
+      lastPlayed: null,
+      history: [],
+      role: data.role ?? null,
+      registeredAt: data.registeredAt ?? null
+    });
+  }
+
+  const matches = getStore().getRecentMatches(getStore().countMatches())
+    .sort((a, b) => (a.endTime || 0) - (b.endTime || 0));
+
+  // Games seen per series, to know when each one was decided
+  const seriesGames = new Map();
+  for (const match of matches) {
+    if (match.seriesId) {
+      seriesGames.set(match.seriesId, (seriesGames.get(match.seriesId) || 0) + 1);
+    }
+  }
+
+  const seriesScores = new Map();
+  let seriesDecided = 0;
+
+  for (const match of matches) {
+    const attackerId = match.attacker.agentId;
+    const defenderId = match.defender.agentId;
+    const winnerId = match.winner === 'attacker' ? attackerId : defenderId;
+    const loserId = match.winner === 'attacker' ? defenderId : attackerId;
+    const now = match.endTime || match.startTime || 0;
+
+    rateGame(getOrCreateAgent(rankings, attackerId), getOrCreateAgent(rankings, defenderId), match.winner, now);
+
+    if (!match.seriesId) {
+      const margin = match.score?.margin ?? null;
+      applyEloResult(rankings, winnerId, loserId, match.matchId, margin === null ? {} : { margin }, now);
+      continue;
+    }
+
+    const score = seriesScores.get(match.seriesId) || { [attackerId]: 0, [defenderId]: 0 };
+    score[winnerId]++;
+    seriesScores.set(match.seriesId, score);
+
+    // Decided once someone holds a majority of bestOf (or, for records
+    // without bestOf, of every stored game)
+    const needed = match.seriesBestOf
+      ? Math.ceil(match.seriesBestOf / 2)
+      : Math.floor(seriesGames.get(match.seriesId) / 2) + 1;
+    if (score[winnerId] === needed) {
+      applyEloResult(rankings, winnerId, loserId, match.seriesId, {
+        series: `${score[winnerId]}-${score[loserId]}`
+      }, now);
+      seriesDecided++;
+    }
+  }
+
+  saveEloRankings(rankings);
+  console.log(`[Ratings] Recomputed ${rankings.size} agents from ${matches.length} matches (${seriesDecided} series)`);
+
+  return { matches: matches.length, series: seriesDecided, agents: rankings.size };
+}
+
+/**
+ * Get all rankings as array sorted by rating
+ * The default (overall ELO) is the original leaderboard. Any other system
+ * or side ranks by that rating's display value (decay applied); side
+ * leaderboards only list agents that played that side.
  * @param {number} limit - Maximum entries to return
+ * @param {Object} options - { system: 'elo'|'glicko2', side: 'combined'|'attack'|'defense' }
  * @returns {Array} Sorted leaderboard entries
  */
-function getLeaderboard(limit = 20) {
+function getLeaderboard(limit = 20, options = {}) {
+  const { system = DEFAULT_SYSTEM, side = 'combined' } = options;
+  const overallElo = system === DEFAULT_SYSTEM && side === 'combined';
   const rankings = loadEloRankings();
+  const now = Date.now();
 
   return Array.from(rankings.entries())
-    .map(([agentId, data]) => ({
-      agentId,
-      elo: data.elo,
-      wins: data.wins,
-      losses: data.losses,
-      winRate: data.wins + data.losses > 0
-        ? Math.round((data.wins / (data.wins + data.losses)) * 100)
-        : 0,
-      lastPlayed: data.lastPlayed
-    }))
-    .sort((a, b) => b.elo - a.elo)
+    .map(([agentId, data]) => {
+      const entry = {
+        agentId,
+        elo: data.elo,
+        wins: data.wins,
+        losses: data.losses,
+        winRate: data.wins + data.losses > 0
+          ? Math.round((data.wins / (data.wins + data.losses)) * 100)
+          : 0,
+        lastPlayed: data.lastPlayed
+      };
+      if (overallElo) return entry;
+
+      const ratings = summarizeRatings(data, system, now);
+      return {
+        ...entry,
+        system,
+        side,
+        rating: ratings[side].displayRating,
+        ...(ratings[side].rd !== undefined && { rd: ratings[side].rd }),
+        attackRating: ratings.attack.displayRating,
+        defenseRating: ratings.defense.displayRating,
+        combinedRating: ratings.combined.displayRating,
+        games: ratings[side].games
+      };
+    })
+    .filter(entry => side === 'combined' || entry.games > 0)
+    .sort((a, b) => overallElo ? b.elo - a.elo : b.rating - a.rating)
     .slice(0, limit)
     .map((entry, index) => ({ rank: index + 1, ...entry }));
 }
@@ -292,6 +420,7 @@ function getAgentRanking(agentId) {
       ? Math.round((data.wins / (data.wins + data.losses)) * 100)
       : 0,
     lastPlayed: data.lastPlayed,
+    ratings: Object.fromEntries(Object.keys(RATING_SYSTEMS).map(name => [name, summarizeRatings(data, name)])),
     recentMatches: data.history.slice(-10).reverse()
   };
 }
@@ -370,6 +499,45 @@ function registerAgent(agentId, side) {
   };
 }
 
+// ============================================
+// TOURNAMENT PERSISTENCE
+// ============================================
+
+/**
+ * Load saved tournaments from JSON file
+ * @returns {Array} Array of tournament records
+ */
+function loadTournaments() {
+  ensureDataDir();
+  try {
+    if (fs.existsSync(TOURNAMENTS_FILE)) {
+      return JSON.parse(fs.readFileSync(TOURNAMENTS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading tournaments:', error.message);
+  }
+  return [];
+}
+
+/**
+ * Save a tournament record, replacing any earlier save of the same tournament
+ * @param {Object} record - Tournament record (with standings)
+ */
+function saveTournament(record) {
+  const tournaments = loadTournaments().filter(t => t.tournamentId !== record.tournamentId);
+  tournaments.push(record);
+
+  if (tournaments.length > MAX_TOURNAMENTS) {
+    tournaments.splice(0, tournaments.length - MAX_TOURNAMENTS);
+  }
+
+  try {
+    fs.writeFileSync(TOURNAMENTS_FILE, JSON.stringify(tournaments, null, 2));
+  } catch (error) {
+    console.error('Error saving tournaments:', error.message);
+  }
+}
+
 /**
  * Check if an agent exists
  * @param {string} agentId - Agent identifier
@@ -380,22 +548,68 @@ function agentExists(agentId) {
   return rankings.has(agentId);
 }
 
+// ============================================
+// AGENT KEY PERSISTENCE
+// ============================================
+
+/**
+ * Load claimed agent names and their hashed API keys
+ * @returns {Object} agentId -> { keyHash, keyHint, claimedAt, rotatedAt }
+ */
+function loadAgentKeys() {
+  ensureDataDir();
+  try {
+    if (fs.existsSync(AGENT_KEYS_FILE)) {
+      return JSON.parse(fs.readFileSync(AGENT_KEYS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading agent keys:', error.message);
+  }
+  return {};
+}
+
+/**
+ * Save claimed agent names (written to a temp file and renamed into place)
+ * @param {Object} keys - agentId -> key record
+ */
+function saveAgentKeys(keys) {
+  ensureDataDir();
+  const tmp = `${AGENT_KEYS_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(keys, null, 2));
+    fs.renameSync(tmp, AGENT_KEYS_FILE);
+  } catch (error) {
+    console.error('Error saving agent keys:', error.message);
+  }
+}
+
 module.exports = {
   // Match history
   loadMatchHistory,
-  saveMatchHistory,
+  getMatchRecord,
+  getAgentMatchHistory,
   appendMatch,
 
   // ELO rankings
   loadEloRankings,
   saveEloRankings,
   updateElo,
+  updateSideRatings,
+  recomputeRatings,
   getLeaderboard,
   getAgentRanking,
   initializeNamedAgents,
   registerAgent,
   agentExists,
 
+  // Tournaments
+  loadTournaments,
+  saveTournament,
+
+  // Agent keys
+  loadAgentKeys,
+  saveAgentKeys,
+
   // Constants
   DEFAULT_ELO,
   K_FACTOR
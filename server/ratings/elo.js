@@ -0,0 +1,99 @@
+/**
+ * ELO rating system
+ *
+ * The classic system: a fixed K-factor and no notion of uncertainty, so it
+ * has no inactivity decay. Agents keep their overall `elo` (the original
+ * leaderboard rating) plus separate attack and defense ELOs.
+ */
+
+// ELO constants
+const K_FACTOR = 32;
+const DEFAULT_ELO = 1200;
+
+/**
+ * Calculate expected win probability
+ * @param {number} ratingA - First player's rating
+ * @param {number} ratingB - Second player's rating
+ * @returns {number} Expected probability of A winning
+ */
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Calculate ELO change for a match
+ * A margin of victory (0-1, from lives scoring) scales the change from
+ * half to one and a half times K; without one the full K applies.
+ * @param {number} winnerElo - Winner's current ELO
+ * @param {number} loserElo - Loser's current ELO
+ * @param {number|null} margin - Margin of victory (optional)
+ * @returns {number} ELO points to add/subtract
+ */
+function calculateEloChange(winnerElo, loserElo, margin = null) {
+  const expected = expectedScore(winnerElo, loserElo);
+  const multiplier = margin === null ? 1 : 0.5 + margin;
+  return Math.round(K_FACTOR * multiplier * (1 - expected));
+}
+
+/**
+ * Create a new side rating
+ */
+function createRating() {
+  return { rating: DEFAULT_ELO, games: 0, lastPlayed: null };
+}
+
+/**
+ * Rate a game
+ * @param {Object} winner - Winner's rating
+ * @param {Object} loser - Loser's rating
+ * @param {number} now - Game timestamp
+ * @returns {Object[]} [newWinner, newLoser]
+ */
+function rate(winner, loser, now) {
+  const change = calculateEloChange(winner.rating, loser.rating);
+  return [
+    { rating: winner.rating + change, games: winner.games + 1, lastPlayed: now },
+    { rating: loser.rating - change, games: loser.games + 1, lastPlayed: now }
+  ];
+}
+
+/**
+ * Apply inactivity decay (ELO has none)
+ */
+function applyDecay(rating) {
+  return rating;
+}
+
+/**
+ * Combine attack and defense ratings (weighted by games on each side)
+ */
+function combine(attack, defense) {
+  const games = attack.games + defense.games;
+  return {
+    rating: games > 0
+      ? (attack.rating * attack.games + defense.rating * defense.games) / games
+      : DEFAULT_ELO,
+    games,
+    lastPlayed: Math.max(attack.lastPlayed || 0, defense.lastPlayed || 0) || null
+  };
+}
+
+/**
+ * Get the rating shown on leaderboards
+ */
+function displayRating(rating) {
+  return Math.round(rating.rating);
+}
+
+module.exports = {
+  name: 'elo',
+  K_FACTOR,
+  DEFAULT_ELO,
+  expectedScore,
+  calculateEloChange,
+  createRating,
+  rate,
+  applyDecay,
+  combine,
+  displayRating
+};
@@ -0,0 +1,189 @@
+/**
+ * Glicko-2 rating system (Glickman, 2012)
+ *
+ * Each side rating has a rating, a rating deviation (RD, how uncertain the
+ * rating is) and a volatility (how erratic the agent's results are). Every
+ * game is its own rating period.
+ *
+ * Inactivity decay: RD grows by the volatility for every idle day, up to
+ * the starting RD. Leaderboards show a conservative rating (rating - 2 RD),
+ * so new and inactive agents sit lower until they play.
+ */
+
+// Glicko-2 constants
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5;               // Constrains volatility change per game
+const CONVERGENCE = 0.000001;  // Volatility iteration tolerance
+const SCALE = 173.7178;        // Glicko to Glicko-2 scale factor
+
+// Idle time that counts as one rating period for decay
+const DECAY_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a new side rating
+ */
+function createRating() {
+  return {
+    rating: DEFAULT_RATING,
+    rd: DEFAULT_RD,
+    volatility: DEFAULT_VOLATILITY,
+    games: 0,
+    lastPlayed: null
+  };
+}
+
+/**
+ * Glicko-2 g() - dampens the impact of uncertain opponents
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score against an opponent (Glicko-2 scale)
+ */
+function expected(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * Find the new volatility (Illinois algorithm, step 5 of the paper)
+ */
+function newVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player against one opponent
+ * @param {Object} player - Player's rating (decay already applied)
+ * @param {Object} opponent - Opponent's rating (decay already applied)
+ * @param {number} score - 1 for a win, 0 for a loss
+ * @param {number} now - Game timestamp
+ * @returns {Object} Player's new rating
+ */
+function ratePlayer(player, opponent, score, now) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const muOpponent = (opponent.rating - DEFAULT_RATING) / SCALE;
+  const phiOpponent = opponent.rd / SCALE;
+
+  const gOpponent = g(phiOpponent);
+  const e = expected(mu, muOpponent, phiOpponent);
+  const v = 1 / (gOpponent * gOpponent * e * (1 - e));
+  const delta = v * gOpponent * (score - e);
+
+  const sigma = newVolatility(phi, player.volatility, v, delta);
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gOpponent * (score - e);
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: newPhi * SCALE,
+    volatility: sigma,
+    games: player.games + 1,
+    lastPlayed: now
+  };
+}
+
+/**
+ * Apply inactivity decay: RD grows with every idle rating period
+ * @param {Object} rating - Stored rating
+ * @param {number} now - Current timestamp
+ * @returns {Object} Rating with decayed RD (stored rating is not changed)
+ */
+function applyDecay(rating, now = Date.now()) {
+  if (!rating.lastPlayed) return rating;
+
+  const periods = Math.floor((now - rating.lastPlayed) / DECAY_PERIOD_MS);
+  if (periods <= 0) return rating;
+
+  const phi = rating.rd / SCALE;
+  const decayed = Math.sqrt(phi * phi + periods * rating.volatility * rating.volatility) * SCALE;
+  return { ...rating, rd: Math.min(decayed, DEFAULT_RD) };
+}
+
+/**
+ * Rate a game
+ * @param {Object} winner - Winner's rating
+ * @param {Object} loser - Loser's rating
+ * @param {number} now - Game timestamp
+ * @returns {Object[]} [newWinner, newLoser]
+ */
+function rate(winner, loser, now) {
+  const w = applyDecay(winner, now);
+  const l = applyDecay(loser, now);
+  return [ratePlayer(w, l, 1, now), ratePlayer(l, w, 0, now)];
+}
+
+/**
+ * Combine attack and defense ratings
+ * Precision-weighted: the side with the smaller RD counts for more. The two
+ * sides are different skills, so the combined RD is their mean precision
+ * rather than pooled (an unplayed agent stays at the starting RD).
+ */
+function combine(attack, defense) {
+  const wA = 1 / (attack.rd * attack.rd);
+  const wD = 1 / (defense.rd * defense.rd);
+
+  return {
+    rating: (attack.rating * wA + defense.rating * wD) / (wA + wD),
+    rd: Math.sqrt(2 / (wA + wD)),
+    volatility: (attack.volatility + defense.volatility) / 2,
+    games: attack.games + defense.games,
+    lastPlayed: Math.max(attack.lastPlayed || 0, defense.lastPlayed || 0) || null
+  };
+}
+
+/**
+ * Get the rating shown on leaderboards (conservative: rating - 2 RD)
+ */
+function displayRating(rating) {
+  return Math.round(rating.rating - 2 * rating.rd);
+}
+
+module.exports = {
+  name: 'glicko2',
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  createRating,
+  rate,
+  applyDecay,
+  combine,
+  displayRating
+};
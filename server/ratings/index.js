@@ -0,0 +1,104 @@
+/**
+ * Ratings - Pluggable rating systems with separate attack and defense ratings
+ *
+ * Every system implements:
+ * - createRating()                    a new side rating ({ rating, games, lastPlayed, ... })
+ * - rate(winner, loser, now)          [newWinner, newLoser] after one game
+ * - applyDecay(rating, now)           the rating with inactivity applied (not stored)
+ * - combine(attack, defense)          one combined rating from both sides
+ * - displayRating(rating)             the number leaderboards sort by
+ *
+ * Agents store one attack and one defense rating per system under
+ * `ratings[system]`. The attacker's attack rating is rated against the
+ * defender's defense rating after every game, series games included.
+ */
+
+const elo = require('./elo');
+const glicko2 = require('./glicko2');
+
+const RATING_SYSTEMS = { elo, glicko2 };
+const DEFAULT_SYSTEM = 'elo';
+const SIDES = ['attack', 'defense'];
+
+/**
+ * Get a rating system by name
+ * @param {string} name - 'elo' or 'glicko2'
+ * @returns {Object|null} Rating system or null if unknown
+ */
+function getRatingSystem(name) {
+  return Object.hasOwn(RATING_SYSTEMS, name) ? RATING_SYSTEMS[name] : null;
+}
+
+/**
+ * Get an agent's side ratings for a system, creating missing ones
+ * @param {Object} agent - Agent ranking record
+ * @param {string} name - Rating system name
+ * @returns {Object} { attack, defense }
+ */
+function getSideRatings(agent, name) {
+  const system = RATING_SYSTEMS[name];
+  if (!agent.ratings) agent.ratings = {};
+  if (!agent.ratings[name]) {
+    agent.ratings[name] = { attack: system.createRating(), defense: system.createRating() };
+  }
+  return agent.ratings[name];
+}
+
+/**
+ * Rate a game in every system: attacker's attack vs defender's defense
+ * @param {Object} attacker - Attacker's ranking record (updated in place)
+ * @param {Object} defender - Defender's ranking record (updated in place)
+ * @param {string} winnerSide - 'attacker' or 'defender'
+ * @param {number} now - Game timestamp
+ */
+function rateGame(attacker, defender, winnerSide, now = Date.now()) {
+  for (const [name, system] of Object.entries(RATING_SYSTEMS)) {
+    const attackerRatings = getSideRatings(attacker, name);
+    const defenderRatings = getSideRatings(defender, name);
+
+    if (winnerSide === 'attacker') {
+      [attackerRatings.attack, defenderRatings.defense] =
+        system.rate(attackerRatings.attack, defenderRatings.defense, now);
+    } else {
+      [defenderRatings.defense, attackerRatings.attack] =
+        system.rate(defenderRatings.defense, attackerRatings.attack, now);
+    }
+  }
+}
+
+/**
+ * Summarize an agent's ratings in one system (decay applied)
+ * @param {Object} agent - Agent ranking record
+ * @param {string} name - Rating system name
+ * @param {number} now - Current timestamp
+ * @returns {Object} { attack, defense, combined } each with a displayRating
+ */
+function summarizeRatings(agent, name, now = Date.now()) {
+  const system = RATING_SYSTEMS[name];
+  const stored = agent.ratings?.[name] || {};
+  const attack = system.applyDecay(stored.attack || system.createRating(), now);
+  const defense = system.applyDecay(stored.defense || system.createRating(), now);
+  const combined = system.combine(attack, defense);
+
+  const describe = rating => ({
+    ...rating,
+    rating: Math.round(rating.rating),
+    ...(rating.rd !== undefined && { rd: Math.round(rating.rd) }),
+    displayRating: system.displayRating(rating)
+  });
+
+  return {
+    attack: describe(attack),
+    defense: describe(defense),
+    combined: describe(combined)
+  };
+}
+
+module.exports = {
+  RATING_SYSTEMS,
+  DEFAULT_SYSTEM,
+  SIDES,
+  getRatingSystem,
+  rateGame,
+  summarizeRatings
+};
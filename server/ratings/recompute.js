@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * Recompute every rating from stored match history
+ *
+ * One-shot: resets overall ELO, win/loss records and all attack/defense
+ * ratings, then replays every stored match in order. Run it after changing
+ * a rating system, or to backfill side ratings for matches played before
+ * they existed. Stop the server first - it rewrites rankings as it plays.
+ *
+ * Usage:
+ *   node server/ratings/recompute.js   (uses DATA_DIR or ./data)
+ */
+
+const { recomputeRatings } = require('../persistence');
+
+// CLI entry point
+if (require.main === module) {
+  recomputeRatings();
+}
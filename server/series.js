@@ -0,0 +1,130 @@
+/**
+ * Series - Best-of-N series with side swaps
+ *
+ * Each agent in a series registers both an attack and a defense build. The
+ * two agents play games until one of them has won a majority, and they swap
+ * sides every game: in odd games the first agent attacks, in even games the
+ * second agent does. This cancels out a side's meta advantage.
+ *
+ * This module only tracks series state; the matchmaker runs the games and
+ * updates ELO once when the series is decided.
+ */
+
+// Allowed series lengths
+const SERIES_LENGTHS = [3, 5];
+
+/**
+ * Create a new series
+ * @param {string} seriesId - Series identifier
+ * @param {Object} first - { agentId, builds: { attack, defense }, interactive? }
+ * @param {Object} second - Opponent in the same shape
+ * @param {Object} options - { bestOf, mapId }
+ * @returns {Object} Series state
+ */
+function createSeries(seriesId, first, second, options) {
+  return {
+    seriesId,
+    bestOf: options.bestOf,
+    mapId: options.mapId,
+    status: 'in_progress',
+    agents: [first, second],
+    games: [],
+    score: { [first.agentId]: 0, [second.agentId]: 0 },
+    winner: null,
+    loser: null,
+    startTime: Date.now(),
+    endTime: null
+  };
+}
+
+/**
+ * Get the number of game wins that decides a series
+ * @param {Object} series - Series state
+ * @returns {number}
+ */
+function getWinsNeeded(series) {
+  return Math.ceil(series.bestOf / 2);
+}
+
+/**
+ * Get the pairing for the next game, or null once the series is decided
+ * @param {Object} series - Series state
+ * @returns {Object|null} { game, attacker, defender } (agents with side builds)
+ */
+function getNextGame(series) {
+  if (series.status !== 'in_progress') return null;
+
+  const game = series.games.length + 1;
+  const [first, second] = series.agents;
+  const [attacking, defending] = game % 2 === 1 ? [first, second] : [second, first];
+
+  return {
+    game,
+    attacker: { agentId: attacking.agentId, build: attacking.builds.attack, interactive: attacking.interactive },
+    defender: { agentId: defending.agentId, build: defending.builds.defense, interactive: defending.interactive }
+  };
+}
+
+/**
+ * Record a finished game and decide the series if someone has a majority
+ * @param {Object} series - Series state
+ * @param {Object} match - The finished match
+ * @returns {boolean} True if this game decided the series
+ */
+function recordGame(series, match) {
+  const winnerId = match.winner === 'attacker' ? match.attacker.agentId : match.defender.agentId;
+
+  series.games.push({
+    game: series.games.length + 1,
+    matchId: match.matchId,
+    attacker: match.attacker.agentId,
+    defender: match.defender.agentId,
+    winner: winnerId,
+    winnerSide: match.winner
+  });
+  series.score[winnerId]++;
+
+  if (series.score[winnerId] < getWinsNeeded(series)) {
+    return false;
+  }
+
+  series.status = 'complete';
+  series.winner = winnerId;
+  series.loser = series.agents.find(a => a.agentId !== winnerId).agentId;
+  series.endTime = Date.now();
+  return true;
+}
+
+/**
+ * Get aggregated series results (safe for the API; builds are not exposed)
+ * @param {Object} series - Series state
+ * @returns {Object} Series results
+ */
+function getSeriesResults(series) {
+  return {
+    seriesId: series.seriesId,
+    status: series.status,
+    bestOf: series.bestOf,
+    mapId: series.mapId,
+    agents: series.agents.map(a => a.agentId),
+    score: series.score,
+    winner: series.winner,
+    eloChange: series.eloChange || null,
+    games: series.games.map(game => ({
+      ...game,
+      resultsUrl: `/results/${game.matchId}`
+    })),
+    currentMatchId: series.currentMatchId || null,
+    durationSeconds: series.endTime
+      ? Math.round((series.endTime - series.startTime) / 1000)
+      : null
+  };
+}
+
+module.exports = {
+  SERIES_LENGTHS,
+  createSeries,
+  getNextGame,
+  recordGame,
+  getSeriesResults
+};
@@ -8,7 +8,7 @@
  * New code should import directly from game-config.js when possible.
  */
 
-const { getConfig } = require('../config/game-config');
+const { getConfig, getTowerLevelConfig } = require('../config/game-config');
 
 // Get configuration
 const _config = getConfig();
@@ -34,6 +34,9 @@ const FREE_PLACEMENT = {
   lanes: _config.map.lanes
 };
 
+// Lane Y positions, used for lane-aware range checks
+const LANE_POSITIONS = { ..._config.map.lanePositions };
+
 // Legacy tower positions (from GameConfig map.towerZones)
 const TOWER_POSITIONS = {};
 _config.map.towerZones.forEach(zone => {
@@ -73,10 +76,36 @@ Object.entries(_config.powerUps).forEach(([name, config]) => {
   } else if (name === 'chainLightning') {
     POWER_UP_EFFECTS[name] = { damage: config.damage, jumps: config.jumps, decay: config.decay };
   } else if (name === 'reinforcement') {
-    POWER_UP_EFFECTS[name] = { type: config.towerType, position: config.position };
+    // Configs before 0.7.0 have no lane: their reinforcement is a damage boost
+    POWER_UP_EFFECTS[name] = { type: config.towerType, position: config.position, lane: config.lane };
   }
 });
 
+// Economy: bounties, leak income and rush income (see economy.js); configs
+// before 0.5.0 have no economy section and pay nothing
+const ECONOMY = {
+  killBounty: {},
+  leakIncome: {},
+  rushIncome: false,
+  ..._config.economy
+};
+
+// Interactive matches: between-wave turn rules
+const TURN_RULES = {
+  timeoutSeconds: _config.rules.turnTimeoutSeconds,
+  sellRefundPercent: _config.rules.sellRefundPercent
+};
+
+// Scoring mode (see scoring.js); configs before 0.6.0 have no scoring
+// section and play sudden death
+const SCORING = {
+  mode: 'sudden_death',
+  lives: 0,
+  winThreshold: 0,
+  leakCost: {},
+  ..._config.rules.scoring
+};
+
 const POWER_UP_LIMITS = {
   perMatch: _config.rules.maxPowerUpsPerMatch,
   perWave: _config.rules.maxPowerUpsPerWave
@@ -106,7 +135,20 @@ Object.entries(_config.enemies).forEach(([name, config]) => {
     aura: config.aura || null,
     ...(config.auraRadius && { auraRadius: config.auraRadius }),
     ...(config.auraAmount && { auraAmount: config.auraAmount }),
-    ...(config.unitCount && { unitCount: config.unitCount })
+    ...(config.unitCount && { unitCount: config.unitCount }),
+    // Special mechanics (configs before 0.8.0 have none)
+    ...(config.flying && { flying: true }),
+    ...(config.splitCount && {
+      splitCount: config.splitCount,
+      splitHp: config.splitHp,
+      splitSpeed: config.splitSpeed
+    }),
+    ...(config.burrowTo && { burrowFrom: config.burrowFrom, burrowTo: config.burrowTo }),
+    ...(config.disruptRadius && {
+      disruptRadius: config.disruptRadius,
+      disruptDuration: config.disruptDuration,
+      disruptCooldown: config.disruptCooldown
+    })
   };
 });
 
@@ -123,6 +165,7 @@ Object.entries(_config.towers).forEach(([name, config]) => {
     range: config.range,
     cost: config.cost,
     special: config.special || null,
+    ...(config.hitsAir && { hitsAir: true }),
     ...(config.slowAmount && { slowAmount: config.slowAmount }),
     ...(config.chainCount && { chainCount: config.chainCount }),
     ...(config.chainDamageDecay && { chainDamageDecay: config.chainDamageDecay }),
@@ -132,11 +175,24 @@ Object.entries(_config.towers).forEach(([name, config]) => {
   };
 });
 
+// Stats per upgrade level: TOWER_LEVEL_STATS[type][level] (cost is cumulative)
+const MAX_TOWER_LEVEL = _config.rules.maxTowerLevel;
+const TOWER_LEVEL_STATS = {};
+
+Object.keys(_config.towers).forEach(name => {
+  TOWER_LEVEL_STATS[name] = {};
+  for (let level = 1; level <= MAX_TOWER_LEVEL; level++) {
+    TOWER_LEVEL_STATS[name][level] = getTowerLevelConfig(name, level);
+  }
+});
+
 // ============================================
 // VALID TYPES (from GameConfig)
 // ============================================
 const VALID_TOWER_TYPES = Object.keys(_config.towers);
 const VALID_ENEMY_TYPES = Object.keys(_config.enemies);
+const VALID_TARGETING_MODES = Object.keys(_config.targeting.modes);
+const DEFAULT_TARGETING = _config.targeting.default;
 
 // ============================================
 // EXPORTS
@@ -154,9 +210,13 @@ module.exports = {
   FREE_PLACEMENT,
   TOWER_POSITIONS,
   VALID_SLOTS,
+  LANE_POSITIONS,
 
   // Wave timing
   WAVE_TIMING,
+  TURN_RULES,
+  ECONOMY,
+  SCORING,
 
   // Power-ups
   POWER_UP_COSTS,
@@ -169,8 +229,12 @@ module.exports = {
   // Stats
   ENEMY_STATS,
   TOWER_STATS,
+  TOWER_LEVEL_STATS,
+  MAX_TOWER_LEVEL,
 
   // Valid types
   VALID_TOWER_TYPES,
-  VALID_ENEMY_TYPES
+  VALID_ENEMY_TYPES,
+  VALID_TARGETING_MODES,
+  DEFAULT_TARGETING
 };
@@ -0,0 +1,110 @@
+/**
+ * Costs - What builds, waves and power-ups cost
+ *
+ * Shared by build validation (api/validate.js) and the match economy
+ * (economy.js), so both price a build the same way.
+ */
+
+const { ENEMY_STATS, TOWER_STATS, TOWER_LEVEL_STATS, POWER_UP_COSTS, POWER_UP_EFFECTS } = require('./constants');
+const { getWaveUnits } = require('./enemies');
+
+/**
+ * Calculate the cost of a wave's units
+ */
+function calculateWaveCost(wave) {
+  let total = 0;
+
+  for (const [type, count] of getWaveUnits(wave)) {
+    const stats = ENEMY_STATS[type];
+    if (stats) {
+      total += stats.cost * count;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Get a power-up's price
+ * A reinforcement is priced by its tower: the listed cost buys the default
+ * tower type and scales with the cost of the tower chosen instead (from
+ * 0.7.0; earlier configs charge the listed cost).
+ */
+function getPowerUpCost(powerUp) {
+  const cost = POWER_UP_COSTS[powerUp.type] || 0;
+  if (powerUp.type !== 'reinforcement' || !TOWER_STATS[powerUp.tower] ||
+      !POWER_UP_EFFECTS.reinforcement.lane) {
+    return cost;
+  }
+  const defaultTower = TOWER_STATS[POWER_UP_EFFECTS.reinforcement.type];
+  return Math.round(cost * TOWER_STATS[powerUp.tower].cost / defaultTower.cost);
+}
+
+/**
+ * Calculate total cost of an attack build (including power-ups)
+ * The spendFromBank share of each wave is paid during the match instead.
+ */
+function calculateAttackCost(build) {
+  if (!build || !build.waves) return 0;
+
+  let total = 0;
+
+  for (const wave of build.waves) {
+    const waveCost = calculateWaveCost(wave);
+    total += waveCost - Math.min((wave && wave.spendFromBank) || 0, waveCost);
+  }
+
+  // Add power-up costs
+  if (build.powerUps && Array.isArray(build.powerUps)) {
+    for (const powerUp of build.powerUps) {
+      total += getPowerUpCost(powerUp);
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Calculate total cost of a defense build (supports both formats)
+ * Free-flow towers cost their base price plus any upgrades to their level;
+ * towers marked spendFromBank are paid during the match instead.
+ */
+function calculateDefenseCost(build) {
+  if (!build || !build.towers) return 0;
+
+  let total = 0;
+
+  // Check if it's the new array format
+  if (Array.isArray(build.towers)) {
+    for (const tower of build.towers) {
+      const stats = TOWER_LEVEL_STATS[tower.type]?.[tower.level || 1];
+      if (stats && !tower.spendFromBank) {
+        total += stats.cost;
+      }
+    }
+  } else {
+    // Legacy object format
+    for (const [slot, type] of Object.entries(build.towers)) {
+      const stats = TOWER_STATS[type];
+      if (stats) {
+        total += stats.cost;
+      }
+    }
+  }
+
+  // Add power-up costs
+  if (build.powerUps && Array.isArray(build.powerUps)) {
+    for (const powerUp of build.powerUps) {
+      total += getPowerUpCost(powerUp);
+    }
+  }
+
+  return total;
+}
+
+module.exports = {
+  calculateWaveCost,
+  calculateAttackCost,
+  calculateDefenseCost,
+  getPowerUpCost
+};
@@ -0,0 +1,227 @@
+/**
+ * Economy - Per-side banks, kill bounties and attacker income
+ *
+ * Each side starts with a bank holding its unspent budget. During the match:
+ * - Kills pay the defender a bounty per enemy type
+ * - Leaked units and rushing pay the attacker income
+ * Banked money funds later waves (waves[i].spendFromBank), scheduled towers
+ * ({ ..., wave, spendFromBank: true }) and interactive turns.
+ *
+ * Every wave records both balances and what each side earned in it.
+ */
+
+const { BUDGET, ECONOMY, TOWER_LEVEL_STATS, ENEMY_STATS } = require('./constants');
+const { isScheduledWave, getWaveUnits } = require('./enemies');
+const { createTowerFreeFlow, getTowerState, nextTowerId } = require('./towers');
+const { getDistance } = require('./geometry');
+const { isPolylineMap } = require('./path');
+const { calculateAttackCost, calculateDefenseCost, calculateWaveCost } = require('./costs');
+
+// Units spawned by another type pay (per unit) as that type
+const PARENT_TYPES = { swarm_unit: 'swarm', splitter_child: 'splitter' };
+
+/**
+ * Get the economy type of an enemy (swarm units and splitter children pay
+ * per unit as 'swarm' and 'splitter')
+ */
+function getEconomyType(enemy) {
+  return PARENT_TYPES[enemy.type] || enemy.type;
+}
+
+/**
+ * Start both banks from the budget left after each build's upfront cost
+ * @param {Object} match - Match from createMatch
+ */
+function initEconomy(match) {
+  match.attacker.bank = BUDGET - calculateAttackCost(match.attacker.build);
+  match.attacker.earned = 0;
+  match.defender.bank = BUDGET - calculateDefenseCost(match.defender.build);
+  match.defender.earned = 0;
+  match.ledger = { income: 0, bounties: 0 };
+}
+
+/**
+ * Pay money into a side's bank
+ * @param {Object} match - Match state
+ * @param {string} side - 'attacker' or 'defender'
+ * @param {number} amount - Amount earned
+ */
+function creditBank(match, side, amount) {
+  if (!amount) return;
+
+  match[side].bank += amount;
+  match[side].earned += amount;
+  if (side === 'attacker') {
+    match.ledger.income += amount;
+  } else {
+    match.ledger.bounties += amount;
+  }
+}
+
+/**
+ * Pay the defender's bounty for a kill
+ * @param {Object} match - Match state
+ * @param {Object} enemy - Killed enemy
+ */
+function creditKill(match, enemy) {
+  creditBank(match, 'defender', ECONOMY.killBounty[getEconomyType(enemy)] || 0);
+}
+
+/**
+ * Pay the attacker's income for a leak
+ * @param {Object} match - Match state
+ * @param {Object} enemy - Leaked enemy
+ */
+function creditLeak(match, enemy) {
+  creditBank(match, 'attacker', ECONOMY.leakIncome[getEconomyType(enemy)] || 0);
+}
+
+/**
+ * Pay the attacker's rush bonus (when rush income is enabled)
+ * @param {Object} match - Match state
+ * @param {number} bonus - Rush bonus earned
+ */
+function creditRush(match, bonus) {
+  if (ECONOMY.rushIncome) {
+    creditBank(match, 'attacker', bonus);
+  }
+}
+
+/**
+ * Pay for a wave's spendFromBank share, trimming units the bank can't cover
+ * Units are dropped from the end of the wave (the last spawn group of a
+ * scheduled wave), one at a time, until the shortfall is covered.
+ * @param {Object} match - Match state
+ * @param {Object} waveConfig - Wave from the attack build
+ * @param {Array} events - Event list to record a shortfall in
+ * @returns {Object} Wave config to spawn (trimmed copy if the bank was short)
+ */
+function fundWave(match, waveConfig, events) {
+  const spend = Math.min(waveConfig.spendFromBank || 0, calculateWaveCost(waveConfig));
+  if (spend <= 0) return waveConfig;
+
+  const bank = match.attacker.bank;
+  if (bank >= spend) {
+    match.attacker.bank -= spend;
+    return waveConfig;
+  }
+
+  const wave = { ...waveConfig };
+  const dropped = {};
+  let droppedCost = 0;
+  const dropUnit = type => {
+    dropped[type] = (dropped[type] || 0) + 1;
+    droppedCost += ENEMY_STATS[type].cost;
+  };
+
+  if (isScheduledWave(wave)) {
+    // Scheduled waves drop from their last group first
+    wave.groups = wave.groups.map(group => ({ ...group }));
+    for (const group of [...wave.groups].reverse()) {
+      while (spend - droppedCost > bank && group.count > 0) {
+        group.count--;
+        dropUnit(group.type);
+      }
+    }
+    wave.groups = wave.groups.filter(group => group.count > 0);
+  } else {
+    for (const [type] of getWaveUnits(wave).reverse()) {
+      while (spend - droppedCost > bank && wave[type] > 0) {
+        wave[type]--;
+        dropUnit(type);
+      }
+    }
+  }
+
+  match.attacker.bank = bank - Math.max(0, spend - droppedCost);
+  events.push({
+    tick: match.tick,
+    type: 'bank_short',
+    side: 'attacker',
+    wave: match.currentWave,
+    needed: spend,
+    available: bank,
+    dropped
+  });
+
+  return wave;
+}
+
+/**
+ * Build the defender's scheduled towers for a wave if the bank covers them
+ * Towers are skipped when the bank is short or another tower now stands
+ * too close.
+ * @param {Object} match - Match state
+ * @param {number} waveNumber - Wave about to start (1-based)
+ * @param {Array} events - Event list to record builds and shortfalls in
+ */
+function fundScheduledTowers(match, waveNumber, events) {
+  const towers = match.defender.build.towers;
+  if (!Array.isArray(towers)) return;
+
+  const polyline = isPolylineMap(match.map);
+  const minSpacing = match.map.freePlacement.minSpacing;
+
+  for (const def of towers) {
+    if (!def.spendFromBank || def.wave !== waveNumber) continue;
+
+    const cost = TOWER_LEVEL_STATS[def.type][def.level || 1].cost;
+    const blocked = match.towers.some(t => (polyline
+      ? getDistance(def.x, def.y, t.position, t.y)
+      : Math.abs(def.x - t.position)) < minSpacing);
+
+    if (blocked || match.defender.bank < cost) {
+      events.push({
+        tick: match.tick,
+        type: 'bank_short',
+        side: 'defender',
+        wave: waveNumber,
+        needed: cost,
+        available: match.defender.bank,
+        towerType: def.type,
+        ...(blocked && { blocked: true })
+      });
+      continue;
+    }
+
+    match.defender.bank -= cost;
+    const tower = createTowerFreeFlow(def, nextTowerId(match), match.map);
+    match.towers.push(tower);
+    match.towers.sort((a, b) => a.position - b.position);
+    events.push({ tick: match.tick, type: 'tower_add', tower: getTowerState(tower) });
+  }
+}
+
+/**
+ * Start a new wave's ledger
+ * @param {Object} match - Match state
+ */
+function startWaveLedger(match) {
+  match.ledger = { income: 0, bounties: 0 };
+}
+
+/**
+ * Record a wave's earnings and closing balances on its breakdown entry
+ * @param {Object} match - Match state
+ * @param {Object} waveStats - Wave breakdown entry
+ */
+function closeWaveLedger(match, waveStats) {
+  waveStats.economy = {
+    attackerIncome: match.ledger.income,
+    defenderBounties: match.ledger.bounties,
+    attackerBank: match.attacker.bank,
+    defenderBank: match.defender.bank
+  };
+}
+
+module.exports = {
+  getEconomyType,
+  initEconomy,
+  creditKill,
+  creditLeak,
+  creditRush,
+  fundWave,
+  fundScheduledTowers,
+  startWaveLedger,
+  closeWaveLedger
+};
@@ -43,6 +43,9 @@ class EffectSystem {
     // Map of entityId -> array of active effects
     this.activeEffects = new Map();
 
+    // Sequential effect IDs keep simulations deterministic
+    this.nextEffectId = 0;
+
     // Statistics for debugging
     this.stats = {
       effectsApplied: 0,
@@ -55,6 +58,7 @@ class EffectSystem {
    */
   reset() {
     this.activeEffects.clear();
+    this.nextEffectId = 0;
     this.stats = {
       effectsApplied: 0,
       effectsExpired: 0,
@@ -73,7 +77,7 @@ class EffectSystem {
     }
 
     const appliedEffect = {
-      id: `effect_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      id: `effect_${this.nextEffectId++}`,
       type: effect.type,
       stat: effect.stat || null,
       modifier: effect.modifier || 1.0,
@@ -82,7 +86,6 @@ class EffectSystem {
       stacks: effect.stacks !== false, // Can this effect stack?
       source: effect.source || null, // Who/what applied this effect
       data: effect.data || {}, // Additional effect-specific data
-      appliedAt: Date.now(),
     };
 
     const effects = this.activeEffects.get(entityId);
@@ -204,6 +207,8 @@ class EffectSystem {
 
   /**
    * Process one game tick - decrements durations and removes expired effects
+   * Effects with data.recoveryPerTick (e.g. slows) ease their modifier back
+   * towards 1.0 each tick and expire once fully recovered.
    * @returns {object[]} Array of expired effects (for event generation)
    */
   tick() {
@@ -217,6 +222,13 @@ class EffectSystem {
           effect.ticksRemaining--;
         }
 
+        if (effect.data.recoveryPerTick) {
+          effect.modifier = Math.min(1.0, effect.modifier + effect.data.recoveryPerTick);
+          if (effect.modifier >= 1.0) {
+            effect.ticksRemaining = 0;
+          }
+        }
+
         if (effect.ticksRemaining > 0) {
           remaining.push(effect);
         } else {
@@ -247,9 +259,9 @@ class EffectSystem {
       return 0;
     }
 
-    let speed = enemy.speed * enemy.speedMultiplier;
+    let speed = enemy.speed;
 
-    // Apply speed modifiers
+    // Apply speed modifiers (slows and boosts)
     speed *= this.getModifier(enemy.id, 'speed');
 
     return Math.max(0, speed);
@@ -310,49 +322,26 @@ class EffectSystem {
   }
 
   /**
-   * Apply damage to an enemy, accounting for shield and armor
+   * Absorb incoming damage with an enemy's shield
+   * Depleted shields are removed.
    * @param {object} enemy - Enemy entity
    * @param {number} damage - Raw damage amount
-   * @param {object} options - Options like armor pierce percentage
-   * @returns {object} { actualDamage, shieldAbsorbed, blocked }
+   * @returns {number} Damage left over after the shield
    */
-  applyDamage(enemy, damage, options = {}) {
-    const effects = this.getEffects(enemy.id);
-    let remaining = damage;
-    let shieldAbsorbed = 0;
-
-    // Apply damage reduction first
-    const damageReduction = 1 - this.getModifier(enemy.id, 'damageReduction');
-    if (damageReduction > 0) {
-      remaining *= (1 - damageReduction);
+  absorbShieldDamage(enemy, damage) {
+    const shieldEffect = this.getEffects(enemy.id).find(e => e.type === EFFECT_TYPES.SHIELD);
+    if (!shieldEffect || !(shieldEffect.data.shieldHp > 0)) {
+      return damage;
     }
 
-    // Check for shield effect
-    const shieldEffect = effects.find(e => e.type === EFFECT_TYPES.SHIELD);
-    if (shieldEffect && shieldEffect.data.shieldHp > 0) {
-      const absorbed = Math.min(remaining, shieldEffect.data.shieldHp);
-      shieldEffect.data.shieldHp -= absorbed;
-      remaining -= absorbed;
-      shieldAbsorbed = absorbed;
-
-      // Remove shield if depleted
-      if (shieldEffect.data.shieldHp <= 0) {
-        this.removeEffect(enemy.id, shieldEffect.id);
-      }
-    }
+    const absorbed = Math.min(damage, shieldEffect.data.shieldHp);
+    shieldEffect.data.shieldHp -= absorbed;
 
-    // Apply armor
-    const armor = this.getEffectiveArmor(enemy);
-    const armorPierce = options.armorPiercePercent || 0;
-    const effectiveArmor = armor * (1 - armorPierce);
-    const blocked = Math.min(remaining - 1, effectiveArmor); // Always at least 1 damage
-    remaining = Math.max(1, remaining - blocked);
+    if (shieldEffect.data.shieldHp <= 0) {
+      this.removeEffect(enemy.id, shieldEffect.id);
+    }
 
-    return {
-      actualDamage: remaining,
-      shieldAbsorbed,
-      blocked,
-    };
+    return damage - absorbed;
   }
 
   /**
@@ -373,11 +362,7 @@ class EffectSystem {
   }
 }
 
-// Create and export singleton instance
-const effectSystem = new EffectSystem();
-
 module.exports = {
   EffectSystem,
-  effectSystem,
   EFFECT_TYPES,
 };
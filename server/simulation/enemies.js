@@ -1,26 +1,66 @@
-const { ENEMY_STATS, SLOW_DECAY_RATE, PATH_LENGTH, TICKS_PER_SECOND } = require('./constants');
+const { ENEMY_STATS, SLOW_DECAY_RATE, TICKS_PER_SECOND } = require('./constants');
+const { getDistance } = require('./geometry');
+const { getMap, getLanePositions } = require('../config/maps');
+const { getRoute, pointAt } = require('./path');
+const { EFFECT_TYPES } = require('./effect-system');
+
+// Wave keys that configure the wave rather than name an enemy type
+const WAVE_OPTION_KEYS = ['lane', 'spendFromBank', 'groups'];
+
+// Gap behind each spawned unit, and between the units of one swarm
+const SPAWN_SPACING = 30;
+const SWARM_SPACING = 20;
+
+// Gap between the children of a splitter, behind the point where it died
+const SPLIT_SPACING = 10;
+
+// Allowed spawn group options (scheduled waves)
+const SPAWN_GROUP_LIMITS = {
+  groups: { max: 20 },
+  spacing: { min: 10, max: 300 },
+  delay: { min: 0, max: 1800 }
+};
 
-let enemyIdCounter = 0;
+/**
+ * Take the next enemy ID from a match's own counter
+ * IDs are per match so matches created meanwhile never reuse them.
+ * @param {Object} match - Match state (holds nextEnemyId)
+ * @returns {string} ID like 'e7'
+ */
+function nextEnemyId(match) {
+  return `e${match.nextEnemyId++}`;
+}
 
 /**
  * Create a single enemy instance with all attributes
+ * @param {string} id - Enemy ID (see nextEnemyId)
+ * @param {string} type - Enemy type
+ * @param {number} spawnOffset - Distance behind the spawn point
+ * @param {string|null} lane - Lane to walk (null = shared centre road)
+ * @param {Object} map - Map the enemy walks (spawn point, lane positions)
  */
-function createEnemy(type, spawnOffset = 0) {
+function createEnemy(id, type, spawnOffset = 0, lane = null, map = getMap()) {
   const stats = ENEMY_STATS[type];
   if (!stats) {
     throw new Error(`Unknown enemy type: ${type}`);
   }
 
-  const id = `e${enemyIdCounter++}`;
+  const route = getRoute(map, lane);
+  const start = route ? 0 : map.spawnPoint.x;
+  const pathEnd = route ? route.length : map.exitPoint.x;
 
-  return {
+  const enemy = {
     id,
     type,
     hp: stats.hp,
     maxHp: stats.hp,
     speed: stats.speed,
-    speedMultiplier: 1.0,
-    position: -50 - spawnOffset, // Start off-screen
+    position: start - 50 - spawnOffset, // Distance along the road (starts off-screen)
+    pathEnd,
+    lane,
+    // 2D point on the map (y is null on the shared road of straight maps)
+    x: 0,
+    y: route || !lane ? null : getLanePositions(map)[lane],
     alive: true,
     leaked: false,
 
@@ -32,81 +72,160 @@ function createEnemy(type, spawnOffset = 0) {
     auraRadius: stats.auraRadius || 0,
     auraAmount: stats.auraAmount || 0,
 
-    // Power-up states
-    shieldHP: 0,              // Shield absorbs damage before HP
-    invisible: false,         // Invisible to towers
-    invisibleUntil: 0,        // Tick when invisibility ends
-    speedBoosted: false,      // Speed boost active
-    speedBoostUntil: 0,       // Tick when speed boost ends
-    speedBoostMultiplier: 1,  // Speed boost multiplier (1.5 = 50% faster)
+    // Special mechanics: flying (only hitsAir towers target it), splitting
+    // on death, burrowing (untargetable over a stretch of road, as distances
+    // along it) and disrupting nearby towers
+    flying: stats.flying || false,
+    splitCount: stats.splitCount || 0,
+    burrow: stats.burrowTo
+      ? { from: stats.burrowFrom * pathEnd, to: stats.burrowTo * pathEnd }
+      : null,
+    disruptRadius: stats.disruptRadius || 0,
+    disruptReadyAt: 0,
+
+    // Power-up states (shield, invisibility, speed boost, slow, freeze)
+    // live in the match's EffectSystem, keyed by enemy id
 
     // Aura buffs received from other enemies
     damageReduction: 0        // From boss resistance aura
   };
+
+  updateEnemyPoint(enemy, map);
+  return enemy;
+}
+
+/**
+ * Update an enemy's 2D point from its distance along the road
+ * Straight roads keep x = position; polylines follow the waypoints.
+ */
+function updateEnemyPoint(enemy, map) {
+  const route = getRoute(map, enemy.lane);
+  if (route) {
+    const point = pointAt(route, enemy.position);
+    enemy.x = point.x;
+    enemy.y = point.y;
+  } else {
+    enemy.x = enemy.position;
+  }
+}
+
+/**
+ * Whether a wave uses the scheduled format ({ groups: [...] })
+ */
+function isScheduledWave(waveConfig) {
+  return Array.isArray(waveConfig?.groups);
+}
+
+/**
+ * Get the [type, count] unit entries of a wave, skipping wave options
+ * Scheduled waves total each type over their groups, in order of first use.
+ * @param {Object} waveConfig - Wave like { lane: 'top', runner: 2, tank: 1 }
+ * @returns {Array} Entries like [['runner', 2], ['tank', 1]]
+ */
+function getWaveUnits(waveConfig) {
+  if (isScheduledWave(waveConfig)) {
+    const totals = new Map();
+    for (const group of waveConfig.groups) {
+      totals.set(group.type, (totals.get(group.type) || 0) + group.count);
+    }
+    return Array.from(totals.entries());
+  }
+
+  return Object.entries(waveConfig || {})
+    .filter(([key]) => !WAVE_OPTION_KEYS.includes(key));
+}
+
+/**
+ * Get a wave's spawn groups, in spawn order, with their defaults filled in
+ * The object format is one group per unit type, in key order.
+ * @param {Object} waveConfig - Wave in either format
+ * @returns {Array} Groups like { type, count, spacing, delay, lane }
+ */
+function getWaveGroups(waveConfig) {
+  const waveLane = waveConfig.lane || null;
+  const groups = isScheduledWave(waveConfig)
+    ? waveConfig.groups
+    : getWaveUnits(waveConfig).map(([type, count]) => ({ type, count }));
+
+  return groups.map(group => ({
+    type: group.type,
+    count: group.count,
+    spacing: group.spacing ?? SPAWN_SPACING,
+    delay: group.delay ?? 0,
+    lane: group.lane || waveLane
+  }));
 }
 
 /**
  * Spawn all enemies for a wave based on wave configuration
  * Wave config is an object like { runner: 2, tank: 1, healer: 1 }
+ * An optional lane key ({ lane: 'top', runner: 2 }) sends the wave down one lane
+ *
+ * Scheduled waves list spawn groups in order instead:
+ *   { groups: [{ type: 'tank', count: 1 },
+ *              { type: 'healer', count: 2, spacing: 15 },
+ *              { type: 'runner', count: 6, delay: 300, lane: 'bottom' }] }
+ * Each lane queues its groups one behind the other, `spacing` apart within a
+ * group. A group with a `delay` holds still for that many ticks after the wave
+ * spawns (towers can't target it meanwhile), then sets off.
+ * @param {Object} waveConfig - Wave configuration
+ * @param {Object} match - Match to spawn into (its map and enemy ID counter)
  */
-function spawnWave(waveConfig) {
+function spawnWave(waveConfig, match) {
+  const map = match.map;
   const enemies = [];
-  let spawnOffset = 0;
-  const SPAWN_SPACING = 30;
-  const SWARM_SPACING = 20;
+  const laneOffsets = {}; // lane -> distance behind spawn taken so far
+
+  for (const { type, count, spacing, delay, lane } of getWaveGroups(waveConfig)) {
+    let spawnOffset = laneOffsets[lane] || 0;
+    const spawned = [];
 
-  for (const [type, count] of Object.entries(waveConfig)) {
     for (let i = 0; i < count; i++) {
       if (type === 'swarm') {
         const unitCount = ENEMY_STATS.swarm.unitCount;
         for (let j = 0; j < unitCount; j++) {
-          const enemy = createEnemy('swarm', spawnOffset + (j * SWARM_SPACING));
+          const enemy = createEnemy(nextEnemyId(match), 'swarm', spawnOffset + (j * SWARM_SPACING), lane, map);
           enemy.type = 'swarm_unit';
-          enemies.push(enemy);
+          spawned.push(enemy);
         }
-        spawnOffset += unitCount * SWARM_SPACING + SPAWN_SPACING;
+        spawnOffset += unitCount * SWARM_SPACING + spacing;
       } else {
-        enemies.push(createEnemy(type, spawnOffset));
-        spawnOffset += SPAWN_SPACING;
+        spawned.push(createEnemy(nextEnemyId(match), type, spawnOffset, lane, map));
+        spawnOffset += spacing;
       }
     }
+
+    if (delay > 0) {
+      spawned.forEach(enemy => { enemy.spawnDelay = delay; });
+    }
+    laneOffsets[lane] = spawnOffset;
+    enemies.push(...spawned);
   }
 
   return enemies;
 }
 
 /**
- * Move an enemy forward with speed modifiers and slow decay
- * Returns true if enemy reached the end (leaked)
+ * Move an enemy forward with speed modifiers (slow, freeze, speed boost)
+ * Returns true if enemy reached the map's exit (leaked)
  */
-function moveEnemy(enemy, currentTick = 0) {
+function moveEnemy(enemy, effects = null, map = getMap()) {
   if (!enemy.alive || enemy.leaked) {
     return false;
   }
 
-  // Check if speed boost expired
-  if (enemy.speedBoosted && currentTick >= enemy.speedBoostUntil) {
-    enemy.speedBoosted = false;
-    enemy.speedBoostMultiplier = 1;
-  }
-
-  // Check if invisibility expired
-  if (enemy.invisible && currentTick >= enemy.invisibleUntil) {
-    enemy.invisible = false;
+  // Scheduled groups wait out their delay before setting off
+  if (enemy.spawnDelay > 0) {
+    enemy.spawnDelay--;
+    return false;
   }
 
-  // Calculate effective speed: base * slowMultiplier * boostMultiplier
-  const effectiveMultiplier = enemy.speedMultiplier * enemy.speedBoostMultiplier;
-  const moveAmount = (enemy.speed * effectiveMultiplier) / TICKS_PER_SECOND;
-  enemy.position += moveAmount;
-
-  // Decay slow effect
-  if (enemy.speedMultiplier < 1.0) {
-    enemy.speedMultiplier = Math.min(1.0, enemy.speedMultiplier + SLOW_DECAY_RATE);
-  }
+  const speed = effects ? effects.getEffectiveSpeed(enemy) : enemy.speed;
+  enemy.position += speed / TICKS_PER_SECOND;
+  updateEnemyPoint(enemy, map);
 
   // Check if reached end
-  if (enemy.position >= PATH_LENGTH) {
+  if (enemy.position >= enemy.pathEnd) {
     enemy.leaked = true;
     return true;
   }
@@ -119,18 +238,17 @@ function moveEnemy(enemy, currentTick = 0) {
  * @param {Object} enemy - The enemy to damage
  * @param {number} damage - Raw damage amount
  * @param {number} armorPiercePercent - Fraction of armor to ignore (0-1)
+ * @param {EffectSystem|null} effects - Match effects (for shields)
  * @returns {boolean} true if enemy was killed
  */
-function damageEnemy(enemy, damage, armorPiercePercent = 0) {
+function damageEnemy(enemy, damage, armorPiercePercent = 0, effects = null) {
   if (!enemy.alive) {
     return false;
   }
 
   // Shield absorbs damage first
-  if (enemy.shieldHP > 0) {
-    const shieldDamage = Math.min(enemy.shieldHP, damage);
-    enemy.shieldHP -= shieldDamage;
-    damage -= shieldDamage;
+  if (effects) {
+    damage = effects.absorbShieldDamage(enemy, damage);
     if (damage <= 0) {
       return false;
     }
@@ -175,7 +293,7 @@ function processEnemyAuras(enemies) {
     for (const target of enemies) {
       if (target.id === source.id || !target.alive) continue;
 
-      const distance = Math.abs(target.position - source.position);
+      const distance = getDistance(target.x, target.y, source.x, source.y);
       if (distance > source.auraRadius) continue;
 
       switch (source.aura) {
@@ -207,93 +325,224 @@ function processRegen(enemies) {
   }
 }
 
+/**
+ * Check whether a burrower is underground
+ */
+function isBurrowed(enemy) {
+  return !!enemy.burrow && enemy.position >= enemy.burrow.from && enemy.position < enemy.burrow.to;
+}
+
 /**
  * Check if an enemy can be targeted by towers
+ * @param {Object} enemy - The enemy
+ * @param {EffectSystem|null} effects - Match effects (invisibility)
+ * @param {Object|null} tower - Tower aiming at it (flyers need a hitsAir tower)
  */
-function isTargetable(enemy, currentTick = 0) {
+function isTargetable(enemy, effects = null, tower = null) {
   if (!enemy.alive || enemy.leaked) return false;
-  if (enemy.invisible && currentTick < enemy.invisibleUntil) return false;
+  if (enemy.spawnDelay > 0) return false;
+  if (isBurrowed(enemy)) return false;
+  if (enemy.flying && tower && !tower.hitsAir) return false;
+  if (effects && !effects.isTargetable(enemy)) return false;
   return true;
 }
 
+/**
+ * Spawn a fallen splitter's children where it died
+ * Children are 'splitter_child' units with the splitter's split stats; they
+ * don't split again. Call once per splitter (it is marked as split).
+ * @param {Object} enemy - Dead splitter
+ * @param {Object} match - Match state (its map and enemy ID counter)
+ * @returns {Array} Children, already on the road
+ */
+function splitEnemy(enemy, match) {
+  const map = match.map;
+  const stats = ENEMY_STATS.splitter;
+  const children = [];
+  enemy.split = true;
+
+  for (let i = 0; i < enemy.splitCount; i++) {
+    const child = createEnemy(nextEnemyId(match), 'splitter', 0, enemy.lane, map);
+    child.type = 'splitter_child';
+    child.hp = stats.splitHp;
+    child.maxHp = stats.splitHp;
+    child.speed = stats.splitSpeed;
+    child.armor = 0;
+    child.baseArmor = 0;
+    child.splitCount = 0;
+    child.position = enemy.position - i * SPLIT_SPACING;
+    updateEnemyPoint(child, map);
+    children.push(child);
+  }
+
+  return children;
+}
+
+/**
+ * Let disruptors pulse: a disruptor whose pulse is ready disables every
+ * tower within its radius for its duration when at least one is in reach.
+ * Updates each tower's `disabled` flag for this tick.
+ * @param {Array} enemies - The wave's enemies
+ * @param {Array} towers - The defender's towers
+ * @param {number} tick - Current tick
+ * @returns {Array} disrupt events
+ */
+function processDisruptors(enemies, towers, tick) {
+  const events = [];
+
+  for (const enemy of enemies) {
+    if (!enemy.disruptRadius || !enemy.alive || enemy.leaked || enemy.spawnDelay > 0) continue;
+    if (tick < enemy.disruptReadyAt) continue;
+
+    const inReach = towers.filter(tower =>
+      getDistance(enemy.x, enemy.y, tower.position, tower.y) <= enemy.disruptRadius
+    );
+    if (inReach.length === 0) continue;
+
+    const stats = ENEMY_STATS[enemy.type];
+    const until = tick + stats.disruptDuration;
+    for (const tower of inReach) {
+      tower.disabledUntil = Math.max(tower.disabledUntil || 0, until);
+    }
+    enemy.disruptReadyAt = tick + stats.disruptCooldown;
+
+    events.push({
+      tick,
+      type: 'disrupt',
+      enemy: enemy.id,
+      towers: inReach.map(tower => tower.id || tower.slot),
+      until
+    });
+  }
+
+  for (const tower of towers) {
+    tower.disabled = (tower.disabledUntil || 0) > tick;
+  }
+
+  return events;
+}
+
 /**
  * Apply shield power-up to an enemy
  */
-function applyShield(enemy, shieldAmount) {
+function applyShield(enemy, shieldAmount, durationTicks, effects) {
   if (!enemy.alive) return;
-  enemy.shieldHP = shieldAmount;
+  effects.applyEffect(enemy.id, {
+    type: EFFECT_TYPES.SHIELD,
+    duration: durationTicks,
+    stacks: false,
+    data: { shieldHp: shieldAmount }
+  });
 }
 
 /**
  * Apply invisibility power-up to an enemy
  */
-function applyInvisibility(enemy, durationTicks, currentTick) {
+function applyInvisibility(enemy, durationTicks, effects) {
   if (!enemy.alive) return;
-  enemy.invisible = true;
-  enemy.invisibleUntil = currentTick + durationTicks;
+  effects.applyEffect(enemy.id, {
+    type: EFFECT_TYPES.INVISIBILITY,
+    duration: durationTicks,
+    stacks: false
+  });
 }
 
 /**
  * Apply speed boost power-up to an enemy
  */
-function applySpeedBoost(enemy, multiplier, durationTicks, currentTick) {
+function applySpeedBoost(enemy, multiplier, durationTicks, effects) {
   if (!enemy.alive) return;
-  enemy.speedBoosted = true;
-  enemy.speedBoostMultiplier = multiplier;
-  enemy.speedBoostUntil = currentTick + durationTicks;
+  effects.applyEffect(enemy.id, {
+    type: EFFECT_TYPES.SPEED_BOOST,
+    stat: 'speed',
+    modifier: multiplier,
+    duration: durationTicks,
+    stacks: false
+  });
 }
 
 /**
- * Apply slow effect to an enemy
+ * Freeze an enemy in place
  */
-function slowEnemy(enemy, slowAmount) {
-  if (!enemy.alive || enemy.leaked) {
-    return;
-  }
-  enemy.speedMultiplier = slowAmount;
+function freezeEnemy(enemy, durationTicks, effects) {
+  if (!enemy.alive || enemy.leaked) return;
+  effects.applyEffect(enemy.id, {
+    type: EFFECT_TYPES.FREEZE,
+    duration: durationTicks,
+    stacks: false
+  });
 }
 
 /**
- * Reset the enemy ID counter (for new matches)
+ * Apply slow effect to an enemy
+ * The slow wears off by SLOW_DECAY_RATE per tick until back to full speed.
  */
-function resetEnemyCounter() {
-  enemyIdCounter = 0;
+function slowEnemy(enemy, slowAmount, effects = null) {
+  if (!enemy.alive || enemy.leaked || !effects) {
+    return;
+  }
+  effects.applyEffect(enemy.id, {
+    type: EFFECT_TYPES.SLOW,
+    stat: 'speed',
+    modifier: slowAmount,
+    stacks: false,
+    data: { recoveryPerTick: SLOW_DECAY_RATE }
+  });
 }
 
 /**
  * Get enemy state for API response
+ * @param {Object} enemy - Enemy instance
+ * @param {EffectSystem|null} effects - Match effects (for power-up state)
  */
-function getEnemyState(enemy) {
+function getEnemyState(enemy, effects = null) {
+  const slow = effects && effects.getEffects(enemy.id).find(e => e.type === EFFECT_TYPES.SLOW);
+  const frozen = effects && effects.hasEffect(enemy.id, EFFECT_TYPES.FREEZE);
+
   return {
     id: enemy.id,
     type: enemy.type,
     hp: Math.round(enemy.hp),
     maxHp: enemy.maxHp,
     position: Math.round(enemy.position),
+    x: Math.round(enemy.x),
+    y: enemy.y === null ? null : Math.round(enemy.y),
+    lane: enemy.lane,
     speed: enemy.speed,
-    speedMultiplier: enemy.speedMultiplier,
+    speedMultiplier: frozen ? 0 : (slow ? slow.modifier : 1.0),
     // New fields
     armor: enemy.armor,
-    shieldHP: enemy.shieldHP,
-    invisible: enemy.invisible,
+    shieldHP: effects ? effects.getShieldHp(enemy) : 0,
+    invisible: effects ? !effects.isTargetable(enemy) : false,
     aura: enemy.aura,
-    auraRadius: enemy.auraRadius
+    auraRadius: enemy.auraRadius,
+    ...(enemy.flying && { flying: true }),
+    ...(isBurrowed(enemy) && { burrowed: true })
   };
 }
 
 module.exports = {
+  WAVE_OPTION_KEYS,
+  SPAWN_GROUP_LIMITS,
+  nextEnemyId,
   createEnemy,
   spawnWave,
+  isScheduledWave,
+  getWaveUnits,
+  getWaveGroups,
   moveEnemy,
   damageEnemy,
   slowEnemy,
-  resetEnemyCounter,
   getEnemyState,
   // New exports
   processEnemyAuras,
   processRegen,
   isTargetable,
+  isBurrowed,
+  splitEnemy,
+  processDisruptors,
   applyShield,
   applyInvisibility,
-  applySpeedBoost
+  applySpeedBoost,
+  freezeEnemy
 };
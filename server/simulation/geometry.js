@@ -0,0 +1,41 @@
+/**
+ * Geometry - Lane-aware distance helpers
+ *
+ * Towers and enemies carry a 2D point (x, y) on the match's map. On straight
+ * maps x is the distance along the road and y is the lane's Y position, so an
+ * entity on the other lane is further away than its x offset alone. On
+ * polyline maps (see path.js) the point follows the road's waypoints.
+ *
+ * Enemies without a lane on a straight map walk the shared centre road
+ * (y null), which towers on either lane cover (no lateral offset).
+ */
+
+/**
+ * Get the vertical distance between two lane positions
+ * @param {number|null} yA - First lane Y (null = shared road)
+ * @param {number|null} yB - Second lane Y (null = shared road)
+ * @returns {number} Lateral offset in path units
+ */
+function getLaneOffset(yA, yB) {
+  if (yA === null || yA === undefined || yB === null || yB === undefined) return 0;
+  return Math.abs(yA - yB);
+}
+
+/**
+ * Get the 2D distance between two lane positions
+ * @param {number} xA - First position along the path
+ * @param {number|null} yA - First lane Y
+ * @param {number} xB - Second position along the path
+ * @param {number|null} yB - Second lane Y
+ * @returns {number} Euclidean distance
+ */
+function getDistance(xA, yA, xB, yB) {
+  const dx = xA - xB;
+  const dy = getLaneOffset(yA, yB);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+module.exports = {
+  getLaneOffset,
+  getDistance
+};
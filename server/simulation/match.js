@@ -1,5 +1,4 @@
 const {
-  TICKS_PER_SECOND,
   TOTAL_WAVES,
   WAVE_TIMING,
   POWER_UP_DURATION,
@@ -8,69 +7,134 @@ const {
 const {
   spawnWave,
   moveEnemy,
-  resetEnemyCounter,
   getEnemyState,
   processEnemyAuras,
   processRegen,
   applyShield,
   applyInvisibility,
   applySpeedBoost,
-  damageEnemy
+  freezeEnemy,
+  damageEnemy,
+  splitEnemy,
+  processDisruptors
 } = require('./enemies');
+const { getDistance } = require('./geometry');
+const { EffectSystem } = require('./effect-system');
+const { getMap, DEFAULT_MAP_ID } = require('../config/maps');
+const { getConfig } = require('../config/game-config');
+const { generateSeed, createRng } = require('./rng');
 const {
   initializeTowersV2,
+  createTowerFreeFlow,
   processTower,
   getTowerState,
   calculateTowerBuffs,
-  resetTowerCounter
+  firstFreeTowerNumber,
+  nextTowerId
 } = require('./towers');
+const { openTurn, closeTurn } = require('./turns');
+const {
+  initEconomy,
+  creditKill,
+  creditLeak,
+  creditRush,
+  fundWave,
+  fundScheduledTowers,
+  startWaveLedger,
+  closeWaveLedger
+} = require('./economy');
+const { isSuddenDeath, initScoring, chargeLeak, decideWinner, scoreMatch } = require('./scoring');
+const { checkTrigger, selectTargets, checkConditions } = require('./power-up-triggers');
 
 /**
  * Create a new match instance with expanded features
+ * @param {string} matchId - Match identifier
+ * @param {Object} attacker - { agentId, build, interactive? }
+ * @param {Object} defender - { agentId, build, interactive? }
+ * @param {Object} options - { mapId, seed?, seriesId?, seriesGame?, seriesBestOf? }
+ *   (defaults to the default map and a random seed)
  */
-function createMatch(matchId, attacker, defender) {
-  resetEnemyCounter();
-  resetTowerCounter();
+function createMatch(matchId, attacker, defender, options = {}) {
+  const mapId = options.mapId || DEFAULT_MAP_ID;
+  const map = getMap(mapId);
+  if (!map) {
+    throw new Error(`Unknown map: ${mapId}`);
+  }
 
-  return {
+  const seed = options.seed ?? generateSeed();
+
+  const match = {
     matchId,
     status: 'pending',
+    mapId,
+    map,
+    // Seed + builds + config version reproduce the match (see replay.js)
+    seed,
+    rng: createRng(seed),
+    configVersion: getConfig().version,
+    builds: structuredClone({ attack: attacker.build, defense: defender.build }),
+    // Best-of-N series this match is a game of (see series.js)
+    seriesId: options.seriesId || null,
+    seriesGame: options.seriesGame || null,
+    seriesBestOf: options.seriesBestOf || null,
+    // Interactive matches pause between waves for agent turns (see turns.js)
+    interactive: !!(attacker.interactive || defender.interactive),
+    turn: null,
+    turnLog: [],  // Applied turns, in order: [{ wave, side, turn }]
     attacker: {
       agentId: attacker.agentId,
       build: attacker.build,
+      interactive: !!attacker.interactive,
       leaked: 0,
       totalEnemies: 0,
       // New: Wave timing and power-ups
       waveTimings: attacker.build.waveTimings || [],
       powerUps: attacker.build.powerUps || [],
       powerUpsUsed: 0,
+      pendingPowerUps: [],  // This wave's power-ups waiting on their trigger
       rushBonus: 0
     },
     defender: {
       agentId: defender.agentId,
       build: defender.build,
+      interactive: !!defender.interactive,
       kills: 0,
       damageDealt: 0,
       // New: Power-ups
       powerUps: defender.build.powerUps || [],
       powerUpsUsed: 0,
+      pendingPowerUps: [],  // This wave's power-ups waiting on their conditions
       activePowerUps: []  // Currently active power-up effects
     },
     currentWave: 0,
     totalWaves: TOTAL_WAVES,
     tick: 0,
     enemies: [],
-    towers: initializeTowersV2(defender.build),
+    towers: initializeTowersV2(defender.build, map),
+    // Per-match ID counters (see nextEnemyId / nextTowerId)
+    nextEnemyId: 0,
+    nextTowerId: 0,  // Set after the starting towers below
     towerBuffs: {},  // Cache of tower buffs from support towers
+    effects: new EffectSystem(),  // Shields, slows, freeze, invisibility, speed boosts
     events: [],
     waveBreakdown: [],
     winner: null,
+    score: null,  // Set when the match ends (see scoring.js)
     startTime: null,
     endTime: null,
     // Wave timing state
+    waveStartTick: 0,
     lastWaveEndTick: 0,
     speed: 1
   };
+
+  match.nextTowerId = firstFreeTowerNumber(match.towers);
+
+  // Banks, bounties and income (see economy.js)
+  initEconomy(match);
+  // Defender lives in lives scoring mode
+  initScoring(match);
+  return match;
 }
 
 /**
@@ -80,6 +144,12 @@ function getMatchState(match) {
   return {
     matchId: match.matchId,
     status: match.status,
+    mapId: match.mapId,
+    ...(match.seriesId && { seriesId: match.seriesId, seriesGame: match.seriesGame }),
+    interactive: match.interactive,
+    turn: match.turn && match.turn.status === 'open'
+      ? { wave: match.turn.wave, deadline: match.turn.deadline }
+      : null,
     winner: match.winner,  // Include winner for completed matches
     currentWave: match.currentWave,
     totalWaves: match.totalWaves,
@@ -87,17 +157,22 @@ function getMatchState(match) {
     attacker: {
       agentId: match.attacker.agentId,
       leaked: match.attacker.leaked,
-      rushBonus: match.attacker.rushBonus
+      rushBonus: match.attacker.rushBonus,
+      bank: match.attacker.bank
     },
     defender: {
       agentId: match.defender.agentId,
       kills: match.defender.kills,
+      bank: match.defender.bank,
+      ...(match.defender.lives !== undefined && { lives: match.defender.lives }),
       activePowerUps: match.defender.activePowerUps.map(p => ({
         type: p.type,
         endsAt: p.endsAt
       }))
     },
-    enemies: match.enemies.filter(e => e.alive && !e.leaked).map(getEnemyState),
+    enemies: match.enemies
+      .filter(e => e.alive && !e.leaked)
+      .map(e => getEnemyState(e, match.effects)),
     towers: match.towers.map(getTowerState),
     events: match.events.slice(-20)
   };
@@ -114,19 +189,27 @@ function getMatchResults(match) {
   return {
     matchId: match.matchId,
     status: match.status,
+    mapId: match.mapId,
+    configVersion: match.configVersion,
+    ...(match.seriesId && { seriesId: match.seriesId, seriesGame: match.seriesGame }),
     winner: match.winner,
+    score: match.score,
     durationSeconds: duration,
     wavesCompleted: match.currentWave,
     attacker: {
       agentId: match.attacker.agentId,
       totalEnemies: match.attacker.totalEnemies,
       leaked: match.attacker.leaked,
-      rushBonus: match.attacker.rushBonus
+      rushBonus: match.attacker.rushBonus,
+      bank: match.attacker.bank,
+      earned: match.attacker.earned
     },
     defender: {
       agentId: match.defender.agentId,
       totalKills: match.defender.kills,
-      damageDealt: match.defender.damageDealt
+      damageDealt: match.defender.damageDealt,
+      bank: match.defender.bank,
+      earned: match.defender.earned
     },
     waveBreakdown: match.waveBreakdown,
     replayUrl: `/replay/${match.matchId}`
@@ -134,40 +217,84 @@ function getMatchResults(match) {
 }
 
 /**
- * Process defender power-ups (check for expiration, apply effects)
+ * Process defender power-ups (check for expiration)
+ * Freeze itself is an effect on each enemy; damage boost is applied in
+ * tower processing via towerBuffs; a reinforcement's tower is removed when
+ * it ends.
+ * @param {Object} match - Match state
+ * @param {Array} tickEvents - Events for this tick
+ * @param {boolean} waveOver - End reinforcements early (their wave is over)
  */
-function processDefenderPowerUps(match, tickEvents) {
+function processDefenderPowerUps(match, tickEvents, waveOver = false) {
   const activePowerUps = match.defender.activePowerUps;
 
   // Process each active power-up
   for (let i = activePowerUps.length - 1; i >= 0; i--) {
     const powerUp = activePowerUps[i];
+    const reinforcementOver = waveOver && powerUp.type === 'reinforcement';
 
     // Check if expired
-    if (match.tick >= powerUp.endsAt) {
+    if (match.tick >= powerUp.endsAt || reinforcementOver) {
       tickEvents.push({
         tick: match.tick,
         type: 'powerup_end',
         powerUp: powerUp.type,
         side: 'defender'
       });
+      if (powerUp.type === 'reinforcement') {
+        removeReinforcement(match, powerUp.towerId, tickEvents);
+      }
       activePowerUps.splice(i, 1);
-      continue;
     }
+  }
+}
 
-    // Apply ongoing effects
-    switch (powerUp.type) {
-      case 'freeze':
-        // Freeze all enemies
-        for (const enemy of match.enemies) {
-          if (enemy.alive && !enemy.leaked) {
-            enemy.speedMultiplier = 0;
-          }
-        }
-        break;
-      case 'damageBoost':
-        // Damage boost is applied in tower processing via towerBuffs
-        break;
+/**
+ * Build a reinforcement's temporary tower
+ * The build may pick the tower type and where it stands; otherwise the
+ * config's default tower and position are used (see validateReinforcement).
+ * @returns {Object} The new tower
+ */
+function spawnReinforcement(match, powerUp, duration, tickEvents) {
+  const defaults = POWER_UP_EFFECTS.reinforcement;
+  const tower = createTowerFreeFlow({
+    type: powerUp.tower ?? defaults.type,
+    x: powerUp.x ?? defaults.position,
+    y: powerUp.y,
+    lane: powerUp.lane ?? defaults.lane
+  }, nextTowerId(match), match.map);
+  tower.expiresAt = match.tick + duration;
+
+  match.towers.push(tower);
+  match.towers.sort((a, b) => a.position - b.position);
+  tickEvents.push({ tick: match.tick, type: 'tower_add', source: 'reinforcement', tower: getTowerState(tower) });
+  return tower;
+}
+
+/**
+ * Remove a reinforcement's temporary tower
+ */
+function removeReinforcement(match, towerId, tickEvents) {
+  const index = match.towers.findIndex(t => t.id === towerId);
+  if (index === -1) return;
+
+  match.towers.splice(index, 1);
+  tickEvents.push({ tick: match.tick, type: 'tower_expire', tower: towerId });
+}
+
+/**
+ * Fire the current wave's defender power-ups whose `when` conditions hold
+ * (see power-up-triggers.js)
+ */
+function fireDefenderPowerUps(match, tickEvents) {
+  const pending = match.defender.pendingPowerUps;
+  if (pending.length === 0) return;
+
+  const alive = match.enemies.filter(e => e.alive && !e.leaked);
+  for (let i = 0; i < pending.length; i++) {
+    if (checkConditions(pending[i].when, alive, match.towers)) {
+      activateDefenderPowerUp(match, pending[i], tickEvents);
+      pending.splice(i--, 1);
     }
   }
 }
@@ -182,13 +309,23 @@ function activateDefenderPowerUp(match, powerUp, tickEvents) {
     tick: match.tick,
     type: 'powerup_start',
     powerUp: powerUp.type,
-    side: 'defender'
+    side: 'defender',
+    ...(powerUp.when && { when: powerUp.when })
   });
 
   match.defender.powerUpsUsed++;
 
   switch (powerUp.type) {
     case 'freeze':
+      for (const enemy of match.enemies) {
+        freezeEnemy(enemy, duration, match.effects);
+      }
+      match.defender.activePowerUps.push({
+        type: powerUp.type,
+        endsAt: match.tick + duration
+      });
+      break;
+
     case 'damageBoost':
       // Duration-based power-ups
       match.defender.activePowerUps.push({
@@ -207,7 +344,7 @@ function activateDefenderPowerUp(match, powerUp, tickEvents) {
 
       for (let i = 0; i < Math.min(effect.jumps, sortedEnemies.length); i++) {
         const enemy = sortedEnemies[i];
-        const killed = damageEnemy(enemy, damage);
+        const killed = damageEnemy(enemy, damage, 0, match.effects);
 
         tickEvents.push({
           tick: match.tick,
@@ -219,6 +356,7 @@ function activateDefenderPowerUp(match, powerUp, tickEvents) {
 
         if (killed) {
           match.defender.kills++;
+          creditKill(match, enemy);
           tickEvents.push({
             tick: match.tick,
             type: 'kill',
@@ -232,57 +370,96 @@ function activateDefenderPowerUp(match, powerUp, tickEvents) {
       break;
 
     case 'reinforcement':
-      // Spawn temporary tower - handled separately
-      // For now, add a damage boost effect
+      // Configs before 0.7.0 boost tower damage instead of building a tower
+      if (!POWER_UP_EFFECTS.reinforcement.lane) {
+        match.defender.activePowerUps.push({
+          type: 'damageBoost',
+          endsAt: match.tick + duration
+        });
+        break;
+      }
+
+      // Temporary tower until the power-up ends (or its wave does)
       match.defender.activePowerUps.push({
-        type: 'damageBoost',
-        endsAt: match.tick + duration
+        type: powerUp.type,
+        endsAt: match.tick + duration,
+        towerId: spawnReinforcement(match, powerUp, duration, tickEvents).id
       });
       break;
   }
 }
 
+/**
+ * Fire the current wave's attacker power-ups whose trigger has been met
+ * (see power-up-triggers.js)
+ */
+function processAttackerPowerUps(match, tickEvents) {
+  const pending = match.attacker.pendingPowerUps;
+  if (pending.length === 0) return;
+
+  const alive = match.enemies.filter(e => e.alive && !e.leaked);
+  const ticksIntoWave = match.tick - match.waveStartTick;
+
+  for (let i = 0; i < pending.length; i++) {
+    const trigger = checkTrigger(pending[i], alive, ticksIntoWave);
+    if (trigger.fired) {
+      applyAttackerPowerUp(match, pending[i], trigger.enemy, tickEvents);
+      pending.splice(i--, 1);
+    }
+  }
+}
+
 /**
  * Apply attacker power-up to enemies in current wave
+ * @param {Object} match - Match state
+ * @param {Object} powerUp - { type, wave, triggerAt?, target? }
+ * @param {Object|null} triggeredBy - Enemy that set off the trigger
+ * @param {Array} tickEvents - Events for this tick
  */
-function applyAttackerPowerUp(match, powerUp, tickEvents) {
+function applyAttackerPowerUp(match, powerUp, triggeredBy, tickEvents) {
+  const targets = selectTargets(powerUp.target, triggeredBy, match.enemies);
+
   tickEvents.push({
     tick: match.tick,
     type: 'powerup_start',
     powerUp: powerUp.type,
-    side: 'attacker'
+    side: 'attacker',
+    targets: targets.map(e => e.id)
   });
 
   match.attacker.powerUpsUsed++;
 
-  // Find target enemy or apply to all/first
-  const aliveEnemies = match.enemies.filter(e => e.alive && !e.leaked);
-  if (aliveEnemies.length === 0) return;
-
-  // Target first enemy if no specific target
-  const target = aliveEnemies[0];
+  // No target left (e.g. it was killed first): the power-up is spent
+  if (targets.length === 0) return;
 
   switch (powerUp.type) {
     case 'shield':
-      applyShield(target, 50);  // 50 HP shield
+      for (const target of targets) {
+        applyShield(target, 50, POWER_UP_DURATION.shield, match.effects);  // 50 HP shield
+      }
       break;
 
     case 'speedBoost':
       const boostDuration = POWER_UP_DURATION.speedBoost;
       const boostMultiplier = POWER_UP_EFFECTS.speedBoost;
-      applySpeedBoost(target, boostMultiplier, boostDuration, match.tick);
+      for (const target of targets) {
+        applySpeedBoost(target, boostMultiplier, boostDuration, match.effects);
+      }
       break;
 
     case 'invisibility':
       const invisDuration = POWER_UP_DURATION.invisibility;
-      applyInvisibility(target, invisDuration, match.tick);
+      for (const target of targets) {
+        applyInvisibility(target, invisDuration, match.effects);
+      }
       break;
 
     case 'healPulse':
-      // Heal all nearby enemies
+      // Heal all enemies near the main target
       const effect = POWER_UP_EFFECTS.healPulse;
-      for (const enemy of aliveEnemies) {
-        if (Math.abs(enemy.position - target.position) <= effect.radius) {
+      const center = targets[0];
+      for (const enemy of match.enemies.filter(e => e.alive && !e.leaked)) {
+        if (getDistance(enemy.x, enemy.y, center.x, center.y) <= effect.radius) {
           enemy.hp = Math.min(enemy.maxHp, enemy.hp + effect.amount);
         }
       }
@@ -290,6 +467,52 @@ function applyAttackerPowerUp(match, powerUp, tickEvents) {
   }
 }
 
+/**
+ * Spawn the children of splitters killed since the last check
+ * Children join the current wave (and its spawn count) where the splitter died.
+ */
+function processSplits(match, tickEvents) {
+  const fallen = match.enemies.filter(e => e.splitCount > 0 && !e.alive && !e.split);
+
+  for (const enemy of fallen) {
+    const children = splitEnemy(enemy, match);
+    match.enemies.push(...children);
+    match.attacker.totalEnemies += children.length;
+
+    tickEvents.push({
+      tick: match.tick,
+      type: 'split',
+      enemy: enemy.id,
+      children: children.map(child => child.id)
+    });
+    for (const child of children) {
+      tickEvents.push({
+        ...createSpawnEvent(match, child),
+        parent: enemy.id,
+        position: Math.round(child.position)
+      });
+    }
+  }
+}
+
+/**
+ * Build the spawn event for an enemy joining the wave
+ */
+function createSpawnEvent(match, enemy) {
+  return {
+    tick: match.tick,
+    type: 'spawn',
+    enemy: enemy.id,
+    enemyType: enemy.type,
+    lane: enemy.lane,
+    health: enemy.maxHp,
+    speed: enemy.speed,
+    armor: enemy.armor,
+    aura: enemy.aura,
+    ...(enemy.spawnDelay > 0 && { delay: enemy.spawnDelay })
+  };
+}
+
 /**
  * Process a single tick of the match
  */
@@ -297,7 +520,8 @@ function tick(match) {
   match.tick++;
   const tickEvents = [];
 
-  // 1. Process defender power-ups (freeze, damage boost expiration)
+  // 1. Expire effects and defender power-ups (freeze, damage boost)
+  match.effects.tick();
   processDefenderPowerUps(match, tickEvents);
 
   // 2. Process enemy auras (heal, armor, resistance)
@@ -306,21 +530,30 @@ function tick(match) {
   // 3. Process enemy regeneration
   processRegen(match.enemies);
 
-  // 4. Move all enemies (with current tick for state expiration)
+  // 4. Move all enemies (slow, freeze and speed boost effects apply)
   for (const enemy of match.enemies) {
-    const leaked = moveEnemy(enemy, match.tick);
+    const leaked = moveEnemy(enemy, match.effects, match.map);
     if (leaked) {
       match.attacker.leaked++;
+      creditLeak(match, enemy);
+      const livesLost = chargeLeak(match, enemy);
       tickEvents.push({
         tick: match.tick,
         type: 'leak',
-        enemy: enemy.id
+        enemy: enemy.id,
+        ...(livesLost > 0 && { livesLost })
       });
     }
   }
 
-  // 5. Calculate tower buffs from support towers
-  match.towerBuffs = calculateTowerBuffs(match.towers);
+  // 5. Fire defender power-ups whose conditions now hold (before towers act)
+  fireDefenderPowerUps(match, tickEvents);
+
+  // 6. Let disruptors disable nearby towers
+  tickEvents.push(...processDisruptors(match.enemies, match.towers, match.tick));
+
+  // 7. Calculate tower buffs from support towers
+  match.towerBuffs = calculateTowerBuffs(match.towers, match.map);
 
   // Apply damage boost from defender power-up
   const hasDamageBoost = match.defender.activePowerUps.some(p => p.type === 'damageBoost');
@@ -330,10 +563,10 @@ function tick(match) {
     }
   }
 
-  // 6. Process all towers with buffs
+  // 8. Process all towers with buffs
   for (const tower of match.towers) {
     const buff = match.towerBuffs[tower.id] || { damageMultiplier: 1.0 };
-    const events = processTower(tower, match.enemies, match.tick, buff);
+    const events = processTower(tower, match.enemies, match.tick, buff, match.effects);
     tickEvents.push(...events);
 
     // Track stats
@@ -343,10 +576,17 @@ function tick(match) {
       }
       if (event.type === 'kill') {
         match.defender.kills++;
+        creditKill(match, match.enemies.find(e => e.id === event.enemy));
       }
     }
   }
 
+  // 9. Split fallen splitters into their children
+  processSplits(match, tickEvents);
+
+  // 10. Fire attacker power-ups whose trigger was met (position, HP, time)
+  processAttackerPowerUps(match, tickEvents);
+
   // Add events to match history
   match.events.push(...tickEvents);
 
@@ -364,9 +604,9 @@ function isWaveComplete(match) {
  * Run a complete wave with timing support
  */
 function* runWave(match, waveIndex) {
-  const waveConfig = match.attacker.build.waves[waveIndex];
   const waveTiming = match.attacker.waveTimings[waveIndex] || {};
   match.currentWave = waveIndex + 1;
+  startWaveLedger(match);
 
   // Calculate rush bonus if applicable
   if (waveIndex > 0 && waveTiming.rush) {
@@ -378,6 +618,7 @@ function* runWave(match, waveIndex) {
         WAVE_TIMING.maxRushBonus
       );
       match.attacker.rushBonus += bonus;
+      creditRush(match, bonus);
 
       match.events.push({
         tick: match.tick,
@@ -389,8 +630,14 @@ function* runWave(match, waveIndex) {
     }
   }
 
+  // Pay for bank-funded towers and units (the bank may trim the wave)
+  const fundingEvents = [];
+  fundScheduledTowers(match, match.currentWave, fundingEvents);
+  const waveConfig = fundWave(match, match.attacker.build.waves[waveIndex], fundingEvents);
+  match.events.push(...fundingEvents);
+
   // Spawn enemies for this wave
-  match.enemies = spawnWave(waveConfig);
+  match.enemies = spawnWave(waveConfig, match);
   const spawnedCount = match.enemies.length;
   match.attacker.totalEnemies += spawnedCount;
 
@@ -404,33 +651,21 @@ function* runWave(match, waveIndex) {
 
   // Generate spawn events with enhanced details
   for (const enemy of match.enemies) {
-    match.events.push({
-      tick: match.tick,
-      type: 'spawn',
-      enemy: enemy.id,
-      enemyType: enemy.type,
-      health: enemy.maxHp,
-      speed: enemy.speed,
-      armor: enemy.armor,
-      aura: enemy.aura
-    });
+    match.events.push(createSpawnEvent(match, enemy));
   }
 
-  // Apply attacker power-ups for this wave
-  const attackerPowerUps = match.attacker.powerUps.filter(p => p.wave === match.currentWave);
-  for (const powerUp of attackerPowerUps) {
-    const tickEvents = [];
-    applyAttackerPowerUp(match, powerUp, tickEvents);
-    match.events.push(...tickEvents);
-  }
+  // Queue attacker power-ups for this wave; untimed ones fire at spawn
+  match.waveStartTick = match.tick;
+  match.attacker.pendingPowerUps = match.attacker.powerUps.filter(p => p.wave === match.currentWave);
+  const attackerEvents = [];
+  processAttackerPowerUps(match, attackerEvents);
+  match.events.push(...attackerEvents);
 
-  // Apply defender power-ups for this wave
-  const defenderPowerUps = match.defender.powerUps.filter(p => p.wave === match.currentWave);
-  for (const powerUp of defenderPowerUps) {
-    const tickEvents = [];
-    activateDefenderPowerUp(match, powerUp, tickEvents);
-    match.events.push(...tickEvents);
-  }
+  // Queue defender power-ups for this wave; unconditional ones fire at spawn
+  match.defender.pendingPowerUps = match.defender.powerUps.filter(p => p.wave === match.currentWave);
+  const defenderEvents = [];
+  fireDefenderPowerUps(match, defenderEvents);
+  match.events.push(...defenderEvents);
 
   // Track wave stats
   const waveStats = {
@@ -439,28 +674,52 @@ function* runWave(match, waveIndex) {
     killed: 0,
     leaked: 0
   };
+  const leakedBefore = match.attacker.leaked;
+  const livesLostBefore = match.defender.livesLost;
 
   // Run until wave is complete
   while (!isWaveComplete(match)) {
     tick(match);
     yield getMatchState(match);
 
-    // Check for attacker win (any leak)
-    if (match.attacker.leaked > 0) {
+    // Sudden death: any leak ends the match
+    if (isSuddenDeath() && match.attacker.leaked > 0) {
+      waveStats.spawned = match.enemies.length;
       waveStats.leaked = match.attacker.leaked;
       waveStats.killed = match.defender.kills - (match.waveBreakdown.reduce((sum, w) => sum + w.killed, 0));
+      closeWaveLedger(match, waveStats);
       match.waveBreakdown.push(waveStats);
       return;
     }
   }
 
-  // Wave complete - record stats and timing
-  waveStats.killed = spawnedCount;
-  waveStats.leaked = 0;
+  // Wave complete - reinforcements leave with it
+  const endEvents = [];
+  processDefenderPowerUps(match, endEvents, true);
+  match.events.push(...endEvents);
+
+  // Record stats and timing (splitter children count as spawned)
+  waveStats.spawned = match.enemies.length;
+  waveStats.leaked = match.attacker.leaked - leakedBefore;
+  waveStats.killed = waveStats.spawned - waveStats.leaked;
+  if (!isSuddenDeath()) {
+    waveStats.livesLost = match.defender.livesLost - livesLostBefore;
+  }
+  closeWaveLedger(match, waveStats);
   match.waveBreakdown.push(waveStats);
   match.lastWaveEndTick = match.tick;
 }
 
+/**
+ * End a match: decide the winner and score it
+ */
+function finishMatch(match) {
+  match.winner = decideWinner(match);
+  match.score = scoreMatch(match);
+  match.status = 'complete';
+  match.endTime = Date.now();
+}
+
 /**
  * Run a complete match
  */
@@ -473,58 +732,32 @@ function* runMatch(match) {
     // Yield between waves for spectator updates
     yield getMatchState(match);
 
+    // Interactive matches: hold for agent turns before every later wave
+    // (the runner waits on this yield until the turn is ready)
+    if (match.interactive && waveIndex > 0) {
+      openTurn(match, waveIndex);
+      yield getMatchState(match);
+      closeTurn(match);
+    }
+
     // Run the wave
     for (const state of runWave(match, waveIndex)) {
       yield state;
     }
 
-    // Check for attacker win
-    if (match.attacker.leaked > 0) {
-      match.winner = 'attacker';
-      match.status = 'complete';
-      match.endTime = Date.now();
+    // Sudden death: a leak wins the match for the attacker
+    if (isSuddenDeath() && match.attacker.leaked > 0) {
+      finishMatch(match);
       yield getMatchState(match);
       return;
     }
   }
 
-  // All waves complete - defender wins
-  match.winner = 'defender';
-  match.status = 'complete';
-  match.endTime = Date.now();
+  // All waves played out
+  finishMatch(match);
   yield getMatchState(match);
 }
 
-/**
- * Run match at specified ticks per second (for real-time playback)
- */
-function runMatchRealtime(match, onTick, speed = 1) {
-  match.speed = speed;
-
-  return new Promise((resolve) => {
-    const generator = runMatch(match);
-
-    function processNextTick() {
-      const result = generator.next();
-
-      if (result.done) {
-        resolve(getMatchResults(match));
-        return;
-      }
-
-      if (onTick) {
-        onTick(result.value);
-      }
-
-      const currentSpeed = match.speed || 1;
-      const tickInterval = 1000 / (TICKS_PER_SECOND * currentSpeed);
-      setTimeout(processNextTick, tickInterval);
-    }
-
-    processNextTick();
-  });
-}
-
 /**
  * Run match instantly (for testing/results only)
  */
@@ -546,7 +779,6 @@ module.exports = {
   getMatchState,
   getMatchResults,
   runMatch,
-  runMatchRealtime,
   runMatchInstant,
   tick,
   isWaveComplete
@@ -0,0 +1,132 @@
+/**
+ * Path - Waypoint polylines that enemies walk
+ *
+ * Maps describe each lane's road in pathSegments. A segment is either:
+ * - straight: { laneId, startX, endX } - the classic parallel-lane road,
+ *   where position along the road is simply x
+ * - polyline: { laneId, waypoints: [{ x, y }, ...] } - a road with bends and
+ *   switchbacks, where position is arc length along the waypoints
+ *
+ * Enemies keep a 1D position (distance travelled); this module turns it into
+ * a 2D point so tower range can be measured in real Euclidean distance.
+ */
+
+// Routes built per map (map object -> laneId -> route)
+const routeCache = new WeakMap();
+
+/**
+ * Check whether a map uses waypoint polylines
+ * @param {Object} map - Map configuration
+ * @returns {boolean}
+ */
+function isPolylineMap(map) {
+  return (map.pathSegments || []).some(segment => Array.isArray(segment.waypoints));
+}
+
+/**
+ * Build a route from waypoints, precomputing cumulative segment lengths
+ * @param {Array} waypoints - [{ x, y }, ...] (at least two points)
+ * @returns {Object} { waypoints, distances, length }
+ */
+function buildRoute(waypoints) {
+  const distances = [0];
+  for (let i = 1; i < waypoints.length; i++) {
+    const dx = waypoints[i].x - waypoints[i - 1].x;
+    const dy = waypoints[i].y - waypoints[i - 1].y;
+    distances.push(distances[i - 1] + Math.sqrt(dx * dx + dy * dy));
+  }
+
+  return {
+    waypoints,
+    distances,
+    length: distances[distances.length - 1]
+  };
+}
+
+/**
+ * Get the polyline route for a lane (null on straight maps)
+ * Lane-less enemies walk the first segment's road.
+ * @param {Object} map - Map configuration
+ * @param {string|null} laneId - Lane identifier
+ * @returns {Object|null} Route or null for straight roads
+ */
+function getRoute(map, laneId = null) {
+  if (!isPolylineMap(map)) return null;
+
+  if (!routeCache.has(map)) {
+    routeCache.set(map, new Map());
+  }
+  const routes = routeCache.get(map);
+  const key = laneId || '';
+
+  if (!routes.has(key)) {
+    const segment = map.pathSegments.find(s => s.laneId === laneId && s.waypoints) ||
+      map.pathSegments.find(s => s.waypoints);
+    routes.set(key, buildRoute(segment.waypoints));
+  }
+
+  return routes.get(key);
+}
+
+/**
+ * Get the 2D point at a distance along a route
+ * Distances before the start (enemies queued off-screen) extend back along
+ * the first segment; distances past the end extend along the last one.
+ * @param {Object} route - Route from buildRoute
+ * @param {number} distance - Arc length along the route
+ * @returns {Object} { x, y }
+ */
+function pointAt(route, distance) {
+  const { waypoints, distances } = route;
+  const last = waypoints.length - 1;
+
+  let i = 1;
+  while (i < last && distances[i] < distance) {
+    i++;
+  }
+
+  const from = waypoints[i - 1];
+  const to = waypoints[i];
+  const segmentLength = distances[i] - distances[i - 1];
+  const t = segmentLength > 0 ? (distance - distances[i - 1]) / segmentLength : 0;
+
+  return {
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t
+  };
+}
+
+/**
+ * Get the shortest distance from a point to a route
+ * @param {Object} route - Route from buildRoute
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @returns {number} Distance to the nearest point on the road
+ */
+function distanceToRoute(route, x, y) {
+  let best = Infinity;
+
+  for (let i = 1; i < route.waypoints.length; i++) {
+    const a = route.waypoints[i - 1];
+    const b = route.waypoints[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+      ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq))
+      : 0;
+    const px = a.x + dx * t - x;
+    const py = a.y + dy * t - y;
+    best = Math.min(best, Math.sqrt(px * px + py * py));
+  }
+
+  return best;
+}
+
+module.exports = {
+  isPolylineMap,
+  buildRoute,
+  getRoute,
+  pointAt,
+  distanceToRoute
+};
@@ -0,0 +1,157 @@
+/**
+ * Power-up Triggers - When and on whom power-ups fire
+ *
+ * Attackers: an attacker power-up is planned for a wave and, by default,
+ * fires as the wave spawns, on the wave's first enemy. A build can hold it
+ * back with `triggerAt` and aim it with `target`:
+ *
+ *   triggerAt: { tick: 240 }       240 ticks after the wave spawns
+ *              { position: 400 }   when the lead enemy has come 400 along the
+ *                                  road (the x coordinate on straight maps)
+ *              { hpBelow: 0.5 }    when an enemy drops below 50% of its max HP
+ *
+ *   target:    { index: 2 }        the wave's third enemy, in spawn order
+ *              { type: 'boss' }    the lead enemy of that type
+ *              { radius: 150 }     every enemy within 150 of the triggering one
+ *
+ * Without a target the power-up lands on the enemy that triggered it: the
+ * lead enemy for `position`, the wounded one for `hpBelow`, and the first
+ * enemy still alive otherwise. A power-up whose trigger never fires before
+ * its wave ends is not used.
+ *
+ * Defenders: a defender power-up fires as its wave spawns unless it has
+ * `when` conditions, which are checked every tick of its wave and must all
+ * hold at once:
+ *
+ *   when: { enemyPastX: 700 }      an enemy has come 700 along the road
+ *         { enemiesInRange: 4 }    at least 4 enemies are in some tower's range
+ *         { bossAlive: true }      a boss is on the road (false: none is)
+ *
+ * As with attackers, a power-up whose conditions never hold in its wave is
+ * not used.
+ */
+
+const { getDistance } = require('./geometry');
+const { isInRange } = require('./towers');
+
+// Allowed values per trigger, target and condition kind
+const TRIGGER_LIMITS = {
+  tick: { min: 0, max: 3600 },
+  position: { min: 0, max: 5000 },
+  hpBelow: { min: 0.01, max: 1 },
+  index: { min: 0, max: 199 },
+  radius: { min: 1, max: 1000 },
+  enemyPastX: { min: 0, max: 5000 },
+  enemiesInRange: { min: 1, max: 200 }
+};
+
+const TRIGGER_KINDS = ['tick', 'position', 'hpBelow'];
+const TARGET_KINDS = ['index', 'type', 'radius'];
+const CONDITION_KINDS = ['enemyPastX', 'enemiesInRange', 'bossAlive'];
+
+/**
+ * Whether an enemy counts as a unit type (swarm units count as 'swarm',
+ * splitter children as 'splitter')
+ */
+function isEnemyType(enemy, type) {
+  return enemy.type === type ||
+    (type === 'swarm' && enemy.type === 'swarm_unit') ||
+    (type === 'splitter' && enemy.type === 'splitter_child');
+}
+
+/**
+ * Get the enemy furthest along the road
+ */
+function getLeadEnemy(enemies) {
+  return enemies.reduce((lead, e) => (!lead || e.position > lead.position ? e : lead), null);
+}
+
+/**
+ * Check whether a power-up's trigger has fired
+ * @param {Object} powerUp - Planned power-up { type, wave, triggerAt?, target? }
+ * @param {Array} alive - The wave's enemies still alive and on the road
+ * @param {number} ticksIntoWave - Ticks since the wave spawned
+ * @returns {Object} { fired, enemy } - enemy is the one that set it off (may be null)
+ */
+function checkTrigger(powerUp, alive, ticksIntoWave) {
+  const trigger = powerUp.triggerAt;
+
+  if (!trigger) {
+    return { fired: true, enemy: alive[0] || null };
+  }
+  if (trigger.tick !== undefined) {
+    return { fired: ticksIntoWave >= trigger.tick, enemy: alive[0] || null };
+  }
+  if (trigger.position !== undefined) {
+    const lead = getLeadEnemy(alive);
+    return { fired: !!lead && lead.position >= trigger.position, enemy: lead };
+  }
+
+  const wounded = alive.find(e => e.hp / e.maxHp < trigger.hpBelow) || null;
+  return { fired: !!wounded, enemy: wounded };
+}
+
+/**
+ * Pick a fired power-up's targets
+ * @param {Object|undefined} target - The power-up's target option
+ * @param {Object|null} triggeredBy - Enemy that set off the trigger
+ * @param {Array} waveEnemies - Every enemy of the wave, in spawn order
+ * @returns {Array} Targets, the main one first (empty if none is left)
+ */
+function selectTargets(target, triggeredBy, waveEnemies) {
+  const isAlive = e => e && e.alive && !e.leaked;
+
+  if (!target) {
+    return isAlive(triggeredBy) ? [triggeredBy] : [];
+  }
+  if (target.index !== undefined) {
+    const enemy = waveEnemies[target.index];
+    return isAlive(enemy) ? [enemy] : [];
+  }
+  if (target.type !== undefined) {
+    const lead = getLeadEnemy(waveEnemies.filter(e => isAlive(e) && isEnemyType(e, target.type)));
+    return lead ? [lead] : [];
+  }
+
+  if (!isAlive(triggeredBy)) return [];
+  const nearby = waveEnemies.filter(e =>
+    e !== triggeredBy && isAlive(e) &&
+    getDistance(e.x, e.y, triggeredBy.x, triggeredBy.y) <= target.radius
+  );
+  return [triggeredBy, ...nearby];
+}
+
+/**
+ * Check whether a defender power-up's `when` conditions all hold
+ * @param {Object|undefined} when - The power-up's conditions (none = fire at once)
+ * @param {Array} alive - The wave's enemies still alive and on the road
+ * @param {Array} towers - The defender's towers
+ * @returns {boolean}
+ */
+function checkConditions(when, alive, towers) {
+  if (!when) return true;
+
+  if (when.enemyPastX !== undefined) {
+    const lead = getLeadEnemy(alive);
+    if (!lead || lead.position < when.enemyPastX) return false;
+  }
+  if (when.enemiesInRange !== undefined) {
+    const inRange = alive.filter(e => towers.some(tower => isInRange(tower, e))).length;
+    if (inRange < when.enemiesInRange) return false;
+  }
+  if (when.bossAlive !== undefined && alive.some(e => e.type === 'boss') !== when.bossAlive) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  TRIGGER_LIMITS,
+  TRIGGER_KINDS,
+  TARGET_KINDS,
+  CONDITION_KINDS,
+  checkTrigger,
+  selectTargets,
+  checkConditions
+};
@@ -0,0 +1,130 @@
+/**
+ * Replay - Re-simulate stored matches
+ *
+ * Every stored match keeps its seed, both submitted builds, the config
+ * version it ran under and, for interactive matches, the turns that were
+ * applied. Feeding those back through the engine, bound to the match's
+ * config version (see config/versions.js), regenerates the complete
+ * tick-accurate event stream, so replays don't depend on stored event logs.
+ *
+ * Wall-clock values (start/end times, turn deadlines) are not reproduced.
+ */
+
+const { loadEngine, hasConfigVersion, getCurrentVersion } = require('../config/versions');
+
+// Ticks a re-simulation may run before it is abandoned. Real matches end far
+// sooner; a patched config (see analysis/impact.js) could otherwise leave a
+// wave that never ends and block the event loop.
+const MAX_RESIMULATED_TICKS = 100000;
+
+// Outcome fields a re-simulation must reproduce: [name, stored, simulated]
+const VERIFIED_FIELDS = [
+  ['winner', r => r.winner, m => m.winner],
+  ['score', r => r.score, m => m.score],
+  ['wavesCompleted', r => r.wavesCompleted, m => m.currentWave],
+  ['attacker.totalEnemies', r => r.attacker.totalEnemies, m => m.attacker.totalEnemies],
+  ['attacker.leaked', r => r.attacker.leaked, m => m.attacker.leaked],
+  ['attacker.rushBonus', r => r.attacker.rushBonus || 0, m => m.attacker.rushBonus || 0],
+  ['defender.kills', r => r.defender.kills, m => m.defender.kills],
+  ['defender.damageDealt', r => r.defender.damageDealt, m => m.defender.damageDealt],
+  ['waveBreakdown', r => r.waveBreakdown, m => m.waveBreakdown],
+  ['eventCount', r => r.eventCount ?? r.events?.length, m => m.events.length]
+];
+
+/**
+ * Check whether a stored match has what re-simulation needs
+ * Matches stored before seeds were recorded, or under a config version with
+ * no snapshot, can only use their stored events.
+ * @param {Object} record - Stored match record
+ * @returns {boolean}
+ */
+function canResimulate(record) {
+  return Number.isInteger(record.seed) && !!record.builds && hasConfigVersion(record.configVersion);
+}
+
+/**
+ * Re-run a stored match through the engine
+ * Logged turns are submitted again when their turn opens. A run that passes
+ * MAX_RESIMULATED_TICKS is stopped and returned unfinished.
+ * @param {Object} record - Stored match record (see canResimulate)
+ * @param {Object} engine - Engine to run under (default: the match's own config version)
+ * @returns {Object} Finished match (status still 'in_progress' if stopped)
+ */
+function resimulate(record, engine = loadEngine(record.configVersion)) {
+  const {
+    match: { createMatch, runMatch },
+    turns: { submitTurn },
+    validate: { validateMatchTurn }
+  } = engine;
+
+  const match = createMatch(
+    record.matchId,
+    {
+      agentId: record.attacker.agentId,
+      build: structuredClone(record.builds.attack),
+      interactive: !!record.attacker.interactive
+    },
+    {
+      agentId: record.defender.agentId,
+      build: structuredClone(record.builds.defense),
+      interactive: !!record.defender.interactive
+    },
+    { mapId: record.mapId, seed: record.seed }
+  );
+
+  const turns = record.turns || [];
+  let replayedWave = null;
+
+  const generator = runMatch(match);
+  while (!generator.next().done) {
+    if (match.tick > MAX_RESIMULATED_TICKS) break;
+
+    const open = match.turn;
+    if (open && open.status === 'open' && open.wave !== replayedWave) {
+      replayedWave = open.wave;
+      for (const entry of turns.filter(t => t.wave === open.wave)) {
+        const result = validateMatchTurn(match, entry.side, entry.turn);
+        if (result.valid) {
+          submitTurn(match, entry.side, entry.turn, result);
+        }
+      }
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Re-simulate a stored match and compare it with the stored result
+ * @param {Object} record - Stored match record
+ * @returns {Object} { reproducible, configVersion, mismatches, match }
+ */
+function verifyRecord(record) {
+  const match = resimulate(record);
+  const mismatches = [];
+
+  for (const [field, stored, simulated] of VERIFIED_FIELDS) {
+    const expected = stored(record);
+    const actual = simulated(match);
+    if (expected !== undefined && JSON.stringify(expected) !== JSON.stringify(actual)) {
+      mismatches.push({ field, stored: expected, simulated: actual });
+    }
+  }
+
+  return {
+    reproducible: mismatches.length === 0,
+    configVersion: {
+      stored: record.configVersion,
+      current: getCurrentVersion()
+    },
+    mismatches,
+    match
+  };
+}
+
+module.exports = {
+  MAX_RESIMULATED_TICKS,
+  canResimulate,
+  resimulate,
+  verifyRecord
+};
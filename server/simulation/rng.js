@@ -0,0 +1,52 @@
+/**
+ * Seeded PRNG for the simulation
+ *
+ * Every match carries a 32-bit seed and its own generator (match.rng).
+ * Anything random in the simulation (crits, dodge, spawn jitter) must draw
+ * from match.rng, never Math.random: a stored seed plus the builds then
+ * reproduces the match tick for tick (see simulation/replay.js).
+ *
+ * mulberry32: tiny, fast and good enough for gameplay.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random 32-bit seed for a new match
+ * @returns {number} Unsigned 32-bit integer
+ */
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+/**
+ * Create a generator from a seed
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Object} { seed, next(), int(min, max), chance(p) }
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+
+  // Float in [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: seed >>> 0,
+    next,
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    // True with probability p
+    chance: p => next() < p
+  };
+}
+
+module.exports = {
+  generateSeed,
+  createRng
+};
@@ -0,0 +1,99 @@
+/**
+ * Scoring - How a match is won (GameConfig rules.scoring)
+ *
+ * Modes:
+ * - sudden_death: the first leak ends the match and the attacker wins;
+ *   otherwise the defender wins after the last wave
+ * - lives: every wave plays out. Each leaked unit costs the defender lives
+ *   by enemy type (leakCost), and the defender wins with more than
+ *   winThreshold lives left
+ *
+ * Lives matches get a continuous score: lives to spare, from the
+ * defender's view, as a share of what the defender could afford to lose
+ * (-1 to 1, positive is a defender win). Its size is the margin of victory
+ * (0 = the narrowest win, 1 = a flawless one) that ELO uses.
+ */
+
+const { SCORING } = require('./constants');
+const { getEconomyType } = require('./economy');
+
+/**
+ * Whether a leak ends the match on the spot
+ * @returns {boolean}
+ */
+function isSuddenDeath() {
+  return SCORING.mode !== 'lives';
+}
+
+/**
+ * Start the defender's lives (lives mode only)
+ * @param {Object} match - Match from createMatch
+ */
+function initScoring(match) {
+  if (isSuddenDeath()) return;
+
+  match.defender.lives = SCORING.lives;
+  match.defender.livesLost = 0;
+}
+
+/**
+ * Charge the defender for a leaked unit (lives mode only)
+ * @param {Object} match - Match state
+ * @param {Object} enemy - Leaked enemy
+ * @returns {number} Lives lost
+ */
+function chargeLeak(match, enemy) {
+  if (isSuddenDeath()) return 0;
+
+  const cost = SCORING.leakCost[getEconomyType(enemy)] ?? 1;
+  match.defender.livesLost += cost;
+  match.defender.lives = Math.max(SCORING.lives - match.defender.livesLost, 0);
+  return cost;
+}
+
+/**
+ * Decide the winner of a match whose waves have all played out
+ * @param {Object} match - Match state
+ * @returns {string} 'attacker' or 'defender'
+ */
+function decideWinner(match) {
+  if (isSuddenDeath()) {
+    return match.attacker.leaked > 0 ? 'attacker' : 'defender';
+  }
+  return match.defender.lives > SCORING.winThreshold ? 'defender' : 'attacker';
+}
+
+/**
+ * Score a finished match
+ * @param {Object} match - Finished match
+ * @returns {Object} { mode, margin } plus, in lives mode, { lives, winThreshold,
+ *   livesLost, livesRemaining, score }. margin is null in sudden death.
+ */
+function scoreMatch(match) {
+  if (isSuddenDeath()) {
+    return { mode: 'sudden_death', margin: null };
+  }
+
+  // Lives the defender can lose and still win
+  const affordable = Math.max(SCORING.lives - SCORING.winThreshold, 1);
+  const spare = affordable - match.defender.livesLost;
+  const score = Math.round(Math.min(Math.max(spare / affordable, -1), 1) * 1000) / 1000;
+
+  return {
+    mode: 'lives',
+    lives: SCORING.lives,
+    winThreshold: SCORING.winThreshold,
+    livesLost: match.defender.livesLost,
+    livesRemaining: match.defender.lives,
+    score,
+    margin: Math.abs(score)
+  };
+}
+
+module.exports = {
+  isSuddenDeath,
+  initScoring,
+  chargeLeak,
+  decideWinner,
+  scoreMatch
+};
@@ -1,32 +1,53 @@
-const { TOWER_STATS, TOWER_POSITIONS, TICKS_PER_SECOND, FREE_PLACEMENT } = require('./constants');
+const { TOWER_STATS, TOWER_LEVEL_STATS, TICKS_PER_SECOND, DEFAULT_TARGETING } = require('./constants');
 const { damageEnemy, slowEnemy, isTargetable } = require('./enemies');
-
-let towerIdCounter = 0;
+const { getDistance } = require('./geometry');
+const { getMap, getLanePositions } = require('../config/maps');
+const { isPolylineMap } = require('./path');
+
+// Sort comparators for each targeting mode (best target sorts first)
+// Ties fall back to the enemy furthest along the path
+const byProgress = (a, b) => b.position - a.position;
+const TARGETING_COMPARATORS = {
+  first: byProgress,
+  last: (a, b) => a.position - b.position,
+  strongest: (a, b) => (b.hp - a.hp) || byProgress(a, b),
+  weakest: (a, b) => (a.hp - b.hp) || byProgress(a, b),
+  highestArmor: (a, b) => (b.armor - a.armor) || byProgress(a, b),
+  healerFirst: (a, b) => ((b.aura === 'heal') - (a.aura === 'heal')) || byProgress(a, b)
+  // closest depends on the tower, see findTarget
+};
 
 /**
  * Create a tower instance from slot-based definition (legacy)
+ * Slot positions come from the map's tower zones
  */
-function createTower(slot, type) {
+function createTower(slot, type, map = getMap()) {
   const stats = TOWER_STATS[type];
   if (!stats) {
     throw new Error(`Unknown tower type: ${type}`);
   }
 
-  const position = TOWER_POSITIONS[slot];
-  if (position === undefined) {
+  const zone = map.towerZones.find(z => z.id === slot);
+  if (!zone) {
     throw new Error(`Invalid tower slot: ${slot}`);
   }
+  const position = zone.x;
+  const lane = slot <= 'C' ? 'top' : 'bottom';
 
   return {
     id: slot,  // Use slot as ID for legacy
     slot,
     type,
+    level: 1,
     position,
-    lane: slot <= 'C' ? 'top' : 'bottom',  // Visual lane
+    lane,
+    y: zone.y !== undefined ? zone.y : getLanePositions(map)[lane],
     damage: stats.damage,
     fireRate: stats.fireRate,
     range: stats.range,
     special: stats.special,
+    hitsAir: stats.hitsAir || false,
+    targeting: DEFAULT_TARGETING,
     slowAmount: stats.slowAmount || 1.0,
     // New tower properties
     chainCount: stats.chainCount || 0,
@@ -35,6 +56,8 @@ function createTower(slot, type) {
     buffRadius: stats.buffRadius || 0,
     damageBuffPercent: stats.damageBuffPercent || 0,
     cooldown: 0,
+    disabled: false,  // Disabled by a disruptor until disabledUntil
+    disabledUntil: 0,
     target: null,
     buffed: false,  // Whether buffed by support tower
     damageMultiplier: 1.0  // From support tower buff
@@ -43,27 +66,39 @@ function createTower(slot, type) {
 
 /**
  * Create a tower from free-flow placement definition
- * @param {Object} towerDef - { x: number, type: string, lane?: string }
- * @param {number} index - Tower index for ID generation
+ * @param {Object} towerDef - { x: number, type: string, lane?: string, targeting?: string, level?: number }
+ * @param {string} id - Tower ID ('T0' for the first; see nextTowerId mid-match)
+ * @param {Object} map - Map the tower is placed on (lane positions)
  */
-function createTowerFreeFlow(towerDef, index) {
-  const stats = TOWER_STATS[towerDef.type];
-  if (!stats) {
+function createTowerFreeFlow(towerDef, id, map = getMap()) {
+  const levels = TOWER_LEVEL_STATS[towerDef.type];
+  if (!levels) {
     throw new Error(`Unknown tower type: ${towerDef.type}`);
   }
 
-  const id = `T${towerIdCounter++}`;
+  const level = towerDef.level || 1;
+  const stats = levels[level];
+  if (!stats) {
+    throw new Error(`Invalid tower level: ${level}`);
+  }
+
+  const lane = towerDef.lane || 'top';
 
   return {
     id,
     slot: null,  // No slot for free-flow
     type: towerDef.type,
+    level,
     position: towerDef.x,
-    lane: towerDef.lane || 'top',
+    lane,
+    // Polyline maps place towers anywhere in 2D; straight maps sit on a lane
+    y: isPolylineMap(map) ? towerDef.y : getLanePositions(map)[lane],
     damage: stats.damage,
     fireRate: stats.fireRate,
     range: stats.range,
     special: stats.special,
+    hitsAir: stats.hitsAir || false,
+    targeting: towerDef.targeting || DEFAULT_TARGETING,
     slowAmount: stats.slowAmount || 1.0,
     chainCount: stats.chainCount || 0,
     chainDamageDecay: stats.chainDamageDecay || 1.0,
@@ -71,6 +106,8 @@ function createTowerFreeFlow(towerDef, index) {
     buffRadius: stats.buffRadius || 0,
     damageBuffPercent: stats.damageBuffPercent || 0,
     cooldown: 0,
+    disabled: false,  // Disabled by a disruptor until disabledUntil
+    disabledUntil: 0,
     target: null,
     buffed: false,
     damageMultiplier: 1.0
@@ -81,7 +118,7 @@ function createTowerFreeFlow(towerDef, index) {
  * Initialize all towers from a defense build (legacy slot-based)
  * Build format: { towers: { A: 'basic', B: 'slow', ... } }
  */
-function initializeTowers(defendBuild) {
+function initializeTowers(defendBuild, map = getMap()) {
   const towers = [];
 
   if (!defendBuild || !defendBuild.towers) {
@@ -90,7 +127,7 @@ function initializeTowers(defendBuild) {
 
   for (const [slot, type] of Object.entries(defendBuild.towers)) {
     if (type) {
-      towers.push(createTower(slot, type));
+      towers.push(createTower(slot, type, map));
     }
   }
 
@@ -102,9 +139,10 @@ function initializeTowers(defendBuild) {
  * Initialize towers with support for both legacy and free-flow formats
  * Legacy: { towers: { A: 'basic', B: 'slow' } }
  * Free-flow: { towers: [{ x: 100, type: 'basic' }, { x: 300, type: 'slow' }] }
+ * @param {Object} defendBuild - Defense build
+ * @param {Object} map - Map the towers are placed on
  */
-function initializeTowersV2(defendBuild) {
-  towerIdCounter = 0;  // Reset counter for new match
+function initializeTowersV2(defendBuild, map = getMap()) {
   const towers = [];
 
   if (!defendBuild || !defendBuild.towers) {
@@ -114,11 +152,13 @@ function initializeTowersV2(defendBuild) {
   // Check if it's the new array format
   if (Array.isArray(defendBuild.towers)) {
     for (let i = 0; i < defendBuild.towers.length; i++) {
-      towers.push(createTowerFreeFlow(defendBuild.towers[i], i));
+      // Towers bought from the bank are built later (see economy.js)
+      if (defendBuild.towers[i].spendFromBank) continue;
+      towers.push(createTowerFreeFlow(defendBuild.towers[i], `T${towers.length}`, map));
     }
   } else {
     // Legacy object format
-    return initializeTowers(defendBuild);
+    return initializeTowers(defendBuild, map);
   }
 
   towers.sort((a, b) => a.position - b.position);
@@ -128,8 +168,11 @@ function initializeTowersV2(defendBuild) {
 /**
  * Calculate buffs from support towers
  * Returns a map of tower ID -> { damageMultiplier: number }
+ * Buff radius is measured along the road on straight maps (covering both
+ * lanes) and in 2D on polyline maps. Disrupted support towers don't buff.
  */
-function calculateTowerBuffs(towers) {
+function calculateTowerBuffs(towers, map = getMap()) {
+  const polyline = isPolylineMap(map);
   const buffs = {};
 
   // Initialize all towers with base multiplier
@@ -139,12 +182,14 @@ function calculateTowerBuffs(towers) {
 
   // Apply support tower buffs
   for (const tower of towers) {
-    if (tower.special === 'buff' && tower.buffRadius > 0) {
+    if (tower.special === 'buff' && tower.buffRadius > 0 && !tower.disabled) {
       for (const other of towers) {
         if (other.id === tower.id) continue;
         if (other.special === 'buff') continue;  // Support doesn't buff support
 
-        const distance = Math.abs(other.position - tower.position);
+        const distance = polyline
+          ? getDistance(other.position, other.y, tower.position, tower.y)
+          : Math.abs(other.position - tower.position);
         if (distance <= tower.buffRadius) {
           buffs[other.id].damageMultiplier += tower.damageBuffPercent;
           other.buffed = true;
@@ -156,38 +201,46 @@ function calculateTowerBuffs(towers) {
   return buffs;
 }
 
+/**
+ * Check whether an enemy is within a tower's range (lane-aware)
+ */
+function isInRange(tower, enemy) {
+  return getDistance(enemy.x, enemy.y, tower.position, tower.y) <= tower.range;
+}
+
 /**
  * Find the best target for a tower (with invisibility check)
- * Targets the enemy furthest along the path that is in range and targetable
+ * Picks among in-range, targetable enemies using the tower's targeting mode
+ * (defaults to the enemy furthest along the path)
  */
-function findTarget(tower, enemies, currentTick = 0) {
+function findTarget(tower, enemies, effects = null) {
+  let compare = TARGETING_COMPARATORS[tower.targeting] || byProgress;
+  if (tower.targeting === 'closest') {
+    const distanceTo = e => getDistance(e.x, e.y, tower.position, tower.y);
+    compare = (a, b) => (distanceTo(a) - distanceTo(b)) || byProgress(a, b);
+  }
+
   const inRange = enemies
-    .filter(e => isTargetable(e, currentTick))
-    .filter(e => {
-      const distance = Math.abs(e.position - tower.position);
-      return distance <= tower.range;
-    })
-    .sort((a, b) => b.position - a.position);
+    .filter(e => isTargetable(e, effects, tower))
+    .filter(e => isInRange(tower, e))
+    .sort(compare);
 
   return inRange[0] || null;
 }
 
 /**
- * Find a chain target (different from current, in range)
+ * Find a chain target (different from current, in range of the last target)
  */
-function findChainTarget(tower, enemies, excludeIds, fromPosition, currentTick = 0) {
+function findChainTarget(tower, enemies, excludeIds, fromEnemy, effects = null) {
+  const distanceFrom = e => getDistance(e.x, e.y, fromEnemy.x, fromEnemy.y);
+
   const inRange = enemies
-    .filter(e => isTargetable(e, currentTick))
+    .filter(e => isTargetable(e, effects, tower))
     .filter(e => !excludeIds.has(e.id))
-    .filter(e => {
-      const distance = Math.abs(e.position - fromPosition);
-      return distance <= tower.range;
-    })
+    .filter(e => distanceFrom(e) <= tower.range)
     .sort((a, b) => {
       // Prefer closest to last target for chain effect
-      const distA = Math.abs(a.position - fromPosition);
-      const distB = Math.abs(b.position - fromPosition);
-      return distA - distB;
+      return distanceFrom(a) - distanceFrom(b);
     });
 
   return inRange[0] || null;
@@ -196,10 +249,10 @@ function findChainTarget(tower, enemies, excludeIds, fromPosition, currentTick =
 /**
  * Process a chain tower's attack
  */
-function processChainTower(tower, enemies, tick, damageMultiplier = 1.0) {
+function processChainTower(tower, enemies, tick, damageMultiplier = 1.0, effects = null) {
   const events = [];
 
-  const target = findTarget(tower, enemies, tick);
+  const target = findTarget(tower, enemies, effects);
   if (!target) {
     tower.target = null;
     return events;
@@ -212,7 +265,7 @@ function processChainTower(tower, enemies, tick, damageMultiplier = 1.0) {
 
   // Hit initial target and chain to others
   for (let i = 0; i <= tower.chainCount; i++) {
-    const killed = damageEnemy(currentTarget, currentDamage, tower.armorPiercePercent);
+    const killed = damageEnemy(currentTarget, currentDamage, tower.armorPiercePercent, effects);
 
     events.push({
       tick,
@@ -235,7 +288,7 @@ function processChainTower(tower, enemies, tick, damageMultiplier = 1.0) {
     // Find next chain target
     if (i < tower.chainCount) {
       currentDamage *= tower.chainDamageDecay;
-      const nextTarget = findChainTarget(tower, enemies, hitTargets, currentTarget.position, tick);
+      const nextTarget = findChainTarget(tower, enemies, hitTargets, currentTarget, effects);
       if (!nextTarget) break;
       hitTargets.add(nextTarget.id);
       currentTarget = nextTarget;
@@ -252,12 +305,13 @@ function processChainTower(tower, enemies, tick, damageMultiplier = 1.0) {
  * @param {Array} enemies - All enemies
  * @param {number} tick - Current tick
  * @param {Object} buff - Buff info from support towers { damageMultiplier }
+ * @param {EffectSystem|null} effects - Match effects (shields, slows, invisibility)
  */
-function processTower(tower, enemies, tick, buff = { damageMultiplier: 1.0 }) {
+function processTower(tower, enemies, tick, buff = { damageMultiplier: 1.0 }, effects = null) {
   const events = [];
 
-  // Support towers don't attack
-  if (tower.special === 'buff') {
+  // Support towers don't attack, and disrupted towers do nothing
+  if (tower.special === 'buff' || tower.disabled) {
     tower.target = null;
     return events;
   }
@@ -275,11 +329,11 @@ function processTower(tower, enemies, tick, buff = { damageMultiplier: 1.0 }) {
 
   // Handle chain tower specially
   if (tower.special === 'chain') {
-    return processChainTower(tower, enemies, tick, buff.damageMultiplier);
+    return processChainTower(tower, enemies, tick, buff.damageMultiplier, effects);
   }
 
   // Find target (with invisibility check)
-  const target = findTarget(tower, enemies, tick);
+  const target = findTarget(tower, enemies, effects);
   if (!target) {
     tower.target = null;
     return events;
@@ -291,7 +345,7 @@ function processTower(tower, enemies, tick, buff = { damageMultiplier: 1.0 }) {
   const damage = tower.damage * buff.damageMultiplier;
 
   // Deal damage (with armor pierce for sniper)
-  const killed = damageEnemy(target, damage, tower.armorPiercePercent);
+  const killed = damageEnemy(target, damage, tower.armorPiercePercent, effects);
 
   events.push({
     tick,
@@ -303,7 +357,7 @@ function processTower(tower, enemies, tick, buff = { damageMultiplier: 1.0 }) {
 
   // Apply slow effect
   if (tower.special === 'slow') {
-    slowEnemy(target, tower.slowAmount);
+    slowEnemy(target, tower.slowAmount, effects);
   }
 
   // Record kill event
@@ -330,20 +384,40 @@ function getTowerState(tower) {
     id: tower.id || tower.slot,
     slot: tower.slot,
     type: tower.type,
+    level: tower.level,
     position: tower.position,
+    y: tower.y,
     lane: tower.lane,
+    targeting: tower.targeting,
     target: tower.target,
     cooldown: Math.round(tower.cooldown * 100) / 100,
     buffed: tower.buffed,
-    range: tower.range
+    range: tower.range,
+    // Reinforcement towers leave at expiresAt (or when their wave ends)
+    ...(tower.expiresAt !== undefined && { temporary: true, expiresAt: tower.expiresAt }),
+    ...(tower.disabled && { disabled: true, disabledUntil: tower.disabledUntil })
   };
 }
 
 /**
- * Reset tower ID counter (for new matches)
+ * Get the first tower number free after a match's starting towers
+ * Starts the match's nextTowerId counter.
+ * @param {Array} towers - The towers the match starts with
+ * @returns {number}
+ */
+function firstFreeTowerNumber(towers) {
+  const highest = towers.reduce((max, t) => Math.max(max, Number(String(t.id).slice(1)) || 0), -1);
+  return highest + 1;
+}
+
+/**
+ * Take the next tower ID from a match's own counter (towers built mid-match)
+ * IDs are never reused within a match, even after a tower is sold or expires.
+ * @param {Object} match - Match state (holds nextTowerId)
+ * @returns {string} ID like 'T7'
  */
-function resetTowerCounter() {
-  towerIdCounter = 0;
+function nextTowerId(match) {
+  return `T${match.nextTowerId++}`;
 }
 
 module.exports = {
@@ -352,10 +426,12 @@ module.exports = {
   initializeTowers,
   initializeTowersV2,
   calculateTowerBuffs,
+  isInRange,
   findTarget,
   findChainTarget,
   processTower,
   processChainTower,
   getTowerState,
-  resetTowerCounter
+  firstFreeTowerNumber,
+  nextTowerId
 };
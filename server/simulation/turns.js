@@ -0,0 +1,256 @@
+/**
+ * Turns - Between-wave decisions for interactive matches
+ *
+ * When either agent opts in with `interactive: true`, runMatch opens a turn
+ * before every wave after the first. Interactive agents get a wave summary
+ * and can submit one turn each until the deadline:
+ * - Attacker: replace the upcoming wave's composition and/or power-ups
+ * - Defender: sell, move or add towers and swap the upcoming wave's
+ *   power-ups
+ * Both sides pay for changes from their bank (see economy.js).
+ *
+ * Turns are validated before they are submitted (validateMatchTurn in
+ * api/validate.js). Agents that miss the deadline keep their pre-submitted
+ * build. The match
+ * runner holds the simulation while a turn is open (see isTurnReady); instant
+ * runs never wait, so every turn simply times out.
+ */
+
+const { TURN_RULES } = require('./constants');
+const { createTowerFreeFlow, getTowerState, nextTowerId } = require('./towers');
+const { getLanePositions } = require('../config/maps');
+const { isPolylineMap } = require('./path');
+
+const SIDES = ['attacker', 'defender'];
+
+/**
+ * Get the sides whose agents opted into interactive play
+ * @param {Object} match - Match state
+ * @returns {string[]} Subset of ['attacker', 'defender']
+ */
+function getInteractiveSides(match) {
+  return SIDES.filter(side => match[side].interactive);
+}
+
+/**
+ * Open a turn before a wave
+ * @param {Object} match - Match state
+ * @param {number} waveIndex - Index of the upcoming wave (0-based)
+ */
+function openTurn(match, waveIndex) {
+  match.turn = {
+    wave: waveIndex + 1,
+    status: 'open',
+    deadline: Date.now() + TURN_RULES.timeoutSeconds * 1000,
+    submitted: { attacker: null, defender: null }
+  };
+
+  match.events.push({
+    tick: match.tick,
+    type: 'turn',
+    wave: match.turn.wave,
+    deadline: match.turn.deadline
+  });
+}
+
+/**
+ * Check whether an open turn can close
+ * Ready once every interactive agent has submitted or the deadline passed.
+ * @param {Object} match - Match state
+ * @returns {boolean}
+ */
+function isTurnReady(match) {
+  const turn = match.turn;
+  if (!turn || turn.status !== 'open') return true;
+  if (Date.now() >= turn.deadline) return true;
+  return getInteractiveSides(match).every(side => turn.submitted[side]);
+}
+
+/**
+ * Describe the defender's towers as build entries (ids kept for sell/move)
+ */
+function getTowerDefs(match) {
+  const polyline = isPolylineMap(match.map);
+  return match.towers.map(tower => ({
+    id: tower.id,
+    x: tower.position,
+    ...(polyline && { y: tower.y }),
+    lane: tower.lane,
+    type: tower.type,
+    level: tower.level,
+    targeting: tower.targeting
+  }));
+}
+
+/**
+ * Check whether a side may submit a turn now
+ * @param {Object} match - Match state
+ * @param {string} side - 'attacker' or 'defender'
+ * @returns {Object} { valid, error? }
+ */
+function checkTurnOpen(match, side) {
+  const open = match.turn;
+  if (!open || open.status !== 'open' || Date.now() >= open.deadline) {
+    return { valid: false, error: 'No turn is open' };
+  }
+
+  if (!match[side].interactive) {
+    return { valid: false, error: 'Agent did not opt into interactive play' };
+  }
+
+  if (open.submitted[side]) {
+    return { valid: false, error: `Turn already submitted for wave ${open.wave}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Submit a validated turn for one side
+ * @param {Object} match - Match state
+ * @param {string} side - 'attacker' or 'defender'
+ * @param {Object} turn - Turn body
+ * @param {Object} result - The turn's validation result (see validateMatchTurn)
+ * @returns {Object} { valid, error? }
+ */
+function submitTurn(match, side, turn, result) {
+  const open = checkTurnOpen(match, side);
+  if (!open.valid) {
+    return open;
+  }
+
+  match.turn.submitted[side] = { turn, result };
+  return { valid: true };
+}
+
+/**
+ * Apply an attacker's validated turn
+ */
+function applyAttackTurn(match, result) {
+  match.attacker.build = result.build;
+  match.attacker.powerUps = result.build.powerUps;
+  match.attacker.bank = result.bank;
+}
+
+/**
+ * Apply a defender's validated turn to the live towers
+ * Kept towers stay the same instances (cooldowns carry over).
+ */
+function applyDefenseTurn(match, result, events) {
+  const existing = new Map(match.towers.map(tower => [tower.id, tower]));
+  const lanePositions = getLanePositions(match.map);
+  const polyline = isPolylineMap(match.map);
+  const towers = [];
+
+  for (const def of result.towers) {
+    if (def.id === null) {
+      const tower = createTowerFreeFlow(def, nextTowerId(match), match.map);
+      towers.push(tower);
+      events.push({ tick: match.tick, type: 'tower_add', tower: getTowerState(tower) });
+      continue;
+    }
+
+    const tower = existing.get(def.id);
+    existing.delete(def.id);
+    if (tower.position !== def.x || tower.lane !== def.lane || (polyline && tower.y !== def.y)) {
+      tower.position = def.x;
+      tower.lane = def.lane;
+      tower.y = polyline ? def.y : lanePositions[def.lane];
+      events.push({ tick: match.tick, type: 'tower_move', tower: getTowerState(tower) });
+    }
+    towers.push(tower);
+  }
+
+  for (const sold of existing.values()) {
+    events.push({ tick: match.tick, type: 'tower_sell', tower: sold.id });
+  }
+
+  towers.sort((a, b) => a.position - b.position);
+  match.towers = towers;
+  match.defender.powerUps = result.powerUps;
+  match.defender.bank = result.bank;
+}
+
+/**
+ * Close the open turn and apply whatever was submitted
+ * @param {Object} match - Match state
+ */
+function closeTurn(match) {
+  const turn = match.turn;
+  if (!turn || turn.status !== 'open') return;
+
+  const events = [];
+  for (const side of SIDES) {
+    const submitted = turn.submitted[side];
+    if (!submitted) {
+      if (match[side].interactive) {
+        events.push({ tick: match.tick, type: 'turn_timeout', wave: turn.wave, side });
+      }
+      continue;
+    }
+
+    if (side === 'attacker') {
+      applyAttackTurn(match, submitted.result);
+    } else {
+      applyDefenseTurn(match, submitted.result, events);
+    }
+    match.turnLog.push({ wave: turn.wave, side, turn: submitted.turn });
+    events.push({ tick: match.tick, type: 'turn_applied', wave: turn.wave, side });
+  }
+
+  turn.status = 'closed';
+  match.events.push(...events);
+}
+
+/**
+ * Get the turn summary pushed to agents
+ * Without a side this is public (safe for spectators); with a side it adds
+ * that agent's own plan and bank, never the opponent's.
+ * @param {Object} match - Match state
+ * @param {string|null} side - 'attacker', 'defender' or null
+ * @returns {Object} Turn summary
+ */
+function getTurnSummary(match, side = null) {
+  const turn = match.turn;
+  const summary = {
+    matchId: match.matchId,
+    wave: turn.wave,
+    deadline: turn.deadline,
+    secondsLeft: Math.max(0, Math.ceil((turn.deadline - Date.now()) / 1000)),
+    lastWave: match.waveBreakdown[match.waveBreakdown.length - 1] || null,
+    attacker: { agentId: match.attacker.agentId, leaked: match.attacker.leaked },
+    defender: { agentId: match.defender.agentId, kills: match.defender.kills },
+    towers: match.towers.map(getTowerState)
+  };
+
+  if (side === 'attacker') {
+    summary.you = {
+      side,
+      submitted: !!turn.submitted.attacker,
+      bank: match.attacker.bank,
+      nextWave: match.attacker.build.waves[turn.wave - 1],
+      powerUps: match.attacker.powerUps.filter(p => p.wave === turn.wave)
+    };
+  } else if (side === 'defender') {
+    summary.you = {
+      side,
+      submitted: !!turn.submitted.defender,
+      bank: match.defender.bank,
+      sellRefundPercent: TURN_RULES.sellRefundPercent,
+      powerUps: match.defender.powerUps.filter(p => p.wave === turn.wave)
+    };
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getInteractiveSides,
+  openTurn,
+  isTurnReady,
+  getTowerDefs,
+  checkTurnOpen,
+  submitTurn,
+  closeTurn,
+  getTurnSummary
+};
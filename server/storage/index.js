@@ -0,0 +1,44 @@
+/**
+ * Storage - Backend-neutral interface for match history and rankings
+ *
+ * Every backend implements:
+ * - appendMatch(record)                  store a match (events included)
+ * - getMatch(matchId, { events })        one match by ID, or null
+ * - hasMatch(matchId)                    whether a match is stored
+ * - getRecentMatches(limit)              latest records without events, oldest first
+ * - getAgentMatches(agentId, limit)      an agent's records without events, newest first
+ * - countMatches()                       number of stored matches
+ * - loadRankings() / saveRankings(obj)   ELO rankings (agentId -> data)
+ * - hasRankings()                        whether rankings were ever saved
+ *
+ * The backend is picked with STORAGE_BACKEND. Only 'jsonl' (append-only
+ * JSONL files plus an offset index, see jsonl-store.js) ships today; an
+ * embedded database can slot in behind the same methods.
+ */
+
+const { JsonlStore } = require('./jsonl-store');
+
+const BACKENDS = {
+  jsonl: JsonlStore
+};
+
+const DEFAULT_BACKEND = 'jsonl';
+
+/**
+ * Open a store in a data directory
+ * @param {string} dataDir - Directory for the store's files
+ * @param {string} backend - Backend name (default STORAGE_BACKEND or 'jsonl')
+ * @returns {Object} Store implementing the interface above
+ */
+function createStore(dataDir, backend = process.env.STORAGE_BACKEND || DEFAULT_BACKEND) {
+  const Store = BACKENDS[backend];
+  if (!Store) {
+    throw new Error(`Unknown storage backend '${backend}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Store(dataDir);
+}
+
+module.exports = {
+  createStore,
+  DEFAULT_BACKEND
+};
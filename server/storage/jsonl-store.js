@@ -0,0 +1,368 @@
+/**
+ * JSONL Store - Append-only match storage with an offset index
+ *
+ * Files (all in the data directory):
+ * - matches.jsonl      one match record per line (no events)
+ * - events.jsonl       one { matchId, events } line per match, uncapped
+ * - matches.idx.jsonl  one index line per match: where its record and events
+ *                      lines start and how long they are, plus its agents
+ * - rankings.json      ELO rankings snapshot (small, rewritten on save)
+ *
+ * Appends write events, then the record, then the index line, so a crash
+ * can only leave data the index doesn't know about yet; opening the store
+ * rebuilds the index from the data files when that happens.
+ *
+ * Lookups by matchId read exactly one record (and optionally one events
+ * line) from disk. Lookups by agentId go through an in-memory agent index.
+ * The most recent records are cached so analytics don't reread the files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Recent records kept in memory (the window analytics work on)
+const RECENT_LIMIT = 1000;
+
+// Bytes read at a time when scanning a file for lines
+const SCAN_CHUNK = 1 << 20;
+
+/**
+ * Call onLine(line, offset, length) for every complete line of a file
+ * Offsets and lengths are in bytes and exclude the newline.
+ */
+function scanLines(file, onLine) {
+  if (!fs.existsSync(file)) return;
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    const chunk = Buffer.alloc(SCAN_CHUNK);
+    let pending = Buffer.alloc(0);
+    let pendingOffset = 0;
+    let bytesRead;
+
+    while ((bytesRead = fs.readSync(fd, chunk, 0, SCAN_CHUNK, null)) > 0) {
+      const buffer = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+      let start = 0;
+      let newline;
+
+      while ((newline = buffer.indexOf(10, start)) !== -1) {
+        if (newline > start) {
+          onLine(buffer.toString('utf8', start, newline), pendingOffset + start, newline - start);
+        }
+        start = newline + 1;
+      }
+
+      pendingOffset += start;
+      pending = Buffer.from(buffer.subarray(start));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read and parse one JSON line at a byte offset
+ */
+function readLine(file, offset, length) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, offset);
+    return JSON.parse(buffer.toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Get a file's size (0 if it doesn't exist)
+ */
+function fileSize(file) {
+  return fs.existsSync(file) ? fs.statSync(file).size : 0;
+}
+
+class JsonlStore {
+  /**
+   * @param {string} dataDir - Directory holding the store files
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.files = {
+      matches: path.join(dataDir, 'matches.jsonl'),
+      events: path.join(dataDir, 'events.jsonl'),
+      index: path.join(dataDir, 'matches.idx.jsonl'),
+      rankings: path.join(dataDir, 'rankings.json')
+    };
+
+    // matchId -> index entry, in append order
+    this.index = new Map();
+    // agentId -> [matchId] in append order
+    this.byAgent = new Map();
+    // Bytes of the index file already loaded
+    this.indexSize = 0;
+    // End of the furthest matches.jsonl line the index covers (re-stored
+    // matches keep their Map position, so the last entry isn't always it)
+    this.indexedEnd = 0;
+    // Cached recent records (oldest first), loaded on first use, and the
+    // number of indexed matches when it was last in sync
+    this.recent = null;
+    this.recentSynced = 0;
+    // Cached rankings and the file mtime they were read at
+    this.rankings = null;
+    this.rankingsMtime = 0;
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this.loadIndex();
+  }
+
+  /**
+   * Load the index file, rebuilding it if the data files are ahead of it
+   */
+  loadIndex() {
+    this.readIndexTail();
+
+    if (fileSize(this.files.matches) > this.indexedEnd) {
+      this.rebuildIndex();
+    }
+  }
+
+  /**
+   * Read index lines appended since the last read (by this or another process)
+   */
+  readIndexTail() {
+    const size = fileSize(this.files.index);
+    if (size === this.indexSize) return;
+    if (size < this.indexSize) {
+      this.index.clear();
+      this.byAgent.clear();
+      this.indexSize = 0;
+      this.indexedEnd = 0;
+      this.recent = null;
+    }
+
+    const fd = fs.openSync(this.files.index, 'r');
+    try {
+      const buffer = Buffer.alloc(size - this.indexSize);
+      fs.readSync(fd, buffer, 0, buffer.length, this.indexSize);
+      const text = buffer.toString('utf8');
+      const complete = text.lastIndexOf('\n') + 1;
+
+      for (const line of text.slice(0, complete).split('\n')) {
+        if (line) this.addToIndex(JSON.parse(line));
+      }
+      this.indexSize += Buffer.byteLength(text.slice(0, complete));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Rebuild the index from the data files (after a crash mid-append)
+   */
+  rebuildIndex() {
+    console.log('[Storage] Rebuilding match index');
+
+    const events = new Map();
+    scanLines(this.files.events, (line, offset, length) => {
+      const matchId = line.slice(0, 200).match(/"matchId":"([^"]+)"/)?.[1];
+      if (matchId) events.set(matchId, [offset, length]);
+    });
+
+    const entries = [];
+    scanLines(this.files.matches, (line, offset, length) => {
+      const record = JSON.parse(line);
+      entries.push(this.toIndexEntry(record, [offset, length], events.get(record.matchId) || null));
+    });
+
+    fs.writeFileSync(this.files.index, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    this.index.clear();
+    this.byAgent.clear();
+    this.indexedEnd = 0;
+    entries.forEach(entry => this.addToIndex(entry));
+    this.indexSize = fileSize(this.files.index);
+    this.recent = null;
+  }
+
+  /**
+   * Build an index entry for a record
+   */
+  toIndexEntry(record, recordPos, eventsPos) {
+    return {
+      matchId: record.matchId,
+      agents: [record.attacker.agentId, record.defender.agentId],
+      endTime: record.endTime,
+      record: recordPos,
+      events: eventsPos
+    };
+  }
+
+  /**
+   * Add an entry to the in-memory indexes (a re-stored match replaces its
+   * earlier entry)
+   */
+  addToIndex(entry) {
+    this.indexedEnd = Math.max(this.indexedEnd, entry.record[0] + entry.record[1] + 1);
+
+    const known = this.index.has(entry.matchId);
+    this.index.set(entry.matchId, entry);
+    if (known) return;
+
+    for (const agentId of entry.agents) {
+      if (!this.byAgent.has(agentId)) {
+        this.byAgent.set(agentId, []);
+      }
+      this.byAgent.get(agentId).push(entry.matchId);
+    }
+  }
+
+  /**
+   * Append a match record with its full event log
+   * @param {Object} record - Match record (events included)
+   */
+  appendMatch(record) {
+    this.readIndexTail();
+
+    const { events = [], ...summary } = record;
+    summary.eventCount = events.length;
+
+    const eventsLine = JSON.stringify({ matchId: record.matchId, events });
+    const recordLine = JSON.stringify(summary);
+    const eventsPos = [fileSize(this.files.events), Buffer.byteLength(eventsLine)];
+    const recordPos = [fileSize(this.files.matches), Buffer.byteLength(recordLine)];
+
+    fs.appendFileSync(this.files.events, eventsLine + '\n');
+    fs.appendFileSync(this.files.matches, recordLine + '\n');
+
+    const entry = this.toIndexEntry(summary, recordPos, eventsPos);
+    const indexLine = JSON.stringify(entry) + '\n';
+    fs.appendFileSync(this.files.index, indexLine);
+    this.indexSize += Buffer.byteLength(indexLine);
+    this.addToIndex(entry);
+
+    if (this.recent && this.recentSynced === this.index.size - 1) {
+      this.recent.push(summary);
+      if (this.recent.length > RECENT_LIMIT) {
+        this.recent.shift();
+      }
+      this.recentSynced = this.index.size;
+    }
+  }
+
+  /**
+   * Get a match by ID
+   * @param {string} matchId - Match identifier
+   * @param {Object} options - { events: boolean } (default true)
+   * @returns {Object|null} Match record (with events unless disabled)
+   */
+  getMatch(matchId, options = {}) {
+    this.readIndexTail();
+
+    const entry = this.index.get(matchId);
+    if (!entry) return null;
+
+    const record = readLine(this.files.matches, ...entry.record);
+    if (options.events !== false) {
+      record.events = entry.events ? readLine(this.files.events, ...entry.events).events : [];
+    }
+    return record;
+  }
+
+  /**
+   * Check whether a match is stored
+   */
+  hasMatch(matchId) {
+    this.readIndexTail();
+    return this.index.has(matchId);
+  }
+
+  /**
+   * Get the most recent match records (without events), oldest first
+   * @param {number} limit - Maximum records (up to RECENT_LIMIT come from cache)
+   * @returns {Array} Match records
+   */
+  getRecentMatches(limit = RECENT_LIMIT) {
+    this.readIndexTail();
+
+    if (!this.recent || this.recentSynced !== this.index.size) {
+      const ids = Array.from(this.index.keys()).slice(-RECENT_LIMIT);
+      this.recent = ids.map(id => this.getMatch(id, { events: false }));
+      this.recentSynced = this.index.size;
+    }
+
+    if (limit <= RECENT_LIMIT) {
+      return this.recent.slice(-limit);
+    }
+
+    return Array.from(this.index.keys())
+      .slice(-limit)
+      .map(id => this.getMatch(id, { events: false }));
+  }
+
+  /**
+   * Get an agent's matches (without events), newest first
+   * @param {string} agentId - Agent identifier
+   * @param {number} limit - Maximum records
+   * @returns {Array} Match records
+   */
+  getAgentMatches(agentId, limit = 50) {
+    this.readIndexTail();
+
+    return (this.byAgent.get(agentId) || [])
+      .slice(-limit)
+      .reverse()
+      .map(id => this.getMatch(id, { events: false }));
+  }
+
+  /**
+   * Get the number of stored matches
+   */
+  countMatches() {
+    this.readIndexTail();
+    return this.index.size;
+  }
+
+  /**
+   * Load ELO rankings (cached until the file changes)
+   * @returns {Object} agentId -> ranking data
+   */
+  loadRankings() {
+    if (!fs.existsSync(this.files.rankings)) {
+      return this.rankings || {};
+    }
+
+    const mtime = fs.statSync(this.files.rankings).mtimeMs;
+    if (!this.rankings || mtime !== this.rankingsMtime) {
+      this.rankings = JSON.parse(fs.readFileSync(this.files.rankings, 'utf8'));
+      this.rankingsMtime = mtime;
+    }
+    return this.rankings;
+  }
+
+  /**
+   * Save ELO rankings (written to a temp file and renamed into place)
+   * @param {Object} rankings - agentId -> ranking data
+   */
+  saveRankings(rankings) {
+    const tmp = `${this.files.rankings}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(rankings, null, 2));
+    fs.renameSync(tmp, this.files.rankings);
+
+    this.rankings = rankings;
+    this.rankingsMtime = fs.statSync(this.files.rankings).mtimeMs;
+  }
+
+  /**
+   * Check whether rankings have been saved to this store
+   */
+  hasRankings() {
+    return fs.existsSync(this.files.rankings);
+  }
+}
+
+module.exports = {
+  JsonlStore,
+  RECENT_LIMIT
+};
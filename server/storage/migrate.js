@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Migrate legacy JSON persistence into the storage backend
+ *
+ * Imports data/match-history.json and data/elo-rankings.json (the flat files
+ * written before the storage layer) and renames them to *.migrated so they
+ * are only imported once. Matches already in the store are skipped, so a
+ * partly finished migration can simply be run again. Legacy rankings are
+ * not imported over rankings the store already has; that file is renamed
+ * to *.skipped instead.
+ *
+ * The server runs this automatically on startup when legacy files exist.
+ *
+ * Usage:
+ *   node server/storage/migrate.js [--data-dir <dir>]   (default DATA_DIR or ./data)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_MATCH_HISTORY = 'match-history.json';
+const LEGACY_ELO_RANKINGS = 'elo-rankings.json';
+
+/**
+ * Read a legacy JSON file (null if missing or unreadable)
+ */
+function readLegacyFile(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`[Migrate] Could not read ${file}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether a data directory still has legacy files to import
+ * @param {string} dataDir - Data directory
+ * @returns {boolean}
+ */
+function hasLegacyFiles(dataDir) {
+  return [LEGACY_MATCH_HISTORY, LEGACY_ELO_RANKINGS]
+    .some(name => fs.existsSync(path.join(dataDir, name)));
+}
+
+/**
+ * Import legacy JSON files into a store
+ * @param {Object} store - Store from createStore
+ * @param {string} dataDir - Directory holding the legacy files
+ * @returns {Object} { matches, skipped, rankings } counts
+ */
+function migrateLegacyFiles(store, dataDir) {
+  const result = { matches: 0, skipped: 0, rankings: 0 };
+
+  const historyFile = path.join(dataDir, LEGACY_MATCH_HISTORY);
+  const history = readLegacyFile(historyFile);
+  if (Array.isArray(history)) {
+    for (const record of history) {
+      if (store.hasMatch(record.matchId)) {
+        result.skipped++;
+        continue;
+      }
+      store.appendMatch(record);
+      result.matches++;
+    }
+    fs.renameSync(historyFile, `${historyFile}.migrated`);
+  }
+
+  const rankingsFile = path.join(dataDir, LEGACY_ELO_RANKINGS);
+  const rankings = readLegacyFile(rankingsFile);
+  if (rankings && typeof rankings === 'object') {
+    if (store.hasRankings()) {
+      console.warn(`[Migrate] Store already has rankings; not importing ${rankingsFile} (renamed to .skipped)`);
+      fs.renameSync(rankingsFile, `${rankingsFile}.skipped`);
+    } else {
+      store.saveRankings(rankings);
+      result.rankings = Object.keys(rankings).length;
+      fs.renameSync(rankingsFile, `${rankingsFile}.migrated`);
+    }
+  }
+
+  console.log(`[Migrate] Imported ${result.matches} matches (${result.skipped} already stored) and ${result.rankings} agent rankings`);
+  return result;
+}
+
+module.exports = {
+  hasLegacyFiles,
+  migrateLegacyFiles
+};
+
+// CLI entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dirIndex = args.indexOf('--data-dir');
+  const dataDir = dirIndex !== -1
+    ? path.resolve(args[dirIndex + 1])
+    : process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+  if (!hasLegacyFiles(dataDir)) {
+    console.log(`[Migrate] No legacy files in ${dataDir}, nothing to do`);
+    process.exit(0);
+  }
+
+  const { createStore } = require('./index');
+  migrateLegacyFiles(createStore(dataDir), dataDir);
+}
@@ -0,0 +1,471 @@
+/**
+ * Tournament - Round-robin, Swiss and elimination cups
+ *
+ * Entrants register an attack and a defense build. Every pairing (fixture)
+ * plays two games with sides swapped, through the same createMatch /
+ * runMatchInstant path as /simulate, so a cup of any size finishes in
+ * seconds. Tournament games never touch ELO or match history.
+ *
+ * Fixture result: the entrant with more game wins takes the fixture. A 1-1
+ * split goes to whoever leaked more enemies as attacker; if that is level
+ * too it is a draw (round-robin, Swiss) or the higher seed advances
+ * (elimination).
+ *
+ * Formats:
+ * - round_robin: everyone plays everyone once (circle method)
+ * - swiss: a fixed number of rounds, each pairing entrants on equal points
+ *   who have not met yet
+ * - single_elimination / double_elimination: entrants are out after one or
+ *   two fixture losses. Survivors are reseeded every round (top seed plays
+ *   bottom seed within the same loss bracket), so byes go to top seeds.
+ *   With two entrants left in double elimination they meet in the final,
+ *   which repeats once if the unbeaten entrant loses it (bracket reset).
+ */
+
+const { createMatch, runMatchInstant } = require('./simulation/match');
+const { DEFAULT_MAP_ID } = require('./config/maps');
+const { loadTournaments, saveTournament } = require('./persistence');
+const { nextTick } = require('./background');
+
+const FORMATS = ['round_robin', 'swiss', 'single_elimination', 'double_elimination'];
+
+// Entrant limits per tournament
+const MIN_ENTRANTS = 2;
+const MAX_ENTRANTS = 32;
+
+// Fixture losses before elimination
+const LIVES = { single_elimination: 1, double_elimination: 2 };
+
+// Tournaments allowed to run at once (each one keeps a core busy)
+const MAX_RUNNING = 1;
+
+// Tournaments in progress (tournamentId -> tournament); finished ones are
+// dropped once saved and read back from disk
+const tournaments = new Map();
+
+/**
+ * Generate a unique tournament ID
+ */
+function generateTournamentId() {
+  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  let id = 't_';
+  for (let i = 0; i < 8; i++) {
+    id += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return id;
+}
+
+/**
+ * Check whether a format eliminates entrants
+ */
+function isElimination(format) {
+  return format in LIVES;
+}
+
+/**
+ * Check whether another tournament may start now
+ * @returns {boolean}
+ */
+function canStartTournament() {
+  return tournaments.size < MAX_RUNNING;
+}
+
+/**
+ * Create a tournament (does not start it; see runTournament)
+ * @param {Object} options - { name?, format, mapId?, rounds? (Swiss), entrants }
+ *   entrants: [{ agentId, builds: { attack, defense } }] in seed order
+ * @returns {Object} Tournament state
+ */
+function createTournament(options) {
+  const entrants = options.entrants.map((entrant, i) => ({
+    agentId: entrant.agentId,
+    seed: i + 1,
+    builds: entrant.builds
+  }));
+
+  const tournament = {
+    tournamentId: generateTournamentId(),
+    name: options.name || `${options.format.replace('_', ' ')} cup`,
+    format: options.format,
+    mapId: options.mapId || DEFAULT_MAP_ID,
+    status: 'pending',
+    entrants,
+    totalRounds: null,
+    rounds: [],
+    createdAt: Date.now(),
+    completedAt: null
+  };
+
+  if (options.format === 'round_robin') {
+    tournament.schedule = getRoundRobinSchedule(entrants.map(e => e.agentId));
+    tournament.totalRounds = tournament.schedule.length;
+  } else if (options.format === 'swiss') {
+    tournament.totalRounds = options.rounds || Math.ceil(Math.log2(entrants.length));
+  }
+
+  tournaments.set(tournament.tournamentId, tournament);
+  return tournament;
+}
+
+/**
+ * Build a round-robin schedule with the circle method
+ * @param {string[]} ids - Entrant IDs
+ * @returns {Array} Rounds of [a, b] pairs (b null for a bye)
+ */
+function getRoundRobinSchedule(ids) {
+  const slots = ids.length % 2 === 0 ? [...ids] : [...ids, null];
+  const rounds = [];
+
+  for (let r = 0; r < slots.length - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < slots.length / 2; i++) {
+      const a = slots[i];
+      const b = slots[slots.length - 1 - i];
+      pairs.push(a === null ? [b, null] : [a, b]);
+    }
+    rounds.push(pairs);
+
+    // Keep the first slot fixed and rotate the rest
+    slots.splice(1, 0, slots.pop());
+  }
+
+  return rounds;
+}
+
+/**
+ * Get the fixtures an entrant has played (byes excluded)
+ */
+function getFixtures(tournament, agentId) {
+  return tournament.rounds
+    .flatMap(round => round.fixtures)
+    .filter(f => f.b !== null && (f.a === agentId || f.b === agentId));
+}
+
+/**
+ * Check whether two entrants have already met
+ */
+function havePlayed(tournament, a, b) {
+  return getFixtures(tournament, a).some(f => f.a === b || f.b === b);
+}
+
+/**
+ * Pair the next Swiss round
+ * Entrants are ranked by current standings; the lowest-ranked entrant
+ * without a bye sits out on odd counts. Everyone else takes the highest
+ * ranked opponent they have not met (or anyone, once all have met).
+ */
+function pairSwissRound(tournament) {
+  const ranked = getStandings(tournament).map(s => s.agentId);
+  const pairs = [];
+  let bye = null;
+
+  if (ranked.length % 2 === 1) {
+    const hadBye = new Set(tournament.rounds.flatMap(r => r.fixtures).filter(f => f.b === null).map(f => f.a));
+    const byeIndex = ranked.map(id => !hadBye.has(id)).lastIndexOf(true);
+    [bye] = ranked.splice(byeIndex === -1 ? ranked.length - 1 : byeIndex, 1);
+  }
+
+  while (ranked.length > 0) {
+    const a = ranked.shift();
+    const index = ranked.findIndex(b => !havePlayed(tournament, a, b));
+    const [b] = ranked.splice(index === -1 ? 0 : index, 1);
+    pairs.push([a, b]);
+  }
+
+  if (bye !== null) {
+    pairs.push([bye, null]);
+  }
+
+  return pairs;
+}
+
+/**
+ * Pair the next elimination round
+ * @returns {Array} Pairs with a bracket label: [a, b, 'winners'|'losers'|'final']
+ */
+function pairEliminationRound(tournament) {
+  const lives = LIVES[tournament.format];
+  const alive = getStandings(tournament).filter(s => s.losses < lives);
+
+  if (alive.length < 2) return [];
+
+  const bySeed = (x, y) => x.seed - y.seed;
+  if (alive.length === 2) {
+    const [a, b] = alive.sort(bySeed);
+    return [[a.agentId, b.agentId, 'final']];
+  }
+
+  const pairs = [];
+  for (let losses = 0; losses < lives; losses++) {
+    const group = alive.filter(s => s.losses === losses).sort(bySeed);
+    const bracket = losses === 0 ? 'winners' : 'losers';
+
+    if (group.length % 2 === 1) {
+      pairs.push([group.shift().agentId, null, bracket]);
+    }
+    while (group.length > 0) {
+      pairs.push([group.shift().agentId, group.pop().agentId, bracket]);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Get the pairs for the next round, or null when the tournament is over
+ */
+function getNextPairs(tournament) {
+  const played = tournament.rounds.length;
+
+  if (tournament.format === 'round_robin') {
+    return played < tournament.schedule.length ? tournament.schedule[played] : null;
+  }
+
+  if (tournament.format === 'swiss') {
+    return played < tournament.totalRounds ? pairSwissRound(tournament) : null;
+  }
+
+  const pairs = pairEliminationRound(tournament);
+  return pairs.length > 0 ? pairs : null;
+}
+
+/**
+ * Play one game of a fixture
+ */
+function playGame(tournament, fixtureId, game, attackerId, defenderId) {
+  const entrant = id => tournament.entrants.find(e => e.agentId === id);
+  const matchId = `${fixtureId}_g${game}`;
+
+  const match = createMatch(
+    matchId,
+    { agentId: attackerId, build: entrant(attackerId).builds.attack },
+    { agentId: defenderId, build: entrant(defenderId).builds.defense },
+    { mapId: tournament.mapId }
+  );
+  const results = runMatchInstant(match);
+
+  return {
+    matchId,
+    attacker: attackerId,
+    defender: defenderId,
+    winner: results.winner === 'attacker' ? attackerId : defenderId,
+    winnerSide: results.winner,
+    leaked: results.attacker.leaked
+  };
+}
+
+/**
+ * Play a fixture (two games, sides swapped) and decide it
+ * @param {Object} tournament - Tournament state
+ * @param {number} round - Round number (1-based)
+ * @param {number} index - Fixture index within the round
+ * @param {Array} pair - [a, b, bracket?] (b null for a bye)
+ * @returns {Object} Fixture
+ */
+function playFixture(tournament, round, index, [a, b, bracket = null]) {
+  const fixtureId = `${tournament.tournamentId}_r${round}f${index + 1}`;
+  const fixture = { fixtureId, a, b, ...(bracket && { bracket }), games: [], winner: null, loser: null, draw: false };
+
+  if (b === null) {
+    fixture.winner = a;
+    return fixture;
+  }
+
+  fixture.games.push(playGame(tournament, fixtureId, 1, a, b));
+  fixture.games.push(playGame(tournament, fixtureId, 2, b, a));
+
+  const wins = id => fixture.games.filter(g => g.winner === id).length;
+  const leaked = id => fixture.games.filter(g => g.attacker === id).reduce((sum, g) => sum + g.leaked, 0);
+  const seed = id => tournament.entrants.find(e => e.agentId === id).seed;
+
+  let margin = wins(a) - wins(b);
+  if (margin === 0 && leaked(a) !== leaked(b)) {
+    margin = leaked(a) - leaked(b);
+    fixture.tiebreak = 'leaks';
+  }
+  if (margin === 0 && isElimination(tournament.format)) {
+    margin = seed(b) - seed(a);
+    fixture.tiebreak = 'seed';
+  }
+
+  if (margin === 0) {
+    fixture.draw = true;
+  } else {
+    fixture.winner = margin > 0 ? a : b;
+    fixture.loser = margin > 0 ? b : a;
+  }
+
+  return fixture;
+}
+
+/**
+ * Get current standings
+ * Round-robin and Swiss: 1 point per fixture win, 0.5 per draw (byes count
+ * as wins), ties broken by Buchholz (sum of opponents' points), game wins
+ * and leak difference. Elimination: survivors first, then by how late each
+ * entrant went out.
+ * @param {Object} tournament - Tournament state
+ * @returns {Array} Standings rows, best first
+ */
+function getStandings(tournament) {
+  const rows = new Map(tournament.entrants.map(e => [e.agentId, {
+    agentId: e.agentId,
+    seed: e.seed,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    byes: 0,
+    points: 0,
+    gameWins: 0,
+    leaked: 0,
+    leaksAllowed: 0,
+    buchholz: 0,
+    eliminatedInRound: null
+  }]));
+
+  for (const round of tournament.rounds) {
+    for (const fixture of round.fixtures) {
+      if (fixture.b === null) {
+        const row = rows.get(fixture.a);
+        row.byes++;
+        row.points += 1;
+        continue;
+      }
+
+      for (const id of [fixture.a, fixture.b]) {
+        const row = rows.get(id);
+        row.played++;
+        if (fixture.draw) {
+          row.draws++;
+          row.points += 0.5;
+        } else if (fixture.winner === id) {
+          row.wins++;
+          row.points += 1;
+        } else {
+          row.losses++;
+          if (row.losses === LIVES[tournament.format]) {
+            row.eliminatedInRound = round.round;
+          }
+        }
+      }
+
+      for (const game of fixture.games) {
+        rows.get(game.winner).gameWins++;
+        rows.get(game.attacker).leaked += game.leaked;
+        rows.get(game.defender).leaksAllowed += game.leaked;
+      }
+    }
+  }
+
+  for (const row of rows.values()) {
+    row.buchholz = getFixtures(tournament, row.agentId)
+      .reduce((sum, f) => sum + rows.get(f.a === row.agentId ? f.b : f.a).points, 0);
+  }
+
+  const outRound = row => row.eliminatedInRound === null ? Infinity : row.eliminatedInRound;
+
+  return Array.from(rows.values())
+    .sort((x, y) =>
+      (isElimination(tournament.format) ? outRound(y) - outRound(x) || x.losses - y.losses : 0) ||
+      y.points - x.points ||
+      y.buchholz - x.buchholz ||
+      y.gameWins - x.gameWins ||
+      (y.leaked - y.leaksAllowed) - (x.leaked - x.leaksAllowed) ||
+      x.seed - y.seed
+    )
+    .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+/**
+ * Play every round until the tournament is decided
+ * Standings are persisted after each round.
+ * @param {Object} tournament - Tournament from createTournament
+ * @returns {Promise<Object>} The completed tournament
+ */
+async function runTournament(tournament) {
+  tournament.status = 'running';
+
+  try {
+    let pairs;
+    while ((pairs = getNextPairs(tournament)) !== null) {
+      const round = { round: tournament.rounds.length + 1, fixtures: [] };
+      tournament.rounds.push(round);
+
+      for (let i = 0; i < pairs.length; i++) {
+        round.fixtures.push(playFixture(tournament, round.round, i, pairs[i]));
+        await nextTick();
+      }
+
+      saveTournament(toRecord(tournament));
+    }
+
+    tournament.status = 'complete';
+    tournament.totalRounds = tournament.rounds.length;
+    tournament.completedAt = Date.now();
+    tournament.winner = getStandings(tournament)[0].agentId;
+    console.log(`[Tournament] ${tournament.tournamentId} complete. Winner: ${tournament.winner}`);
+  } catch (error) {
+    console.error(`[Tournament] ${tournament.tournamentId} error:`, error);
+    tournament.status = 'error';
+    tournament.error = error.message;
+  }
+
+  saveTournament(toRecord(tournament));
+  tournaments.delete(tournament.tournamentId);
+  return tournament;
+}
+
+/**
+ * Get the persisted form of a tournament (standings included, schedule dropped)
+ */
+function toRecord(tournament) {
+  const { schedule, ...record } = tournament;
+  return { ...record, standings: getStandings(tournament) };
+}
+
+/**
+ * Get a tournament by ID (running ones from memory, finished ones from disk)
+ * @returns {Object|null} Tournament record with standings
+ */
+function getTournament(tournamentId) {
+  const tournament = tournaments.get(tournamentId);
+  if (tournament) return toRecord(tournament);
+
+  return loadTournaments().find(t => t.tournamentId === tournamentId) || null;
+}
+
+/**
+ * Get a summary of recent tournaments, newest first
+ */
+function listTournaments(limit = 20) {
+  const saved = loadTournaments().filter(t => !tournaments.has(t.tournamentId));
+  const all = [...Array.from(tournaments.values()).map(toRecord), ...saved];
+
+  return all
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map(t => ({
+      tournamentId: t.tournamentId,
+      name: t.name,
+      format: t.format,
+      mapId: t.mapId,
+      status: t.status,
+      entrants: t.entrants.length,
+      roundsPlayed: t.rounds.length,
+      winner: t.winner || null,
+      createdAt: t.createdAt
+    }));
+}
+
+module.exports = {
+  FORMATS,
+  MIN_ENTRANTS,
+  MAX_ENTRANTS,
+  canStartTournament,
+  createTournament,
+  runTournament,
+  getStandings,
+  getTournament,
+  listTournaments
+};